@@ -1,9 +1,113 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+
+const TRASH_URI = 'trash:///';
+
+// Filesystems where inotify is accepted but changes made elsewhere are never reported
+const POLLED_FILESYSTEMS = ['nfs', 'nfs4', 'cifs', 'smbfs', 'smb3', '9p', 'davfs', 'fuse.sshfs', 'fuse.gvfsd-fuse', 'fuse.rclone'];
+const WATCH_DEBOUNCE = 150;
+const WATCH_MAX_WAIT = 1000;
+const WATCH_POLL_INTERVAL = 3000;
+
+// Columns the details view can show. Each id is also the key sortFiles() sorts by.
+const DETAILS_COLUMNS = [
+    { id: 'name', label: 'Name', width: 280 },
+    { id: 'size', label: 'Size', width: 90 },
+    { id: 'type', label: 'Type', width: 140 },
+    { id: 'modified', label: 'Modified', width: 170 },
+    { id: 'created', label: 'Created', width: 170, hidden: true },
+    { id: 'accessed', label: 'Accessed', width: 170, hidden: true },
+    { id: 'permissions', label: 'Permissions', width: 110, hidden: true },
+    { id: 'owner', label: 'Owner', width: 90, hidden: true },
+    { id: 'group', label: 'Group', width: 90, hidden: true },
+    { id: 'tag', label: 'Tag', width: 50, hidden: true }
+];
+
+// How a folder is shown until its view is changed or a default view is chosen
+const DEFAULT_VIEW = {
+    viewMode: 'grid',
+    sortBy: 'name',
+    sortOrder: 'asc',
+    iconSize: 48,
+    showHidden: false,
+    detailsColumns: null
+};
+
+// Thumbnail Managing Standard sizes; the large ones are used for big icons and HiDPI screens
+const THUMBNAIL_SIZES = { normal: 128, large: 256 };
+const THUMBNAIL_APP = 'elve-file-manager';
+// Files read whole to make a thumbnail, and those handed to thumbnailers or only partly read
+const THUMBNAIL_MAX_FILE_SIZE = 100 * 1024 * 1024;
+const THUMBNAILER_MAX_FILE_SIZE = 4 * 1024 * 1024 * 1024;
+const THUMBNAILER_TIMEOUT = 15000;
+// Archive entries extracted together for their thumbnails, and how long the copies are kept unused
+const ARCHIVE_EXTRACTION_MAX_SIZE = 1024 * 1024 * 1024;
+const ARCHIVE_EXTRACTION_KEEP = 30000;
+// Types the thumbnail worker decodes itself; everything else needs a thumbnailer or a fallback
+const WORKER_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/webp', 'image/avif', 'image/vnd.microsoft.icon'];
+// 1x1 transparent PNG, stored with the file's details to record a failed thumbnail
+const EMPTY_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// The preview reads at most this much of a text file and lists this many archive entries
+const PREVIEW_TEXT_LIMIT = 256 * 1024;
+const PREVIEW_LIST_LIMIT = 1000;
+// Archive entries larger than this are not extracted to be previewed
+const PREVIEW_EXTRACT_LIMIT = 100 * 1024 * 1024;
+const PREVIEW_ZOOM_STEPS = [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4, 6, 8];
+// Syntax highlighting for text previews: the patterns for each language's
+// comments and strings (tags for markup) and its keywords. A file gets the
+// first language listing its MIME type or one the type derives from.
+const PREVIEW_LANGUAGES = {
+    c: {
+        types: ['text/x-csrc', 'text/x-chdr', 'text/x-c++src', 'text/x-c++hdr', 'text/x-csharp', 'text/x-java',
+                'text/javascript', 'application/javascript', 'application/x-typescript', 'text/x-typescript',
+                'application/json', 'text/rust', 'text/x-go', 'text/x-kotlin', 'text/x-swift', 'text/x-scala',
+                'text/x-dart', 'application/x-php'],
+        comment: /\/\/[^\n]*|\/\*[\s\S]*?\*\//,
+        string: /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/,
+        keywords: 'abstract as async await auto bool break case catch char class const continue def default defer delete do double else enum export extends extern false final finally float fn for func function go if impl implements import in instanceof int interface let long loop match mod mut namespace new nil null override package private protected pub public return self short signed sizeof static struct super switch template this throw throws trait true try type typedef typeof union unsigned use using var void volatile where while yield'
+    },
+    css: {
+        types: ['text/css', 'text/x-scss', 'text/x-sass'],
+        comment: /\/\*[\s\S]*?\*\//,
+        string: /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+        keywords: 'auto important inherit initial none unset'
+    },
+    python: {
+        types: ['text/x-python', 'text/x-python3'],
+        comment: /#[^\n]*/,
+        string: /[rbfRBF]*(?:"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/,
+        keywords: 'False None True and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield'
+    },
+    shell: {
+        types: ['application/x-shellscript', 'text/x-makefile', 'application/x-perl', 'application/x-ruby', 'application/x-yaml',
+                'application/toml', 'text/x-cmake', 'application/x-desktop', 'text/x-dockerfile'],
+        comment: /#[^\n]*/,
+        string: /"(?:\\.|[^"\\])*"|'[^']*'/,
+        keywords: 'begin case def do done elif else elsif end esac export fi for function if in local module require return then unless until while'
+    },
+    sql: {
+        types: ['application/sql', 'text/x-sql', 'text/x-lua'],
+        comment: /--[^\n]*|\/\*[\s\S]*?\*\//,
+        string: /"(?:\\.|[^"\\\n])*"|'(?:''|[^'])*'/,
+        keywords: 'and as asc begin by create delete desc distinct do drop else elseif end false from function group having if in index insert into is join key left local nil not null on or order primary references repeat return select set table then true union until update values where while'
+    },
+    markup: {
+        types: ['text/html', 'application/xml', 'text/xml', 'application/xhtml+xml'],
+        comment: /<!--[\s\S]*?-->/,
+        tag: /<[\/!?]?[\w:.-]+(?:"[^"]*"|'[^']*'|[^'">])*>/
+    }
+};
+
+const CHECKSUM_ALGORITHMS = [
+    { id: 'md5', label: 'MD5', length: 32 },
+    { id: 'sha1', label: 'SHA-1', length: 40 },
+    { id: 'sha256', label: 'SHA-256', length: 64 },
+    { id: 'sha512', label: 'SHA-512', length: 128 }
+];
 
 class FileManager {
     constructor() {
@@ -13,23 +117,71 @@ class FileManager {
         this.clipboard = null;
         this.clipboardAction = null;
         this.contextMenu = null;
-        this.iconSize = 48;
         this.defaultApps = {};
         this.fileTags = {};
+        this.folderViews = {};
         this.customPlaces = [];
         this.thumbnailCache = {};
+        this.thumbnailWorker = null;
+        this.thumbnailRequests = new Map();
+        this.thumbnailRequestId = 0;
+        this.thumbnailsRunning = 0;
+        this.thumbnailWaiters = [];
+        this.archiveExtractions = new Map();
+        this.crcTable = null;
+        this.mimeDatabase = null;
+        this.iconThemes = null;
+        this.iconLookups = new Map();
+        this.iconDirListings = new Map();
+        this.userDirs = {};
+        this.applications = null;
+        this.thumbnailers = new Map();
+        this.jobs = [];
+        this.jobIdCounter = 0;
+        this.runningJob = null;
+        this.springTimer = null;
+        this.folderSizes = new Map();
+        this.loadCounter = 0;
+        this.paneLoadTokens = [];
+        this.paneWatchers = [];
+        this.iconQueue = [];
+        this.iconQueueRunning = false;
+        this.statusSizeControl = null;
+        this.springTarget = null;
+        this.journal = { undo: [], redo: [] };
+        this.settings = {
+            moveVerification: 'size',
+            defaultView: null,
+            previewPanel: false
+        };
+        this.accountNames = { passwd: new Map(), group: new Map() };
+        this.columnResizeEnded = 0;
+        this.treeLoadCounter = 0;
+        this.treeSync = 0;
+        this.quickLook = null;
+        this.previewSource = null;
         
         this.init();
     }
 
     init() {
+        this.loadSettings();
         this.loadTags();
         this.loadDefaultApps();
+        this.loadThumbnailers();
+        this.loadUserDirs();
+        this.loadIconTheme();
         this.loadCustomPlaces();
+        this.renderFolderTree();
+        this.loadJournal();
+        this.loadFolderViews();
         this.setupEventListeners();
+        this.setupWindowClose();
         this.loadDevices();
+        this.loadAccountNames();
         this.createTab(os.homedir());
         this.updateIconSize();
+        this.applyPreviewPanel();
     }
 
     setupEventListeners() {
@@ -43,6 +195,8 @@ class FileManager {
         });
         document.getElementById('btn-view').addEventListener('click', () => this.toggleView());
         document.getElementById('btn-split').addEventListener('click', () => this.toggleSplit());
+        document.getElementById('btn-preview').addEventListener('click', () => this.togglePreviewPanel());
+        document.getElementById('btn-settings').addEventListener('click', () => this.showPreferences());
         
         // Search
         const searchBox = document.getElementById('search-box');
@@ -59,9 +213,13 @@ class FileManager {
         });
 
         document.getElementById('icon-size').addEventListener('input', (e) => {
-            this.iconSize = parseInt(e.target.value);
+            const tab = this.getActiveTab();
+            tab.panes[tab.activePaneIndex].view.iconSize = parseInt(e.target.value);
             this.updateIconSize();
         });
+        document.getElementById('icon-size').addEventListener('change', () => {
+            this.saveFolderView(this.getActiveTab().activePaneIndex);
+        });
 
         // Address bar double-click to edit
         document.getElementById('addressbar').addEventListener('dblclick', (e) => {
@@ -79,9 +237,22 @@ class FileManager {
             
             item.addEventListener('contextmenu', (e) => {
                 e.preventDefault();
-                this.showPlaceContextMenu(e, pathType);
+                this.showPlaceContextMenu(e, e.currentTarget.dataset.path);
             });
+
+            this.setupDropTarget(item, () => this.getPlacePath(item.dataset.path),
+                () => this.navigateToPlace(item.dataset.path));
+        });
+
+        // Keep stray drops from navigating the window to the dropped file
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'none';
         });
+        document.addEventListener('drop', (e) => e.preventDefault());
+        document.addEventListener('dragend', () => this.cancelSpringLoad());
+
+        window.addEventListener('resize', () => this.layoutPanes());
 
         // Global click to hide context menu and icon size control
         document.addEventListener('click', (e) => {
@@ -106,6 +277,15 @@ class FileManager {
             if (e.ctrlKey && e.key === 'c') this.copyFiles();
             if (e.ctrlKey && e.key === 'x') this.cutFiles();
             if (e.ctrlKey && e.key === 'v') this.pasteFiles();
+            if (e.ctrlKey && e.key.toLowerCase() === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) this.redo();
+                else this.undo();
+            }
+            if (e.ctrlKey && e.key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
             if (e.ctrlKey && e.key === 't') {
                 e.preventDefault();
                 this.createTab(this.getActiveTab().currentPath);
@@ -114,7 +294,28 @@ class FileManager {
                 e.preventDefault();
                 this.closeTab(this.activeTabId);
             }
-            if (e.key === 'Delete') this.deleteFiles();
+            if (e.ctrlKey && e.key === 'h') {
+                e.preventDefault();
+                this.toggleHidden();
+            }
+            // Focused controls and open dialogs keep their own Space, arrow and page keys
+            const ownKeys = !!e.target.closest('button, select, audio, video, [contenteditable]') || !!document.querySelector('.modal');
+            // Space would otherwise start a search: stop the listener below from seeing it
+            if (e.key === ' ' && !e.ctrlKey && !e.altKey && !ownKeys) {
+                e.preventDefault();
+                e.stopImmediatePropagation();
+                this.toggleQuickLook();
+                return;
+            }
+            if (e.key === 'Escape' && this.quickLook) this.closeQuickLook();
+            if ((e.key === 'PageUp' || e.key === 'PageDown') && !ownKeys && this.turnPreviewPage(e.key === 'PageUp' ? -1 : 1)) {
+                e.preventDefault();
+            }
+            if (e.key.startsWith('Arrow') && !e.ctrlKey && !e.altKey && !ownKeys &&
+                (this.handleColumnKey(e.key) || this.handleSelectionKey(e.key))) {
+                e.preventDefault();
+            }
+            if (e.key === 'Delete') this.deleteFiles(e.shiftKey);
             if (e.key === 'F5') this.refresh();
         });
 
@@ -134,6 +335,21 @@ class FileManager {
         });
     }
 
+    setupWindowClose() {
+        const win = nw.Window.get();
+        win.on('close', () => {
+            const pending = this.jobs.filter(j => j.status === 'running' || j.status === 'queued');
+            if (pending.length > 0) {
+                const confirmed = confirm(`${pending.length} file operation(s) still running. Cancel them and quit?`);
+                if (!confirmed) return;
+                pending.forEach(job => this.cancelJob(job.id));
+            }
+            this.releasePreviewSource(true);
+            this.archiveExtractions.forEach(extraction => this.removeArchiveExtraction(extraction, true));
+            win.close(true);
+        });
+    }
+
     // TAB MANAGEMENT
     createTab(initialPath) {
         const tabId = this.tabIdCounter++;
@@ -147,12 +363,11 @@ class FileManager {
                 path: initialPath, 
                 selectedFiles: new Set(),
                 currentArchive: null,
-                archiveBasePath: null
+                archiveBasePath: null,
+                inTrash: false,
+                view: this.getFolderView(initialPath)
             }],
             activePaneIndex: 0,
-            viewMode: 'grid',
-            sortBy: 'name',
-            sortOrder: 'asc',
             isEditing: false,
             editingFile: null
         };
@@ -205,6 +420,17 @@ class FileManager {
                 }
             });
 
+            this.setupDropTarget(el, () => {
+                const target = this.tabs.find(t => t.id === tabId);
+                const targetPane = target && target.panes[target.activePaneIndex];
+                if (!targetPane || targetPane.currentArchive) return null;
+                return targetPane.inTrash ? TRASH_URI : targetPane.path;
+            }, () => {
+                this.activeTabId = tabId;
+                this.renderTabs();
+                this.renderContent();
+            });
+
             const closeBtn = el.querySelector('.tab-close');
             if (closeBtn) {
                 closeBtn.addEventListener('click', (e) => {
@@ -232,7 +458,9 @@ class FileManager {
                 path: tab.currentPath, 
                 selectedFiles: new Set(),
                 currentArchive: null,
-                archiveBasePath: null
+                archiveBasePath: null,
+                inTrash: false,
+                view: this.getFolderView(tab.currentPath)
             });
         }
         
@@ -245,6 +473,7 @@ class FileManager {
         if (!tab) return;
         
         const container = document.getElementById('content-area');
+        this.unwatchAllPanes();
         
         if (tab.isEditing) {
             this.renderTextEditor(container, tab);
@@ -281,12 +510,27 @@ class FileManager {
             <button class="btn btn-primary" onclick="fileManager.extractArchive(${index}, true)">Extract Here</button>
         `;
         
+        const trashNotice = document.createElement('div');
+        trashNotice.className = 'trash-notice';
+        trashNotice.id = `trash-notice-${index}`;
+        trashNotice.innerHTML = `
+            🗑️ Trash
+            <button class="btn btn-primary" onclick="fileManager.emptyTrash()">Empty Trash</button>
+        `;
+        
         const fileArea = document.createElement('div');
-        fileArea.className = `file-area ${tab.viewMode}-view`;
+        fileArea.className = `file-area ${pane.view.viewMode}-view`;
         fileArea.id = `file-area-${index}`;
         fileArea.dataset.paneIndex = index;
+
+        const detailsHeader = document.createElement('div');
+        detailsHeader.className = 'details-header';
+        detailsHeader.dataset.paneIndex = index;
+        this.renderDetailsHeader(detailsHeader, index);
         
         paneEl.appendChild(archiveNotice);
+        paneEl.appendChild(trashNotice);
+        paneEl.appendChild(detailsHeader);
         paneEl.appendChild(fileArea);
         
         this.loadDirectory(pane.path, index);
@@ -296,6 +540,30 @@ class FileManager {
     }
 
     setupPaneEvents(fileArea, paneIndex) {
+        // The toolbar's view controls follow whichever pane was used last
+        fileArea.addEventListener('mousedown', () => {
+            this.getActiveTab().activePaneIndex = paneIndex;
+            this.syncViewControls();
+        });
+
+        fileArea.addEventListener('scroll', () => {
+            const detailsHeader = fileArea.previousElementSibling;
+            if (detailsHeader) detailsHeader.scrollLeft = fileArea.scrollLeft;
+            if (fileArea.renderScheduled) return;
+            fileArea.renderScheduled = true;
+            requestAnimationFrame(() => {
+                fileArea.renderScheduled = false;
+                this.renderVisibleFiles(paneIndex);
+            });
+        });
+
+        // Drops on empty space (or on plain files) land in the folder being shown
+        this.setupDropTarget(fileArea, () => {
+            const pane = this.getActiveTab().panes[paneIndex];
+            if (!pane || pane.currentArchive) return null;
+            return pane.inTrash ? TRASH_URI : pane.path;
+        });
+
         fileArea.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             const tab = this.getActiveTab();
@@ -373,27 +641,69 @@ class FileManager {
     }
 
     // NAVIGATION
-    navigateToPlace(place) {
-        const home = os.homedir();
+    getPlacePath(place) {
         const places = {
-            home: home,
-            desktop: path.join(home, 'Desktop'),
-            documents: path.join(home, 'Documents'),
-            downloads: path.join(home, 'Downloads'),
-            pictures: path.join(home, 'Pictures'),
-            music: path.join(home, 'Music'),
-            videos: path.join(home, 'Videos')
+            home: os.homedir(),
+            desktop: this.userDirs.DESKTOP,
+            documents: this.userDirs.DOCUMENTS,
+            downloads: this.userDirs.DOWNLOAD,
+            pictures: this.userDirs.PICTURES,
+            music: this.userDirs.MUSIC,
+            videos: this.userDirs.VIDEOS,
+            trash: TRASH_URI
         };
-        
-        if (places[place]) {
+        return places[place] || null;
+    }
+
+    // The XDG user directories from ~/.config/user-dirs.dirs, which may be
+    // renamed or translated, e.g. XDG_DOCUMENTS_DIR="$HOME/Dokumente"
+    loadUserDirs() {
+        const home = os.homedir();
+        this.userDirs = {
+            DESKTOP: path.join(home, 'Desktop'),
+            DOCUMENTS: path.join(home, 'Documents'),
+            DOWNLOAD: path.join(home, 'Downloads'),
+            MUSIC: path.join(home, 'Music'),
+            PICTURES: path.join(home, 'Pictures'),
+            VIDEOS: path.join(home, 'Videos'),
+            TEMPLATES: path.join(home, 'Templates'),
+            PUBLICSHARE: path.join(home, 'Public')
+        };
+
+        try {
+            const configHome = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+            const content = fs.readFileSync(path.join(configHome, 'user-dirs.dirs'), 'utf8');
+            for (const match of content.matchAll(/^XDG_(\w+)_DIR="([^"]*)"/gm)) {
+                this.userDirs[match[1]] = path.resolve(match[2].replace(/^\$HOME/, home));
+            }
+        } catch (err) {
+            // Not set up; the defaults stand
+        }
+    }
+
+    // user-desktop, folder-documents and so on for the user directories.
+    // One set to the home folder itself is disabled.
+    getUserDirIcon(dirPath) {
+        if (dirPath === os.homedir()) return 'user-home';
+        const icons = {
+            DESKTOP: 'user-desktop', DOCUMENTS: 'folder-documents', DOWNLOAD: 'folder-download', MUSIC: 'folder-music',
+            PICTURES: 'folder-pictures', VIDEOS: 'folder-videos', TEMPLATES: 'folder-templates', PUBLICSHARE: 'folder-publicshare'
+        };
+        const key = Object.keys(icons).find(name => this.userDirs[name] === dirPath);
+        return key ? icons[key] : null;
+    }
+
+    navigateToPlace(place) {
+        const placePath = this.getPlacePath(place);
+        if (placePath) {
             const tab = this.getActiveTab();
-            this.loadDirectory(places[place], tab.activePaneIndex);
+            this.loadDirectory(placePath, tab.activePaneIndex);
         }
     }
 
     async loadDevices() {
         try {
-            const { stdout } = await execPromise('lsblk -nlo NAME,MOUNTPOINT,SIZE,TYPE');
+            const { stdout } = await this.runCommand('lsblk', ['-nlo', 'NAME,MOUNTPOINT,SIZE,TYPE']);
             const lines = stdout.trim().split('\n');
             const devices = [];
             
@@ -403,8 +713,8 @@ class FileManager {
                     // Get usage info
                     let usagePercent = 0;
                     try {
-                        const { stdout: dfOut } = await execPromise(`df -h "${parts[1]}" | tail -1`);
-                        const dfParts = dfOut.trim().split(/\s+/);
+                        const { stdout: dfOut } = await this.runCommand('df', ['-h', '--', parts[1]]);
+                        const dfParts = dfOut.trim().split('\n').pop().split(/\s+/);
                         if (dfParts[4]) {
                             usagePercent = parseInt(dfParts[4].replace('%', ''));
                         }
@@ -420,8 +730,8 @@ class FileManager {
             }
 
             const devicesHtml = devices.map(dev => 
-                `<div class="sidebar-item device-item" data-mount="${dev.mount}" data-device="${dev.name}">
-                    💾 ${path.basename(dev.mount)} (${dev.size})
+                `<div class="sidebar-item device-item" data-mount="${this.escapeHtml(dev.mount)}" data-device="${this.escapeHtml(dev.name)}">
+                    💾 ${this.escapeHtml(path.basename(dev.mount))} (${dev.size})
                     <div class="device-usage">
                         <div class="device-usage-bar" style="width: ${dev.usage}%"></div>
                     </div>
@@ -445,12 +755,34 @@ class FileManager {
                     const deviceEl = e.target.closest('.device-item') || e.currentTarget;
                     this.showDeviceContextMenu(e, deviceEl.dataset.mount, deviceEl.dataset.device);
                 });
+
+                this.setupDropTarget(item, () => item.dataset.mount || null, () => {
+                    const tab = this.getActiveTab();
+                    this.loadDirectory(item.dataset.mount, tab.activePaneIndex);
+                });
             });
         } catch (err) {
             console.error('Failed to load devices:', err);
         }
     }
 
+    // Every load into a pane takes a new token. A load whose token has been
+    // replaced was overtaken by a newer one and must leave the pane alone.
+    beginLoad(paneIndex) {
+        this.unwatchPane(paneIndex);
+        const pane = this.getActiveTab().panes[paneIndex];
+        if (pane) {
+            pane.searchQuery = null;
+            pane.columnListings = new Map();
+        }
+        this.paneLoadTokens[paneIndex] = ++this.loadCounter;
+        return this.loadCounter;
+    }
+
+    isCurrentLoad(paneIndex, token) {
+        return this.paneLoadTokens[paneIndex] === token;
+    }
+
     async loadDirectory(dirPath, paneIndex = 0) {
         const tab = this.getActiveTab();
         const pane = tab.panes[paneIndex];
@@ -458,6 +790,17 @@ class FileManager {
         
         if (!fileArea) return;
 
+        const token = this.beginLoad(paneIndex);
+
+        if (pane.sizeControl) {
+            pane.sizeControl.cancelled = true;
+            pane.sizeControl = null;
+        }
+
+        if (dirPath === TRASH_URI) {
+            return this.loadTrash(paneIndex);
+        }
+
         // Clear archive state when loading regular directory
         pane.currentArchive = null;
         pane.archiveBasePath = null;
@@ -465,49 +808,115 @@ class FileManager {
         if (archiveNotice) {
             archiveNotice.classList.remove('visible');
         }
+        this.setTrashMode(pane, paneIndex, false);
 
+        pane.files = null;
         this.showLoading(fileArea);
 
+        let dir;
         try {
-            const files = fs.readdirSync(dirPath);
-            const fileItems = [];
+            dir = await fs.promises.opendir(dirPath);
+        } catch (err) {
+            if (this.isCurrentLoad(paneIndex, token)) {
+                fileArea.innerHTML = `<div class="loading">Failed to load directory: ${this.escapeHtml(err.message)}</div>`;
+            }
+            return;
+        }
+        const hiddenList = await this.readHiddenList(dirPath);
+        if (!this.isCurrentLoad(paneIndex, token)) {
+            await dir.close();
+            return;
+        }
 
-            for (const file of files) {
-                try {
-                    const fullPath = path.join(dirPath, file);
-                    const stats = fs.lstatSync(fullPath);
-                    
-                    fileItems.push({
-                        name: file,
-                        path: fullPath,
-                        isDirectory: stats.isDirectory(),
-                        isSymlink: stats.isSymbolicLink(),
-                        size: stats.size,
-                        modified: stats.mtime,
-                        created: stats.birthtime,
-                        mode: stats.mode,
-                        uid: stats.uid,
-                        gid: stats.gid
-                    });
-                } catch (err) {
-                    console.error(`Error reading ${file}:`, err);
+        pane.path = dirPath;
+        tab.currentPath = dirPath;
+        pane.view = this.getFolderView(dirPath);
+        this.applyPaneView(paneIndex);
+        
+        if (!tab.splitView || paneIndex === 0) {
+            this.addToHistory(dirPath);
+        }
+        pane.selectedFiles.clear();
+        this.updateAddressBar();
+
+        // Entries are stat'ed in batches as they stream in; big folders are
+        // shown while still loading
+        const fileItems = [];
+        let names = [];
+        let lastPaint = Date.now();
+
+        try {
+            for await (const entry of dir) {
+                names.push(entry.name);
+                if (names.length < 256) continue;
+
+                fileItems.push(...this.filterHidden(await this.statEntries(dirPath, names), hiddenList, pane.view.showHidden));
+                names = [];
+                if (!this.isCurrentLoad(paneIndex, token)) return;
+
+                if (Date.now() - lastPaint > 250) {
+                    lastPaint = Date.now();
+                    await this.renderFiles(fileItems.slice(), paneIndex);
                 }
             }
+            fileItems.push(...this.filterHidden(await this.statEntries(dirPath, names), hiddenList, pane.view.showHidden));
+        } catch (err) {
+            if (this.isCurrentLoad(paneIndex, token)) {
+                fileArea.innerHTML = `<div class="loading">Failed to load directory: ${this.escapeHtml(err.message)}</div>`;
+            }
+            return;
+        }
+        if (!this.isCurrentLoad(paneIndex, token)) return;
 
-            pane.path = dirPath;
-            tab.currentPath = dirPath;
-            
-            if (!tab.splitView || paneIndex === 0) {
-                this.addToHistory(dirPath);
+        await this.renderFiles(fileItems, paneIndex);
+        this.measurePaneFolders(paneIndex);
+        this.watchPane(paneIndex, token);
+    }
+
+    async statEntries(dirPath, names) {
+        const items = await Promise.all(names.map(async (name) => {
+            try {
+                return await this.createFileItem(path.join(dirPath, name), name);
+            } catch (err) {
+                console.error(`Error reading ${name}:`, err);
+                return null;
+            }
+        }));
+        return items.filter(Boolean);
+    }
+
+    // Links take their target's type and size so linked folders can be entered.
+    // A link whose target is missing keeps its own lstat and is marked broken.
+    async createFileItem(fullPath, name = path.basename(fullPath)) {
+        const linkStats = await fs.promises.lstat(fullPath);
+        let stats = linkStats;
+        let linkTarget = null;
+        let isBrokenLink = false;
+
+        if (linkStats.isSymbolicLink()) {
+            linkTarget = await fs.promises.readlink(fullPath);
+            try {
+                stats = await fs.promises.stat(fullPath);
+            } catch (err) {
+                isBrokenLink = true;
             }
-            
-            await this.renderFiles(fileItems, paneIndex);
-            this.updateAddressBar();
-            pane.selectedFiles.clear();
-            this.updateStatusBar();
-        } catch (err) {
-            fileArea.innerHTML = `<div class="loading">Failed to load directory: ${err.message}</div>`;
         }
+
+        return {
+            name,
+            path: fullPath,
+            isDirectory: stats.isDirectory(),
+            isSymlink: linkStats.isSymbolicLink(),
+            isBrokenLink,
+            linkTarget,
+            size: stats.size,
+            modified: stats.mtime,
+            created: stats.birthtime,
+            accessed: stats.atime,
+            mode: stats.mode,
+            uid: stats.uid,
+            gid: stats.gid
+        };
     }
 
     async loadArchive(archivePath, paneIndex, subPath = '') {
@@ -521,7 +930,9 @@ class FileManager {
         const tab = this.getActiveTab();
         const pane = tab.panes[paneIndex];
         const fileArea = document.getElementById(`file-area-${paneIndex}`);
+        const token = this.beginLoad(paneIndex);
         
+        pane.files = null;
         this.showLoading(fileArea);
 
         try {
@@ -534,76 +945,154 @@ class FileManager {
             archiveNotice.classList.add('visible');
             archiveNotice.dataset.archive = archivePath;
 
-            let cmd;
-            if (archivePath.endsWith('.zip')) {
-                cmd = `zipinfo -1 "${pane.archiveBasePath}"`;
-            } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
-                cmd = `tar -tzf "${pane.archiveBasePath}"`;
-            } else if (archivePath.endsWith('.tar')) {
-                cmd = `tar -tf "${pane.archiveBasePath}"`;
-            } else if (archivePath.endsWith('.rar')) {
-                cmd = `unrar lb "${pane.archiveBasePath}"`;
-            }
-
-            const { stdout } = await execPromise(cmd);
-            const allFiles = stdout.trim().split('\n').filter(f => f);
-            
-            // Filter files for current subPath
-            const prefix = subPath ? subPath + '/' : '';
-            const filesInDir = new Set();
-            const dirsInDir = new Set();
-            
-            allFiles.forEach(file => {
-                if (file.startsWith(prefix) && file !== prefix) {
-                    const relativePath = file.substring(prefix.length);
-                    const parts = relativePath.split('/');
-                    
-                    if (parts.length === 1) {
-                        // File in current directory
-                        filesInDir.add(relativePath);
-                    } else if (parts.length > 1 && parts[0]) {
-                        // Subdirectory
-                        dirsInDir.add(parts[0]);
-                    }
-                }
-            });
-            
-            const fileItems = [];
-            
-            // Add directories
-            dirsInDir.forEach(dir => {
-                fileItems.push({
-                    name: dir,
-                    path: prefix + dir,
-                    isDirectory: true,
-                    isSymlink: false,
-                    size: 0,
-                    modified: new Date(),
-                    created: new Date()
-                });
-            });
-            
-            // Add files
-            filesInDir.forEach(file => {
-                fileItems.push({
-                    name: file,
-                    path: prefix + file,
-                    isDirectory: false,
-                    isSymlink: false,
-                    size: 0,
-                    modified: new Date(),
-                    created: new Date()
-                });
-            });
+            const { entries: allFiles, sizes } = await this.listArchiveContents(pane.archiveBasePath);
+            const archiveStats = await fs.promises.stat(pane.archiveBasePath);
+            if (!this.isCurrentLoad(paneIndex, token)) return;
+            pane.archiveEntries = allFiles;
+            pane.archiveSizes = sizes;
+            pane.archiveModified = archiveStats.mtime;
+            const fileItems = this.getArchiveDirItems(allFiles, subPath, { path: pane.archiveBasePath, modified: pane.archiveModified, sizes });
 
             pane.path = subPath || '/';
             tab.currentPath = pane.archiveBasePath + ':' + (subPath || '/');
             
-            await this.renderFiles(fileItems, paneIndex);
+            await this.renderFiles(this.filterHidden(fileItems, null, pane.view.showHidden), paneIndex);
             this.updateAddressBar();
         } catch (err) {
-            fileArea.innerHTML = `<div class="loading">Failed to read archive: ${err.message}</div>`;
+            fileArea.innerHTML = `<div class="loading">Failed to read archive: ${this.escapeHtml(err.message)}</div>`;
+        }
+    }
+
+    // Entries directly inside subPath ('' for the archive root), in the shape
+    // createFileItem() gives for files on disk. `archive` ({ path, modified,
+    // sizes }) is kept on every item for the thumbnails.
+    getArchiveDirItems(allFiles, subPath, archive) {
+        // Filter files for current subPath
+        const prefix = subPath ? subPath + '/' : '';
+        const filesInDir = new Set();
+        const dirsInDir = new Set();
+
+        allFiles.forEach(file => {
+            if (file.startsWith(prefix) && file !== prefix) {
+                const relativePath = file.substring(prefix.length);
+                const parts = relativePath.split('/');
+
+                if (parts.length === 1) {
+                    // File in current directory
+                    filesInDir.add(relativePath);
+                } else if (parts.length > 1 && parts[0]) {
+                    // Subdirectory
+                    dirsInDir.add(parts[0]);
+                }
+            }
+        });
+
+        const fileItems = [];
+
+        // Add directories
+        dirsInDir.forEach(dir => {
+            fileItems.push({
+                name: dir,
+                path: prefix + dir,
+                isDirectory: true,
+                isSymlink: false,
+                size: 0,
+                modified: new Date(),
+                created: new Date(),
+                archive
+            });
+        });
+
+        // Add files
+        filesInDir.forEach(file => {
+            fileItems.push({
+                name: file,
+                path: prefix + file,
+                isDirectory: false,
+                isSymlink: false,
+                size: archive.sizes.get(prefix + file) || 0,
+                modified: new Date(),
+                created: new Date(),
+                archive
+            });
+        });
+        
+        return fileItems;
+    }
+
+    async listArchiveEntries(archivePath) {
+        return (await this.listArchiveContents(archivePath)).entries;
+    }
+
+    // Entry paths in the archive's order, and a Map of their uncompressed
+    // sizes, read from the long listing. Each line pattern captures the size
+    // and then everything after the time, which is the entry path. tar quotes
+    // its paths, as they can't be told from the link targets after them otherwise.
+    async listArchiveContents(archivePath) {
+        let command, line;
+        if (archivePath.endsWith('.zip')) {
+            command = ['zipinfo', ['-l', archivePath]];
+            line = /^\S+\s+\S+\s+\S+\s+(\d+)\s+\S+\s+\d+\s+\S+\s+\S+\s+\S+ (.*)$/;
+        } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
+            command = ['tar', ['--quoting-style=c', '-tvzf', archivePath]];
+        } else if (archivePath.endsWith('.tar')) {
+            command = ['tar', ['--quoting-style=c', '-tvf', archivePath]];
+        } else if (archivePath.endsWith('.rar')) {
+            command = ['unrar', ['l', '--', archivePath]];
+            line = /^\s*\S+\s+(\d+)\s+\S+\s+\S+  (.*)$/;
+        }
+        // Devices show major,minor instead of a size
+        if (!line) line = /^\S+\s+\S+\s+([\d,]+)\s+\S+\s+\S+ "((?:[^"\\]|\\.)*)"/;
+
+        const { stdout } = await this.runCommand(...command, { timeout: 120000 });
+        const entries = [];
+        const sizes = new Map();
+        stdout.split('\n').forEach(text => {
+            const match = text.match(line);
+            if (!match) return;
+            const entry = command[0] === 'tar' ? this.unquoteTarName(match[2]) : match[2];
+            entries.push(entry);
+            sizes.set(entry, parseInt(match[1], 10) || 0);
+        });
+        return { entries, sizes };
+    }
+
+    // A path as tar's C quoting style prints it, less the quotes, back to the
+    // path itself. Bytes outside the locale's printable set come as octal.
+    unquoteTarName(quoted) {
+        const named = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+        const parts = [];
+        let last = 0;
+        for (const match of quoted.matchAll(/\\([0-7]{1,3}|.)/g)) {
+            parts.push(Buffer.from(quoted.slice(last, match.index)));
+            const code = match[1];
+            parts.push(/^[0-7]/.test(code) ? Buffer.from([parseInt(code, 8)]) : Buffer.from(named[code] || code));
+            last = match.index + match[0].length;
+        }
+        parts.push(Buffer.from(quoted.slice(last)));
+        return Buffer.concat(parts).toString('utf8');
+    }
+
+    // Extracts a single entry below destDir, at its path inside the archive
+    async extractArchiveEntry(archivePath, entry, destDir) {
+        await this.extractArchiveEntries(archivePath, [entry], destDir);
+        return path.join(destDir, entry);
+    }
+
+    // Several entries in one run, so a compressed archive is only read once
+    async extractArchiveEntries(archivePath, entries, destDir) {
+        let command;
+        if (archivePath.endsWith('.zip')) {
+            command = ['unzip', ['-qq', '-o', archivePath, ...entries, '-d', destDir]];
+        } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
+            command = ['tar', ['-xzf', archivePath, '-C', destDir, '--', ...entries]];
+        } else if (archivePath.endsWith('.tar')) {
+            command = ['tar', ['-xf', archivePath, '-C', destDir, '--', ...entries]];
+        } else if (archivePath.endsWith('.rar')) {
+            command = ['unrar', ['x', '-o+', '-inul', '--', archivePath, ...entries, destDir + '/']];
         }
+
+        await this.runCommand(...command, { timeout: 120000 });
     }
 
     async renderFiles(files, paneIndex = 0) {
@@ -613,45 +1102,145 @@ class FileManager {
         
         if (!fileArea) return;
 
-        files = this.sortFiles(files, tab.sortBy, tab.sortOrder);
-        fileArea.innerHTML = '';
-
-        for (const file of files) {
-            const fileEl = await this.createFileElement(file, paneIndex);
-            fileArea.appendChild(fileEl);
-        }
+        files = this.sortFiles(files, pane.view.sortBy, pane.view.sortOrder);
+        pane.files = files;
+        pane.fileElements = new Map();
+        pane.renderedRange = null;
+        pane.rowHeight = null;
+        this.renderVisibleFiles(paneIndex);
         
         this.updateStatusBar();
     }
 
-    async createFileElement(file, paneIndex) {
+    // Only the rows in view, plus a few either side, exist in the DOM. The file
+    // area's padding stands in for the rows above and below so the scrollbar
+    // matches the whole listing. Elements are reused while they stay in range.
+    renderVisibleFiles(paneIndex) {
+        const tab = this.getActiveTab();
+        const pane = tab.panes[paneIndex];
+        const fileArea = document.getElementById(`file-area-${paneIndex}`);
+        if (!fileArea || !pane || !pane.files) return;
+
+        // The column view shows whole folders side by side instead
+        if (pane.view.viewMode === 'columns') {
+            if (pane.renderedRange !== 'columns') {
+                pane.renderedRange = 'columns';
+                this.renderColumns(paneIndex);
+            }
+            return;
+        }
+
+        const style = getComputedStyle(fileArea);
+        if (fileArea.basePadding === undefined) {
+            fileArea.basePadding = parseFloat(style.paddingTop) || 0;
+        }
+        const base = fileArea.basePadding;
+        const columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+        const rowHeight = pane.rowHeight || parseFloat(style.gridAutoRows) || 40;
+        const stride = rowHeight + (parseFloat(style.rowGap) || 0);
+
+        const files = pane.files;
+        const rows = Math.ceil(files.length / columns);
+        const overscan = 3;
+        const scrollTop = Math.max(0, fileArea.scrollTop - base);
+        const firstRow = Math.max(0, Math.floor(scrollTop / stride) - overscan);
+        const lastRow = Math.min(rows, Math.ceil((scrollTop + fileArea.clientHeight) / stride) + overscan);
+
+        const range = `${firstRow}:${lastRow}:${columns}`;
+        if (pane.renderedRange === range) return;
+        pane.renderedRange = range;
+
+        const elements = [];
+        const kept = new Map();
+        for (let i = firstRow * columns; i < Math.min(files.length, lastRow * columns); i++) {
+            const file = files[i];
+            const fileEl = pane.fileElements.get(file.path) || this.createFileElement(file, paneIndex);
+            kept.set(file.path, fileEl);
+            elements.push(fileEl);
+        }
+        pane.fileElements = kept;
+
+        fileArea.style.paddingTop = `${base + firstRow * stride}px`;
+        fileArea.style.paddingBottom = `${base + (rows - lastRow) * stride}px`;
+        fileArea.replaceChildren(...elements);
+
+        // List rows have no fixed height: measure one and lay out again if the guess was off
+        if (!pane.rowHeight && elements.length > 0) {
+            pane.rowHeight = elements[0].offsetHeight;
+            if (pane.rowHeight && pane.rowHeight !== rowHeight) {
+                pane.renderedRange = null;
+                this.renderVisibleFiles(paneIndex);
+            }
+        }
+    }
+
+    // After a view, icon size or window size change the row geometry is stale
+    layoutPanes() {
+        const tab = this.getActiveTab();
+        tab.panes.forEach((pane, index) => {
+            if (pane.view.viewMode === 'columns') {
+                document.querySelectorAll(`#file-area-${index} .miller-column`).forEach(column => {
+                    if (!column.files) return;
+                    column.rowHeight = null;
+                    column.renderedRange = null;
+                    this.renderColumnRows(column);
+                });
+                return;
+            }
+            pane.rowHeight = null;
+            pane.renderedRange = null;
+            this.renderVisibleFiles(index);
+        });
+    }
+
+    createFileElement(file, paneIndex) {
         const tab = this.getActiveTab();
         const pane = tab.panes[paneIndex];
         
         const fileEl = document.createElement('div');
-        fileEl.className = 'file-item';
+        fileEl.className = file.isBrokenLink ? 'file-item broken-link' : 'file-item';
+        fileEl.classList.toggle('hidden-file', !!file.isHidden);
+        fileEl.classList.toggle('selected', pane.selectedFiles.has(file.path));
         fileEl.draggable = true;
         fileEl.dataset.path = file.path;
         
-        const icon = await this.getFileIcon(file);
+        const icon = file.icon || this.getQuickIcon(file);
         const tag = this.fileTags[file.path];
+        const iconHtml = `
+                <div class="file-icon">
+                    <span class="file-icon-glyph">${icon}</span>
+                    ${file.isBrokenLink
+                        ? `<span class="link-badge broken" title="Broken link to ${this.escapeHtml(file.linkTarget)}">⚠</span>`
+                        : file.isSymlink ? `<span class="link-badge" title="Link to ${this.escapeHtml(file.linkTarget)}">🔗</span>` : ''}
+                </div>`;
         
         let infoHtml = '';
-        if (tab.viewMode === 'grid') {
+        if (file.originalPath) {
+            infoHtml = `<div class="file-info">${this.escapeHtml(path.dirname(file.originalPath))} · ${file.deletedAt.toLocaleString()}</div>`;
+        } else if (file.isDirectory) {
+            const totals = this.folderSizes.get(file.path);
+            infoHtml = `<div class="file-info">${totals ? this.formatSize(totals.size) : ''}</div>`;
+        } else {
             infoHtml = `<div class="file-info">${this.formatSize(file.size)}</div>`;
         }
         
-        fileEl.innerHTML = `
-            <div class="file-icon-container">
-                <div class="file-icon">
-                    ${icon}
-                    ${file.isSymlink ? '<span class="link-badge">🔗</span>' : ''}
-                </div>
+        if (pane.view.viewMode === 'details') {
+            fileEl.innerHTML = this.getDetailsColumns(paneIndex).filter(column => !column.hidden).map(column =>
+                column.id === 'name'
+                    ? `<div class="details-cell" data-column="name">${iconHtml}
+                        <span class="file-name" title="${this.escapeHtml(file.name)}">${this.escapeHtml(file.name)}</span>
+                       </div>`
+                    : `<div class="details-cell" data-column="${column.id}">${this.getDetailsCell(file, column.id)}</div>`
+            ).join('');
+        } else {
+            fileEl.innerHTML = `
+            <div class="file-icon-container">${iconHtml}
             </div>
-            <div class="file-name" title="${file.name}">${file.name}</div>
+            <div class="file-name" title="${this.escapeHtml(file.name)}">${this.escapeHtml(file.name)}</div>
             ${infoHtml}
             ${tag ? `<div class="tag-dot" style="background: ${tag}"></div>` : ''}
         `;
+        }
 
         // Event listeners
         fileEl.addEventListener('click', (e) => this.selectFile(e, file, fileEl, paneIndex));
@@ -665,18 +1254,56 @@ class FileManager {
         });
 
         this.setupDragAndDrop(fileEl, file, paneIndex);
+        if (!file.icon) this.queueIcon(file, fileEl);
 
         return fileEl;
     }
 
+    // Icons that need the disk (folder contents, thumbnails) are filled in after
+    // the items are on screen, a batch at a time, skipping items scrolled away
+    queueIcon(file, fileEl) {
+        this.iconQueue.push({ file, fileEl });
+        if (!this.iconQueueRunning) this.processIconQueue();
+    }
+
+    async processIconQueue() {
+        this.iconQueueRunning = true;
+        while (this.iconQueue.length > 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const batch = this.iconQueue.splice(0, 16).filter(({ fileEl }) => fileEl.isConnected);
+            await Promise.all(batch.map(async ({ file, fileEl }) => {
+                if (!file.icon) file.icon = await this.getFileIcon(file);
+                const glyph = fileEl.querySelector('.file-icon-glyph');
+                if (glyph) glyph.innerHTML = file.icon;
+                // The content may have told a different type than the name
+                const typeCell = fileEl.querySelector('[data-column="type"]');
+                if (typeCell) typeCell.textContent = this.getTypeLabel(file);
+            }));
+        }
+        this.iconQueueRunning = false;
+    }
+
     setupDragAndDrop(fileEl, file, paneIndex) {
         const tab = this.getActiveTab();
         const pane = tab.panes[paneIndex];
         let dragPreview = null;
 
+        // Archive entries and trashed items have no real path to hand out
+        if (pane.currentArchive || pane.inTrash) {
+            fileEl.draggable = false;
+        }
+
         fileEl.addEventListener('dragstart', (e) => {
+            if (!pane.selectedFiles.has(file.path)) {
+                pane.selectedFiles.clear();
+                pane.selectedFiles.add(file.path);
+                fileEl.parentElement.querySelectorAll('.file-item.selected').forEach(el => el.classList.remove('selected'));
+                fileEl.classList.add('selected');
+            }
             fileEl.classList.add('dragging');
             
+            // The item may have been scrolled out of the DOM before its dragend fired
+            document.querySelectorAll('.drag-preview').forEach(el => el.remove());
             dragPreview = document.createElement('div');
             dragPreview.className = 'file-item drag-preview';
             dragPreview.textContent = pane.selectedFiles.size > 1 
@@ -684,11 +1311,8 @@ class FileManager {
                 : file.name;
             document.body.appendChild(dragPreview);
             
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/plain', JSON.stringify({
-                files: Array.from(pane.selectedFiles),
-                sourcePaneIndex: paneIndex
-            }));
+            e.dataTransfer.effectAllowed = 'all';
+            this.setDragData(e.dataTransfer, Array.from(pane.selectedFiles));
         });
 
         fileEl.addEventListener('drag', (e) => {
@@ -706,29 +1330,150 @@ class FileManager {
             }
         });
 
-        fileEl.addEventListener('dragover', (e) => {
-            if (file.isDirectory) {
-                e.preventDefault();
-                e.dataTransfer.dropEffect = 'move';
-                fileEl.classList.add('drag-over');
+        if (file.isDirectory && !pane.currentArchive && !pane.inTrash) {
+            this.setupDropTarget(fileEl, () => file.path, () => this.openFile(file, paneIndex));
+        }
+    }
+
+    setDragData(dataTransfer, filePaths) {
+        // Our own format for drops inside the window, real file URIs for everyone else
+        dataTransfer.setData('application/x-elve-files', JSON.stringify(filePaths));
+        dataTransfer.setData('text/uri-list', filePaths.map(p => this.pathToFileUri(p)).join('\r\n'));
+        dataTransfer.setData('text/plain', filePaths.join('\n'));
+
+        if (filePaths.length === 1) {
+            try {
+                if (fs.statSync(filePaths[0]).isFile()) {
+                    dataTransfer.setData('DownloadURL',
+                        `application/octet-stream:${path.basename(filePaths[0])}:${this.pathToFileUri(filePaths[0])}`);
+                }
+            } catch (err) {}
+        }
+    }
+
+    isFileDrag(e) {
+        const types = Array.from(e.dataTransfer.types || []);
+        return types.includes('application/x-elve-files') || types.includes('Files') || types.includes('text/uri-list');
+    }
+
+    getDroppedPaths(dataTransfer) {
+        const internal = dataTransfer.getData('application/x-elve-files');
+        if (internal) {
+            try {
+                return JSON.parse(internal);
+            } catch (err) {
+                return [];
             }
+        }
+
+        // Files dragged in from other applications carry their real path in NW.js
+        const files = Array.from(dataTransfer.files || []).map(f => f.path).filter(Boolean);
+        if (files.length > 0) return files;
+
+        return dataTransfer.getData('text/uri-list')
+            .split(/\r?\n/)
+            .filter(line => line && !line.startsWith('#'))
+            .map(uri => this.fileUriToPath(uri))
+            .filter(Boolean);
+    }
+
+    getDropEffect(e) {
+        if (e.ctrlKey && e.shiftKey) return 'link';
+        if (e.ctrlKey) return 'copy';
+        if (e.shiftKey) return 'move';
+        return Array.from(e.dataTransfer.types || []).includes('application/x-elve-files') ? 'move' : 'copy';
+    }
+
+    // getTargetDir is evaluated on every event since panes and tabs change underneath a drag
+    setupDropTarget(el, getTargetDir, springLoad = null) {
+        el.addEventListener('dragover', (e) => {
+            if (!this.isFileDrag(e) || !getTargetDir()) return;
+            e.preventDefault();
+            e.stopPropagation();
+            e.dataTransfer.dropEffect = this.getDropEffect(e);
+            el.classList.add('drag-over');
+            if (springLoad) this.startSpringLoad(el, springLoad);
         });
 
-        fileEl.addEventListener('dragleave', () => {
-            fileEl.classList.remove('drag-over');
+        el.addEventListener('dragleave', (e) => {
+            if (el.contains(e.relatedTarget)) return;
+            el.classList.remove('drag-over');
+            this.cancelSpringLoad(el);
         });
 
-        fileEl.addEventListener('drop', async (e) => {
+        el.addEventListener('drop', (e) => {
+            const targetDir = getTargetDir();
+            if (!targetDir) return;
             e.preventDefault();
-            fileEl.classList.remove('drag-over');
-            
-            if (file.isDirectory) {
-                const data = JSON.parse(e.dataTransfer.getData('text/plain'));
-                this.showDropActionMenu(e, data.files, file.path);
-            }
+            e.stopPropagation();
+            el.classList.remove('drag-over');
+            this.cancelSpringLoad(el);
+            this.handleDrop(e, targetDir);
         });
     }
 
+    startSpringLoad(el, action) {
+        if (this.springTarget === el) return;
+        this.cancelSpringLoad();
+        this.springTarget = el;
+        this.springTimer = setTimeout(() => {
+            this.springTarget = null;
+            this.springTimer = null;
+            el.classList.remove('drag-over');
+            action();
+        }, 800);
+    }
+
+    cancelSpringLoad(el = null) {
+        if (el && this.springTarget !== el) return;
+        clearTimeout(this.springTimer);
+        this.springTimer = null;
+        this.springTarget = null;
+    }
+
+    handleDrop(e, targetDir) {
+        const sources = this.getDroppedPaths(e.dataTransfer);
+        if (sources.length === 0) return;
+
+        if (targetDir === TRASH_URI) {
+            this.trashPaths(sources);
+            return;
+        }
+
+        if (e.ctrlKey && e.shiftKey) {
+            this.linkFiles(sources, targetDir);
+        } else if (e.ctrlKey) {
+            this.transferFiles(sources, targetDir, 'copy');
+        } else if (e.shiftKey) {
+            this.transferFiles(sources, targetDir, 'move');
+        } else if (sources.every(src => path.dirname(src) === path.resolve(targetDir))) {
+            // Dropped back where it came from
+            return;
+        } else {
+            this.showDropActionMenu(e, sources, targetDir);
+        }
+    }
+
+    linkFiles(sourceFiles, targetDir) {
+        const created = [];
+        for (const src of sourceFiles) {
+            let dest = path.join(targetDir, path.basename(src));
+            if (fs.existsSync(dest)) {
+                dest = path.join(targetDir, this.getUniqueName(targetDir, path.basename(src)));
+            }
+            try {
+                fs.symlinkSync(src, dest);
+                created.push({ to: dest });
+            } catch (err) {
+                alert(`Failed to create link: ${err.message}`);
+            }
+        }
+        if (created.length > 0) {
+            this.recordOperation({ type: 'create', label: `Link ${created.length} item(s) into ${path.basename(targetDir)}`, items: created });
+        }
+        this.refresh();
+    }
+
     showDropActionMenu(e, sourceFiles, targetDir) {
         this.hideContextMenu();
 
@@ -736,39 +1481,9 @@ class FileManager {
         menu.className = 'context-menu';
         
         const actions = [
-            { icon: '📁', label: 'Move Here', action: async () => {
-                for (const src of sourceFiles) {
-                    const dest = path.join(targetDir, path.basename(src));
-                    try {
-                        await this.moveFile(src, dest);
-                    } catch (err) {
-                        alert(`Failed to move: ${err.message}`);
-                    }
-                }
-                this.refresh();
-            }},
-            { icon: '📋', label: 'Copy Here', action: async () => {
-                for (const src of sourceFiles) {
-                    const dest = path.join(targetDir, path.basename(src));
-                    try {
-                        await this.copyFile(src, dest);
-                    } catch (err) {
-                        alert(`Failed to copy: ${err.message}`);
-                    }
-                }
-                this.refresh();
-            }},
-            { icon: '🔗', label: 'Link Here', action: async () => {
-                for (const src of sourceFiles) {
-                    const dest = path.join(targetDir, path.basename(src));
-                    try {
-                        fs.symlinkSync(src, dest);
-                    } catch (err) {
-                        alert(`Failed to create link: ${err.message}`);
-                    }
-                }
-                this.refresh();
-            }},
+            { icon: '📁', label: 'Move Here', action: () => this.transferFiles(sourceFiles, targetDir, 'move') },
+            { icon: '📋', label: 'Copy Here', action: () => this.transferFiles(sourceFiles, targetDir, 'copy') },
+            { icon: '🔗', label: 'Link Here', action: () => this.linkFiles(sourceFiles, targetDir) },
             'separator',
             { icon: '✖', label: 'Cancel', action: () => {} }
         ];
@@ -781,7 +1496,7 @@ class FileManager {
             } else {
                 const menuItem = document.createElement('div');
                 menuItem.className = 'context-menu-item';
-                menuItem.innerHTML = `${item.icon} ${item.label}`;
+                menuItem.innerHTML = `${item.icon} ${this.escapeHtml(item.label)}`;
                 menuItem.addEventListener('click', (e) => {
                     e.stopPropagation();
                     item.action();
@@ -822,7 +1537,7 @@ class FileManager {
                     comparison = a.name.localeCompare(b.name);
                     break;
                 case 'size':
-                    comparison = a.size - b.size;
+                    comparison = this.getSortSize(a) - this.getSortSize(b);
                     break;
                 case 'modified':
                     comparison = a.modified - b.modified;
@@ -830,10 +1545,23 @@ class FileManager {
                 case 'created':
                     comparison = a.created - b.created;
                     break;
+                case 'accessed':
+                    comparison = (a.accessed || 0) - (b.accessed || 0);
+                    break;
+                case 'permissions':
+                    comparison = ((a.mode || 0) & 0o7777) - ((b.mode || 0) & 0o7777);
+                    break;
+                case 'owner':
+                    comparison = this.getAccountName('passwd', a.uid).localeCompare(this.getAccountName('passwd', b.uid));
+                    break;
+                case 'group':
+                    comparison = this.getAccountName('group', a.gid).localeCompare(this.getAccountName('group', b.gid));
+                    break;
+                case 'tag':
+                    comparison = (this.fileTags[a.path] || '').localeCompare(this.fileTags[b.path] || '');
+                    break;
                 case 'type':
-                    const extA = path.extname(a.name);
-                    const extB = path.extname(b.name);
-                    comparison = extA.localeCompare(extB);
+                    comparison = this.getTypeLabel(a).localeCompare(this.getTypeLabel(b));
                     break;
             }
             
@@ -843,64 +1571,94 @@ class FileManager {
         return files;
     }
 
-    async getFileIcon(file) {
+    // Looks at the file itself: sniffs its type, checks whether a folder is
+    // empty, and makes thumbnails where it can
+    async getFileIcon(file, size = this.getIconPixelSize()) {
         if (file.isDirectory) {
+            let isEmpty = false;
             try {
-                if (!file.path.includes(':')) {  // Not in archive
-                    const contents = fs.readdirSync(file.path);
-                    return contents.length === 0 ? '📁' : '📂';
+                if (path.isAbsolute(file.path)) {  // Not in archive
+                    const dir = await fs.promises.opendir(file.path);
+                    isEmpty = !(await dir.read());
+                    await dir.close();
                 }
             } catch {
-                return '📁';
+                // Unreadable folders get the plain icon
             }
-            return '📁';
+            return this.getThemeIconHtml(this.getIconNames(file, isEmpty), size) || (isEmpty ? '📁' : '📂');
         }
-        
-        const ext = path.extname(file.name).toLowerCase();
-        
-        if (['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(ext) && !file.path.includes(':')) {
-            return await this.getThumbnail(file.path, 'image');
+
+        await this.detectMimeType(file);
+        if (!file.isBrokenLink && this.getThumbnailMethod(file)) {
+            return await this.getThumbnail(file, size > THUMBNAIL_SIZES.normal ? 'large' : 'normal');
         }
         
+        return this.getQuickIcon(file, size);
+    }
+
+    // Decided without touching the disk, shown until getFileIcon has looked at the file
+    getQuickIcon(file, size = this.getIconPixelSize()) {
+        const themed = this.getThemeIconHtml(this.getIconNames(file), size);
+        if (themed) return themed;
+        if (file.isDirectory) return '📁';
+
         const icons = {
-            '.txt': '📄', '.pdf': '📕', '.doc': '📘', '.docx': '📘',
-            '.xls': '📊', '.xlsx': '📊', '.ppt': '📽️', '.pptx': '📽️',
-            '.jpg': '🖼️', '.jpeg': '🖼️', '.png': '🖼️', '.gif': '🖼️',
-            '.mp3': '🎵', '.wav': '🎵', '.ogg': '🎵',
-            '.mp4': '🎬', '.avi': '🎬', '.mkv': '🎬',
-            '.zip': '📦', '.tar': '📦', '.gz': '📦', '.rar': '📦',
-            '.js': '📜', '.py': '🐍', '.java': '☕', '.cpp': '⚙️',
-            '.html': '🌐', '.css': '🎨', '.json': '📋'
+            'application/pdf': '📕',
+            'application/msword': '📘', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '📘',
+            'application/vnd.ms-excel': '📊', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '📊',
+            'application/vnd.ms-powerpoint': '📽️', 'application/vnd.openxmlformats-officedocument.presentationml.presentation': '📽️',
+            'application/zip': '📦', 'application/x-tar': '📦', 'application/gzip': '📦', 'application/vnd.rar': '📦',
+            'application/javascript': '📜', 'text/javascript': '📜', 'text/x-python': '🐍', 'text/x-python3': '🐍',
+            'text/x-java': '☕', 'text/x-c++src': '⚙️', 'text/html': '🌐', 'text/css': '🎨', 'application/json': '📋'
         };
-        
-        return icons[ext] || '📄';
+        const media = { image: '🖼️', audio: '🎵', video: '🎬' };
+
+        const mimeType = this.getFileMimeType(file);
+        const known = this.getMimeAncestors(mimeType).find(type => icons[type]);
+        return known ? icons[known] : media[mimeType.split('/')[0]] || '📄';
     }
 
-    async getThumbnail(filePath, type) {
-        if (this.thumbnailCache[filePath]) {
-            return this.thumbnailCache[filePath];
+    // Kept in memory per size and modification time, so a changed file is
+    // looked up (and its thumbnail remade) again
+    async getThumbnail(file, flavor) {
+        const mtime = Math.floor((file.archive ? file.archive.modified : file.modified).getTime() / 1000);
+        const key = `${flavor}:${mtime}:${file.archive ? file.archive.path + ':' : ''}${file.path}`;
+        if (this.thumbnailCache[key]) {
+            return this.thumbnailCache[key];
         }
 
+        let thumbPath = null;
         try {
-            if (type === 'image') {
-                const img = `<img src="file://${filePath}" onerror="this.style.display='none'">`;
-                this.thumbnailCache[filePath] = img;
-                return img;
-            }
+            thumbPath = file.archive
+                ? await this.findArchiveThumbnail(file, mtime, flavor)
+                : await this.findThumbnail(file, mtime, flavor);
         } catch (err) {
             console.error('Thumbnail generation failed:', err);
         }
 
-        return '📄';
+        const icon = thumbPath
+            ? `<img src="${this.pathToFileUri(thumbPath)}?${mtime}" onerror="this.style.display='none'">`
+            : this.getQuickIcon(file);
+        this.thumbnailCache[key] = icon;
+        return icon;
     }
 
     showLoading(container) {
+        container.style.paddingTop = '';
+        container.style.paddingBottom = '';
         container.innerHTML = '<div class="loading-overlay"><div class="loading-spinner"></div></div>';
     }   
 //part 3
 selectFile(e, file, element, paneIndex) {
     const tab = this.getActiveTab();
     const pane = tab.panes[paneIndex];
+
+    // Items in the other columns belong to other folders: go to theirs
+    const column = element.closest('.miller-column');
+    if (column && !column.classList.contains('current')) {
+        this.openColumn(paneIndex, column.dataset.dir, file.path);
+        return;
+    }
     
     if (e.ctrlKey) {
         if (pane.selectedFiles.has(file.path)) {
@@ -911,19 +1669,22 @@ selectFile(e, file, element, paneIndex) {
             element.classList.add('selected');
         }
     } else if (e.shiftKey && pane.selectedFiles.size > 0) {
+        // The range is taken from the listing since rows out of view have no element
         const fileArea = document.getElementById(`file-area-${paneIndex}`);
-        const items = Array.from(fileArea.querySelectorAll('.file-item'));
+        const paths = pane.files.map(f => f.path);
         const lastSelected = Array.from(pane.selectedFiles)[pane.selectedFiles.size - 1];
-        const lastIndex = items.findIndex(el => el.dataset.path === lastSelected);
-        const currentIndex = items.indexOf(element);
+        const lastIndex = paths.indexOf(lastSelected);
+        const currentIndex = paths.indexOf(file.path);
         
         const start = Math.min(lastIndex, currentIndex);
         const end = Math.max(lastIndex, currentIndex);
         
-        for (let i = start; i <= end; i++) {
-            pane.selectedFiles.add(items[i].dataset.path);
-            items[i].classList.add('selected');
+        for (let i = Math.max(0, start); i <= end; i++) {
+            pane.selectedFiles.add(paths[i]);
         }
+        fileArea.querySelectorAll('.file-item').forEach(el => {
+            el.classList.toggle('selected', pane.selectedFiles.has(el.dataset.path));
+        });
     } else {
         const fileArea = document.getElementById(`file-area-${paneIndex}`);
         fileArea.querySelectorAll('.file-item').forEach(el => el.classList.remove('selected'));
@@ -933,12 +1694,18 @@ selectFile(e, file, element, paneIndex) {
     }
     
     this.updateStatusBar();
+    this.updateColumnPreview(paneIndex);
 }
 
 async openFile(file, paneIndex) {
     const tab = this.getActiveTab();
     const pane = tab.panes[paneIndex];
     
+    if (pane.inTrash) {
+        // Trashed items have to be restored before they can be opened
+        return;
+    }
+    
     if (pane.currentArchive) {
         // Inside archive
         if (file.isDirectory) {
@@ -948,32 +1715,38 @@ async openFile(file, paneIndex) {
         // Files in archive cannot be opened directly
         return;
     }
+
+    if (file.isBrokenLink) {
+        alert(`Cannot open ${file.name}: the link target ${file.linkTarget} does not exist.`);
+        return;
+    }
     
     if (file.isDirectory) {
         this.loadDirectory(file.path, paneIndex);
     } else {
-        const ext = path.extname(file.name).toLowerCase();
+        const mimeType = await this.detectMimeType(file);
+        // Defaults chosen before they were kept per type are still under the extension
+        const command = this.defaultApps[mimeType] || this.defaultApps[path.extname(file.name).toLowerCase()];
         if (['.zip', '.tar', '.tar.gz', '.tgz', '.rar'].some(type => file.name.endsWith(type))) {
             await this.loadArchive(file.path, paneIndex);
-        } else if (['.txt', '.js', '.json', '.html', '.css', '.py', '.md', '.sh', '.xml', '.log'].includes(ext)) {
+        } else if (command) {
+            this.launchWithCommandLine(command, file.path);
+        } else if (this.isTextType(mimeType) && !/^(image|audio|video)\//.test(mimeType)) {
+            // SVG and the like are text underneath but are opened as what they show
             this.openInTextEditor(file);
         } else {
-            if (this.defaultApps[ext]) {
-                exec(`${this.defaultApps[ext]} "${file.path}"`);
-            } else {
-                exec(`xdg-open "${file.path}"`);
-            }
+            this.launchDetached('xdg-open', [file.path]);
         }
     }
 }
 
-showContextMenu(e, file) {
+showContextMenu(e, file, items = null) {
     this.hideContextMenu();
 
     const menu = document.createElement('div');
     menu.className = 'context-menu';
     
-    const items = file ? this.getFileContextMenuItems(file) : this.getEmptyContextMenuItems();
+    items = items || (file ? this.getFileContextMenuItems(file) : this.getEmptyContextMenuItems());
     
     items.forEach(item => {
         if (item === 'separator') {
@@ -983,7 +1756,7 @@ showContextMenu(e, file) {
         } else {
             const menuItem = document.createElement('div');
             menuItem.className = 'context-menu-item';
-            menuItem.innerHTML = item.html || `${item.icon} ${item.label}`;
+            menuItem.innerHTML = item.html || `${item.icon} ${this.escapeHtml(item.label)}`;
             menuItem.addEventListener('click', (e) => {
                 e.stopPropagation();
                 item.action();
@@ -1032,7 +1805,7 @@ showSubmenu(parent, items) {
     items.forEach(item => {
         const menuItem = document.createElement('div');
         menuItem.className = 'context-menu-item';
-        menuItem.innerHTML = item.html || item.label;
+        menuItem.innerHTML = item.html || this.escapeHtml(item.label);
         menuItem.addEventListener('click', (e) => {
             e.stopPropagation();
             item.action();
@@ -1055,8 +1828,25 @@ showSubmenu(parent, items) {
 }
 
 getFileContextMenuItems(file) {
-    const ext = path.extname(file.name).toLowerCase();
-    const isTextFile = ['.txt', '.js', '.json', '.html', '.css', '.py', '.md', '.sh', '.xml', '.log'].includes(ext);
+    if (file.trashInfoPath) {
+        return this.getTrashContextMenuItems(file);
+    }
+
+    const isTextFile = !file.isDirectory && this.isTextType(this.getFileMimeType(file));
+    const activeTab = this.getActiveTab();
+    const inArchive = !!activeTab.panes[activeTab.activePaneIndex].currentArchive;
+
+    const linkItems = [];
+    if (!inArchive) {
+        linkItems.push({ icon: '🔗', label: 'Create Symlink', action: () => this.createLinks('symbolic') });
+        if (!file.isDirectory) {
+            linkItems.push({ icon: '⛓️', label: 'Create Hard Link', action: () => this.createLinks('hard') });
+        }
+        if (file.isSymlink && !file.isBrokenLink) {
+            linkItems.push({ icon: '↪', label: 'Go to Link Target', action: () => this.goToLinkTarget(file) });
+        }
+        linkItems.push('separator');
+    }
     
     const items = [
         { icon: '📂', label: 'Open', action: () => {
@@ -1074,11 +1864,15 @@ getFileContextMenuItems(file) {
         { icon: '🔑', label: 'Open as Root', action: () => this.openAsRoot(file) },
         'separator',
         { icon: '✏️', label: 'Rename', action: () => this.renameFile(file) },
+        { icon: '🔤', label: 'Bulk Rename', action: () => this.showBulkRename() },
         { icon: '📋', label: 'Copy', action: () => this.copyFiles() },
         { icon: '✂️', label: 'Cut', action: () => this.cutFiles() },
-        { icon: '🗑️', label: 'Delete', action: () => this.deleteFiles() },
+        { icon: '🗑️', label: 'Move to Trash', action: () => this.deleteFiles() },
+        { icon: '❌', label: 'Delete Permanently', action: () => this.deleteFiles(true) },
         'separator',
+        ...linkItems,
         { icon: '📦', label: 'Compress', action: () => this.compressFiles() },
+        ...(file.isDirectory && !inArchive ? [{ icon: '👯', label: 'Find Duplicates', action: () => this.findDuplicates(file.path) }] : []),
         { icon: '🏷️', label: 'Tag Color', submenu: this.getColorSubmenu(file) },
         { icon: '📍', label: 'Copy Path', action: () => this.copyPath(file) },
         'separator',
@@ -1089,13 +1883,31 @@ getFileContextMenuItems(file) {
 }
 
 getEmptyContextMenuItems() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    if (pane.inTrash) {
+        return [
+            { icon: '🧹', label: 'Empty Trash', action: () => this.emptyTrash() },
+            'separator',
+            { icon: '🔄', label: 'Refresh', action: () => this.refresh() }
+        ];
+    }
+
+    const lastUndo = this.journal.undo[this.journal.undo.length - 1];
+    const lastRedo = this.journal.redo[this.journal.redo.length - 1];
+
     return [
         { icon: '📋', label: 'Paste', action: () => this.pasteFiles() },
         'separator',
+        { icon: '↶', label: lastUndo ? `Undo: ${this.describeUndo(lastUndo)}` : 'Nothing to Undo', action: () => this.undo() },
+        { icon: '↷', label: lastRedo ? `Redo: ${lastRedo.label}` : 'Nothing to Redo', action: () => this.redo() },
+        { icon: '🕘', label: 'Undo History', action: () => this.showJournalHistory() },
+        'separator',
         { icon: '📄', label: 'New File', action: () => this.createNew('file') },
         { icon: '📁', label: 'New Folder', action: () => this.createNew('folder') },
         'separator',
         { icon: '⌨️', label: 'Open Terminal Here', action: () => this.openTerminal() },
+        ...(pane.currentArchive ? [] : [{ icon: '👯', label: 'Find Duplicates', action: () => this.findDuplicates(pane.path) }]),
         { icon: '🔄', label: 'Sort By', submenu: [
             { label: 'Name (A-Z)', action: () => this.setSorting('name', 'asc') },
             { label: 'Name (Z-A)', action: () => this.setSorting('name', 'desc') },
@@ -1109,7 +1921,16 @@ getEmptyContextMenuItems() {
         ]},
         { icon: '👁️', label: 'View', submenu: [
             { label: 'Grid View', action: () => this.setView('grid') },
-            { label: 'List View', action: () => this.setView('list') }
+            { label: 'List View', action: () => this.setView('list') },
+            { label: 'Details View', action: () => this.setView('details') },
+            { label: 'Columns View', action: () => this.setView('columns') },
+            { label: `${pane.view.showHidden ? '✓ ' : ''}Show Hidden Files`, action: () => this.toggleHidden() },
+            { label: `${this.settings.previewPanel ? '✓ ' : ''}Preview Panel`, action: () => this.togglePreviewPanel() },
+            ...(pane.currentArchive ? [] : [
+                { label: 'Reset Folder View', action: () => this.resetFolderView() },
+                { label: 'Apply View to Subfolders', action: () => this.applyViewToSubfolders() },
+                { label: 'Use as Default View', action: () => this.setDefaultView() }
+            ])
         ]},
         'separator',
         { icon: '🔄', label: 'Refresh', action: () => this.refresh() }
@@ -1138,24 +1959,17 @@ showPlaceContextMenu(e, place) {
     e.stopPropagation();
     this.hideContextMenu();
 
-    const home = os.homedir();
-    const places = {
-        home: home,
-        desktop: path.join(home, 'Desktop'),
-        documents: path.join(home, 'Documents'),
-        downloads: path.join(home, 'Downloads'),
-        pictures: path.join(home, 'Pictures'),
-        music: path.join(home, 'Music'),
-        videos: path.join(home, 'Videos')
-    };
-
     const menu = document.createElement('div');
     menu.className = 'context-menu';
 
-    const items = [
+    const items = place === 'trash' ? [
+        { icon: '📂', label: 'Open', action: () => this.navigateToPlace(place) },
+        'separator',
+        { icon: '🧹', label: 'Empty Trash', action: () => this.emptyTrash() }
+    ] : [
         { icon: '📂', label: 'Open', action: () => this.navigateToPlace(place) },
         'separator',
-        { icon: '📌', label: 'Add to Custom Places', action: () => this.addToCustomPlaces(places[place]) }
+        { icon: '📌', label: 'Add to Custom Places', action: () => this.addToCustomPlaces(this.getPlacePath(place)) }
     ];
 
     this.renderContextMenuItems(menu, items, e);
@@ -1190,7 +2004,7 @@ renderContextMenuItems(menu, items, e) {
         } else {
             const menuItem = document.createElement('div');
             menuItem.className = 'context-menu-item';
-            menuItem.innerHTML = `${item.icon} ${item.label}`;
+            menuItem.innerHTML = `${item.icon} ${this.escapeHtml(item.label)}`;
             menuItem.addEventListener('click', (e) => {
                 e.stopPropagation();
                 item.action();
@@ -1234,6 +2048,7 @@ copyFiles() {
     if (pane.selectedFiles.size === 0) return;
     this.clipboard = Array.from(pane.selectedFiles);
     this.clipboardAction = 'copy';
+    this.publishFileClipboard(this.clipboard);
 }
 
 cutFiles() {
@@ -1242,692 +2057,6194 @@ cutFiles() {
     if (pane.selectedFiles.size === 0) return;
     this.clipboard = Array.from(pane.selectedFiles);
     this.clipboardAction = 'cut';
+    this.publishFileClipboard(this.clipboard);
 }
 
 async pasteFiles() {
-    if (!this.clipboard || this.clipboard.length === 0) return;
-
     const tab = this.getActiveTab();
     const pane = tab.panes[tab.activePaneIndex];
+    if (pane.currentArchive || pane.inTrash) return;
+
+    const external = await this.readDesktopClipboard();
+
+    if (external && external.paths) {
+        // Our own copy comes back without the cut flag on some desktops
+        const ours = this.clipboard && external.paths.join('\n') === this.clipboard.join('\n');
+        const cut = external.action === 'cut' || (ours && this.clipboardAction === 'cut');
+        this.transferFiles(external.paths, pane.path, cut ? 'move' : 'copy');
+        if (cut) {
+            this.clipboard = null;
+            this.clipboardAction = null;
+            nw.Clipboard.get().clear();
+        }
+        return;
+    }
+
+    if (this.clipboard && this.clipboard.length > 0 && !external) {
+        this.transferFiles(this.clipboard, pane.path, this.clipboardAction === 'cut' ? 'move' : 'copy');
+        if (this.clipboardAction === 'cut') {
+            this.clipboard = null;
+            this.clipboardAction = null;
+        }
+        return;
+    }
+
+    if (external && external.image) {
+        this.saveClipboardData(pane.path, 'Pasted image.png', external.image);
+    } else if (external && external.text) {
+        this.saveClipboardData(pane.path, 'Pasted text.txt', external.text);
+    }
+}
 
-    for (const srcPath of this.clipboard) {
-        const fileName = path.basename(srcPath);
-        const destPath = path.join(pane.path, fileName);
+transferFiles(sources, targetDir, mode) {
+    const what = sources.length === 1 ? path.basename(sources[0]) : `${sources.length} items`;
+    const label = `${mode === 'copy' ? 'Copying' : 'Moving'} ${what} to ${path.basename(targetDir) || targetDir}`;
+
+    return this.enqueueJob(mode, label, async (job) => {
+        job.changed.push(targetDir, ...(mode === 'move' ? sources : []));
+        if (mode === 'copy') {
+            for (const src of sources) {
+                await this.measureTree(job, src);
+            }
+        } else {
+            job.itemsTotal = sources.length;
+        }
 
+        const conflicts = {};
         try {
-            if (this.clipboardAction === 'copy') {
-                await this.copyFile(srcPath, destPath);
-            } else if (this.clipboardAction === 'cut') {
-                await this.moveFile(srcPath, destPath);
+            for (const src of sources) {
+                try {
+                    await this.transferItem(job, src, targetDir, mode, conflicts);
+                } catch (err) {
+                    if (err.code === 'ECANCELED') throw err;
+                    job.errors.push(`${path.basename(src)}: ${err.message}`);
+                }
+            }
+        } finally {
+            if (job.transfers.length > 0) {
+                this.recordOperation({
+                    type: mode,
+                    label: `${mode === 'copy' ? 'Copy' : 'Move'} ${what} to ${path.basename(targetDir) || targetDir}`,
+                    items: job.transfers,
+                    replaced: job.replaced
+                });
             }
-        } catch (err) {
-            alert(`Failed to paste ${fileName}: ${err.message}`);
         }
+    });
+}
+
+// Copies or moves src into destDir, asking how to resolve name clashes.
+// `conflicts` carries the "apply to all" choices across one job.
+async transferItem(job, src, destDir, mode, conflicts, name = path.basename(src)) {
+    await this.jobCheckpoint(job);
+    let dest = path.join(destDir, name);
+
+    if (path.resolve(src) === path.resolve(dest)) {
+        if (mode === 'move') return;
+        dest = path.join(destDir, this.getUniqueName(destDir, name, 'copy'));
+    } else if (path.resolve(dest).startsWith(path.resolve(src) + path.sep)) {
+        throw new Error(`Cannot ${mode} a folder into itself`);
     }
 
-    if (this.clipboardAction === 'cut') {
-        this.clipboard = null;
-        this.clipboardAction = null;
+    const existing = await fs.promises.lstat(dest).catch(() => null);
+    if (existing) {
+        const srcStats = await fs.promises.lstat(src);
+        const action = await this.resolveConflict(job, src, dest, srcStats, existing, conflicts);
+
+        if (action === 'skip') {
+            return;
+        } else if (action === 'rename') {
+            dest = path.join(destDir, this.getUniqueName(destDir, name));
+        } else if (action === 'overwrite') {
+            await this.replaceItem(job, src, dest, mode, conflicts);
+            return;
+        } else if (action === 'merge') {
+            for (const entry of await fs.promises.readdir(src)) {
+                await this.transferItem(job, path.join(src, entry), dest, mode, conflicts);
+            }
+            if (mode === 'move') {
+                await fs.promises.rmdir(src).catch(() => {});
+            }
+            return;
+        }
     }
 
-    this.refresh();
+    if (mode === 'copy') {
+        await this.copyFile(src, dest, job);
+    } else {
+        job.currentFile = src;
+        await this.moveFile(src, dest, job);
+        job.itemsDone++;
+        this.updateJobProgress(job);
+    }
+    job.transfers.push({ from: src, to: dest });
 }
 
-async copyFile(src, dest) {
-    return new Promise((resolve, reject) => {
-        const stats = fs.statSync(src);
-        if (stats.isDirectory()) {
-            exec(`cp -r "${src}" "${dest}"`, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
+// The new item is put under a temporary name beside dest first, and only once
+// it is complete does dest go (to the trash, so it can be undone) and the new
+// item take its name. A failed copy leaves dest alone, and a source inside
+// what it replaces (moving x/foo/foo into x) is out of it before it goes.
+async replaceItem(job, src, dest, mode, conflicts) {
+    const staged = path.join(path.dirname(dest), `.elve-replace-${process.pid}-${Date.now()}`);
+    try {
+        await this.transferItem(job, src, path.dirname(dest), mode, conflicts, path.basename(staged));
+    } catch (err) {
+        if (mode === 'copy') await this.removePath(staged);
+        throw err;
+    }
+    const transfer = job.transfers[job.transfers.length - 1];
+
+    try {
+        job.replaced.push(this.trashFile(dest));
+    } catch (err) {
+        const deleteInstead = confirm(
+            `Cannot move ${path.basename(dest)} to the trash: ${err.message}\n\nDelete it permanently and replace it anyway?`
+        );
+        if (!deleteInstead) {
+            job.transfers.pop();
+            if (mode === 'copy') {
+                await this.removePath(staged);
+            } else {
+                await this.moveFile(staged, src, job);
+            }
+            job.errors.push(`${path.basename(dest)}: not replaced, as it could not be moved to the trash`);
+            return;
+        }
+        await this.removePath(dest);
+    }
+    await fs.promises.rename(staged, dest);
+    transfer.to = dest;
+}
+
+async resolveConflict(job, src, dest, srcStats, destStats, conflicts) {
+    const bothFolders = srcStats.isDirectory() && destStats.isDirectory();
+    const kind = bothFolders ? 'folder' : 'file';
+    if (conflicts[kind]) return conflicts[kind];
+
+    const { action, applyToAll } = await this.showConflictDialog(src, dest, srcStats, destStats, bothFolders);
+    if (action === 'cancel') {
+        this.cancelJob(job.id);
+        await this.jobCheckpoint(job);
+    }
+    if (applyToAll) {
+        conflicts[kind] = action;
+    }
+    return action;
+}
+
+// "report.pdf" -> "report (2).pdf", or "report (copy).pdf" for same-folder duplicates
+getUniqueName(dir, name, style = 'number') {
+    let stem = name;
+    let ext = '';
+    const isFolder = fs.existsSync(path.join(dir, name)) && fs.statSync(path.join(dir, name)).isDirectory();
+    if (!isFolder && !name.startsWith('.')) {
+        const match = name.match(/^(.+?)((?:\.tar)?\.[^.\s]+)?$/);
+        stem = match[1];
+        ext = match[2] || '';
+    }
+
+    for (let n = 2; ; n++) {
+        let candidate;
+        if (style === 'copy') {
+            candidate = n === 2 ? `${stem} (copy)${ext}` : `${stem} (copy ${n - 1})${ext}`;
         } else {
-            fs.copyFile(src, dest, (err) => {
-                if (err) reject(err);
-                else resolve();
-            });
+            candidate = `${stem} (${n})${ext}`;
         }
-    });
+        if (!fs.existsSync(path.join(dir, candidate))) return candidate;
+    }
 }
 
-async moveFile(src, dest) {
-    return new Promise((resolve, reject) => {
-        fs.rename(src, dest, (err) => {
-            if (err) reject(err);
-            else resolve();
+describeForConflict(filePath, stats) {
+    let size = this.formatSize(stats.size);
+    if (stats.isDirectory()) {
+        try {
+            size = `${fs.readdirSync(filePath).length} items`;
+        } catch (err) {
+            size = 'Folder';
+        }
+    }
+    return `
+        <div class="conflict-file">
+            <div class="conflict-file-path" title="${this.escapeHtml(filePath)}">${this.escapeHtml(filePath)}</div>
+            <div class="conflict-file-meta">${size} · Modified ${stats.mtime.toLocaleString()}</div>
+        </div>
+    `;
+}
+
+showConflictDialog(src, dest, srcStats, destStats, bothFolders) {
+    return new Promise((resolve) => {
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-title">${bothFolders ? 'Folder' : 'File'} "${this.escapeHtml(path.basename(dest))}" already exists</div>
+                <div class="modal-body" style="font-size:13px;">
+                    <div class="conflict-label">Existing</div>
+                    ${this.describeForConflict(dest, destStats)}
+                    <div class="conflict-label">Replace with</div>
+                    ${this.describeForConflict(src, srcStats)}
+                    <label style="display: flex; align-items: center; gap: 8px; margin-top: 12px;">
+                        <input type="checkbox" id="conflict-apply-all">
+                        <span>Apply this action to all conflicts</span>
+                    </label>
+                </div>
+                <div class="modal-actions">
+                    <button class="btn" data-action="cancel">Cancel</button>
+                    <button class="btn" data-action="skip">Skip</button>
+                    <button class="btn" data-action="rename">Rename</button>
+                    ${bothFolders ? '<button class="btn" data-action="merge">Merge</button>' : ''}
+                    <button class="btn btn-primary" data-action="overwrite">Overwrite</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const applyToAll = modal.querySelector('#conflict-apply-all').checked;
+                modal.remove();
+                resolve({ action: btn.dataset.action, applyToAll });
+            });
         });
     });
 }
 
-async deleteFiles() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    if (pane.selectedFiles.size === 0) return;
+// DESKTOP CLIPBOARD
+// nw.Clipboard only carries text and images, so the file lists other file
+// managers put on the clipboard are read with wl-paste (Wayland) or xclip (X11).
+getClipboardTool() {
+    if (process.env.WAYLAND_DISPLAY && this.commandExists('wl-paste')) {
+        return 'wayland';
+    }
+    if (process.env.DISPLAY && this.commandExists('xclip')) {
+        return 'x11';
+    }
+    return null;
+}
 
-    const confirmed = confirm(`Delete ${pane.selectedFiles.size} item(s)?`);
-    if (!confirmed) return;
+pathToFileUri(filePath) {
+    return 'file://' + path.resolve(filePath).split('/').map(encodeURIComponent).join('/');
+}
 
-    for (const filePath of pane.selectedFiles) {
+fileUriToPath(uri) {
+    const match = uri.trim().match(/^file:\/\/[^/]*(\/.*)$/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+publishFileClipboard(paths) {
+    // Only the paths go out, as text. text/uri-list and the GNOME list that
+    // other file managers paste from have to be served side by side, with the
+    // text, by a process that owns the selection; nw.Clipboard only knows
+    // text, HTML and images, and xclip and wl-copy serve a single format that
+    // would replace the others. Pasting files copied elsewhere still works.
+    nw.Clipboard.get().set(paths.join('\n'), 'text');
+}
+
+// Returns { paths, action }, { image }, { text } or null for an empty clipboard
+async readDesktopClipboard() {
+    const tool = this.getClipboardTool();
+
+    if (tool) {
         try {
-            const stats = fs.statSync(filePath);
-            if (stats.isDirectory()) {
-                await execPromise(`rm -rf "${filePath}"`);
-            } else {
-                fs.unlinkSync(filePath);
+            const read = (type) => tool === 'wayland'
+                ? this.runCommand('wl-paste', ['--no-newline', '--type', type], { timeout: 5000 })
+                : this.runCommand('xclip', ['-selection', 'clipboard', '-t', type, '-o'], { timeout: 5000 });
+            const { stdout: typeList } = tool === 'wayland'
+                ? await this.runCommand('wl-paste', ['--list-types'], { timeout: 5000 })
+                : await this.runCommand('xclip', ['-selection', 'clipboard', '-t', 'TARGETS', '-o'], { timeout: 5000 });
+            const types = typeList.split('\n').map(t => t.trim());
+
+            if (types.includes('x-special/gnome-copied-files')) {
+                const [action, ...uris] = (await read('x-special/gnome-copied-files')).stdout.split('\n');
+                const paths = uris.map(u => this.fileUriToPath(u)).filter(Boolean);
+                if (paths.length > 0) return { paths, action: action.trim() === 'cut' ? 'cut' : 'copy' };
+            }
+            if (types.includes('text/uri-list')) {
+                const uris = (await read('text/uri-list')).stdout.split(/\r?\n/).filter(u => u && !u.startsWith('#'));
+                const paths = uris.map(u => this.fileUriToPath(u)).filter(Boolean);
+                // KDE marks cut files with a separate flag target
+                const kdeCut = types.includes('application/x-kde-cutselection')
+                    && (await read('application/x-kde-cutselection')).stdout.trim() === '1';
+                if (paths.length > 0) return { paths, action: kdeCut ? 'cut' : 'copy' };
             }
         } catch (err) {
-            alert(`Failed to delete ${path.basename(filePath)}: ${err.message}`);
+            console.error('Failed to read the desktop clipboard:', err);
         }
     }
 
-    pane.selectedFiles.clear();
-    this.refresh();
-}
-
-copyPath(file) {
-    const clipboard = nw.Clipboard.get();
-    clipboard.set(file.path, 'text');
-}
+    const clip = nw.Clipboard.get();
+    const available = clip.readAvailableTypes();
 
-tagFile(file, color) {
-    if (color) {
-        this.fileTags[file.path] = color;
-    } else {
-        delete this.fileTags[file.path];
+    if (available.includes('text')) {
+        const text = clip.get('text');
+        // Paths or file:// URIs pasted from a terminal or another app
+        const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+        const paths = lines.map(l => l.startsWith('file://') ? this.fileUriToPath(l) : l);
+        if (paths.length > 0 && paths.every(p => p && path.isAbsolute(p) && fs.existsSync(p))) {
+            return { paths, action: 'copy' };
+        }
+        if (!available.includes('png')) {
+            return text ? { text } : null;
+        }
     }
-    this.saveTags();
-    this.refresh();
+    if (available.includes('png')) {
+        const dataUrl = clip.get('png');
+        return { image: Buffer.from(dataUrl.replace(/^data:image\/png;base64,/, ''), 'base64') };
+    }
+
+    return null;
 }
 
-renameFile(file) {
+saveClipboardData(dirPath, defaultName, data) {
+    const name = fs.existsSync(path.join(dirPath, defaultName)) ? this.getUniqueName(dirPath, defaultName) : defaultName;
+    const preview = typeof data === 'string'
+        ? `<pre class="clipboard-preview">${this.escapeHtml(data.slice(0, 500))}</pre>`
+        : `<img class="clipboard-preview" src="data:image/png;base64,${data.toString('base64')}">`;
+
     this.showModal(
-        'Rename',
-        `<input type="text" class="input-field" id="rename-input" value="${file.name}">`,
-        async () => {
-            const newName = document.getElementById('rename-input').value.trim();
-            if (!newName || newName === file.name) return;
+        `Save ${typeof data === 'string' ? 'text' : 'image'} from clipboard`,
+        `${preview}
+         <input type="text" class="input-field" id="clipboard-file-name" value="${this.escapeHtml(name)}">`,
+        () => {
+            const fileName = document.getElementById('clipboard-file-name').value.trim();
+            if (!fileName) return;
 
-            const newPath = path.join(path.dirname(file.path), newName);
+            const filePath = path.join(dirPath, fileName);
             try {
-                await this.moveFile(file.path, newPath);
+                fs.writeFileSync(filePath, data, { flag: 'wx' });
+                this.recordOperation({ type: 'create', label: `Paste ${fileName}`, items: [{ to: filePath }] });
                 this.refresh();
             } catch (err) {
-                alert('Failed to rename: ' + err.message);
+                alert('Failed to save clipboard contents: ' + err.message);
             }
         }
     );
-    
-    // Auto-select filename without extension
-    setTimeout(() => {
-        const input = document.getElementById('rename-input');
-        if (input) {
-            const lastDot = file.name.lastIndexOf('.');
-            if (lastDot > 0) {
-                input.setSelectionRange(0, lastDot);
-            } else {
-                input.select();
-            }
-            input.focus();
-        }
-    }, 100);
 }
 
-formatSize(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+async copyFile(src, dest, job = null) {
+    const stats = await fs.promises.lstat(src);
+    if (job) {
+        await this.jobCheckpoint(job);
+        job.currentFile = src;
+    }
+
+    if (stats.isDirectory()) {
+        // A read-only folder gets its mode once its entries are in, and one
+        // that already existed keeps its own
+        const created = await fs.promises.mkdir(dest, { recursive: true, mode: 0o700 });
+        for (const entry of await fs.promises.readdir(src)) {
+            await this.copyFile(path.join(src, entry), path.join(dest, entry), job);
+        }
+        if (created) await fs.promises.chmod(dest, stats.mode & 0o7777);
+    } else if (stats.isSymbolicLink()) {
+        await fs.promises.symlink(await fs.promises.readlink(src), dest);
+    } else {
+        await this.copyFileContents(src, dest, stats, job);
+    }
+
+    if (job) {
+        job.itemsDone++;
+        this.updateJobProgress(job);
+    }
 }
-//part 4
-updateAddressBar() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    const addressBar = document.getElementById('addressbar');
-    const content = document.getElementById('addressbar-content');
-    addressBar.classList.remove('editing');
-    content.innerHTML = '';
 
-    // Handle archive paths
-    if (pane.currentArchive) {
-        const archiveName = path.basename(pane.archiveBasePath);
-        const subPath = pane.path || '/';
-        
-        // Archive root breadcrumb
-        const archiveBreadcrumb = document.createElement('div');
-        archiveBreadcrumb.className = 'breadcrumb';
-        archiveBreadcrumb.textContent = `📦 ${archiveName}`;
-        archiveBreadcrumb.addEventListener('click', () => {
-            this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, '');
-        });
-        content.appendChild(archiveBreadcrumb);
-        
-        // Subdirectories in archive
-        if (subPath !== '/') {
-            const parts = subPath.split('/').filter(p => p);
-            let currentPath = '';
-            parts.forEach((part) => {
-                currentPath += (currentPath ? '/' : '') + part;
-                const breadcrumb = document.createElement('div');
-                breadcrumb.className = 'breadcrumb';
-                breadcrumb.textContent = part;
-                
-                const fullPath = currentPath;
-                breadcrumb.addEventListener('click', () => {
-                    this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, fullPath);
-                });
-                
-                content.appendChild(breadcrumb);
-            });
+// Chunked copy so a job can report bytes and be paused or cancelled mid-file
+async copyFileContents(src, dest, stats, job) {
+    const reader = fs.createReadStream(src, { highWaterMark: 1024 * 1024 });
+    const handle = await fs.promises.open(dest, 'w', stats.mode);
+
+    try {
+        for await (const chunk of reader) {
+            if (job) await this.jobCheckpoint(job);
+            await handle.write(chunk);
+            if (job) {
+                job.bytesDone += chunk.length;
+                this.updateJobProgress(job);
+            }
         }
-        return;
+        await handle.close();
+    } catch (err) {
+        reader.destroy();
+        await handle.close();
+        await fs.promises.rm(dest, { force: true });
+        throw err;
     }
+}
 
-    // Regular directory paths
-    const parts = tab.currentPath.split('/').filter(p => p);
-    parts.unshift('');
+async moveFile(src, dest, job = null) {
+    try {
+        await fs.promises.rename(src, dest);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await this.moveAcrossDevices(src, dest, job);
+    }
+}
 
-    const maxWidth = addressBar.clientWidth - 100;
-    let breadcrumbs = [];
-    let currentPath = '';
-    
-    parts.forEach((part, index) => {
-        currentPath += (index === 0 ? '' : '/') + part;
-        const breadcrumb = document.createElement('div');
-        breadcrumb.className = 'breadcrumb';
-        breadcrumb.textContent = part || '/';
-        
-        const fullPath = currentPath || '/';
-        breadcrumb.addEventListener('click', () => {
-            this.loadDirectory(fullPath, tab.activePaneIndex);
-        });
+// rename() cannot cross mount points, so copy everything with its metadata,
+// verify it, and only then remove the source. If any entry fails to copy the
+// source is left whole, the partial copy is dropped and the failures are listed.
+async moveAcrossDevices(src, dest, job) {
+    const copied = [];
+    const failures = [];
+
+    // Moves count one item per source, done by the caller; only the bytes are
+    // measured here, so the progress follows the copy
+    if (job) {
+        const itemsTotal = job.itemsTotal;
+        await this.measureTree(job, src);
+        job.itemsTotal = itemsTotal;
+    }
 
-        breadcrumbs.push({ element: breadcrumb, width: breadcrumb.textContent.length * 8 });
-    });
+    try {
+        await this.copyPreserving(src, dest, job, copied, failures);
+    } catch (err) {
+        // Cancelled: the source is untouched, drop the partial copy
+        await this.removePath(dest);
+        throw err;
+    }
 
-    // Show ellipsis if path is too long
-    let totalWidth = breadcrumbs.reduce((sum, b) => sum + b.width, 0);
-    let startIndex = 0;
-    
-    if (totalWidth > maxWidth) {
-        for (let i = 1; i < breadcrumbs.length - 1; i++) {
-            totalWidth -= breadcrumbs[i].width;
-            if (totalWidth <= maxWidth) {
-                startIndex = i;
-                break;
+    if (failures.length > 0) {
+        await this.removePath(dest);
+        const err = new Error(
+            `${path.basename(src)} was not moved because ${failures.length} item(s) could not be copied:\n` +
+            failures.map(f => `  ${f.path}: ${f.error}`).join('\n')
+        );
+        err.failedEntries = failures;
+        throw err;
+    }
+
+    // Children were pushed before their parents, so directories are empty by now
+    for (const entry of copied) {
+        try {
+            if (entry.isDirectory) {
+                await fs.promises.rmdir(entry.path);
+            } else {
+                await fs.promises.unlink(entry.path);
             }
-        }
-        
-        if (startIndex > 0) {
-            const ellipsis = document.createElement('div');
-            ellipsis.className = 'breadcrumb';
-            ellipsis.textContent = '...';
-            content.appendChild(ellipsis);
+        } catch (err) {
+            failures.push({ path: entry.path, error: `copied but could not remove source: ${err.message}` });
         }
     }
 
-    for (let i = Math.max(0, startIndex); i < breadcrumbs.length; i++) {
-        content.appendChild(breadcrumbs[i].element);
+    if (failures.length > 0) {
+        const err = new Error(
+            `${failures.length} item(s) were not moved:\n` +
+            failures.map(f => `  ${f.path}: ${f.error}`).join('\n')
+        );
+        err.failedEntries = failures;
+        throw err;
     }
 }
 
-editAddressBar() {
-    const tab = this.getActiveTab();
-    const addressBar = document.getElementById('addressbar');
-    addressBar.classList.add('editing');
-    addressBar.innerHTML = '';
-    
-    const input = document.createElement('input');
-    input.type = 'text';
-    input.className = 'addressbar-input';
-    input.value = tab.currentPath;
-    
-    addressBar.appendChild(input);
-    input.focus();
-    input.select();
-    
-    const handleSubmit = () => {
-        const newPath = input.value.trim();
-        if (newPath && fs.existsSync(newPath)) {
-            this.loadDirectory(newPath, tab.activePaneIndex);
-        } else {
-            this.updateAddressBar();
+// Returns true when src and everything below it was copied and verified
+async copyPreserving(src, dest, job, copied, failures) {
+    if (job) {
+        await this.jobCheckpoint(job);
+        job.currentFile = src;
+    }
+
+    try {
+        const stats = await fs.promises.lstat(src);
+
+        if (stats.isDirectory()) {
+            // Writable until its entries are in; applyMetadata() sets the real mode after
+            await fs.promises.mkdir(dest, { mode: 0o700 }).catch((err) => {
+                if (err.code !== 'EEXIST') throw err;
+            });
+
+            let complete = true;
+            for (const entry of await fs.promises.readdir(src)) {
+                const ok = await this.copyPreserving(path.join(src, entry), path.join(dest, entry), job, copied, failures);
+                complete = complete && ok;
+            }
+
+            await this.applyMetadata(dest, stats);
+            if (complete) {
+                copied.push({ path: src, isDirectory: true });
+            }
+            return complete;
         }
-    };
-    
-    input.addEventListener('blur', handleSubmit);
-    input.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter') {
-            handleSubmit();
-        } else if (e.key === 'Escape') {
-            this.updateAddressBar();
+
+        if (stats.isSymbolicLink()) {
+            await fs.promises.symlink(await fs.promises.readlink(src), dest);
+        } else {
+            await this.copyFileContents(src, dest, stats, job);
+            try {
+                await this.verifyCopy(src, dest, stats);
+            } catch (err) {
+                await fs.promises.rm(dest, { force: true });
+                throw err;
+            }
         }
-    });
-}
 
-updateIconSize() {
-    const size = this.iconSize;
-    document.querySelectorAll('.file-area').forEach(area => {
-        area.style.setProperty('--icon-size', size + 'px');
-        area.style.setProperty('--item-size', (size + 40) + 'px');
-    });
+        await this.applyMetadata(dest, stats);
+        copied.push({ path: src, isDirectory: false });
+        return true;
+    } catch (err) {
+        if (err.code === 'ECANCELED') throw err;
+        failures.push({ path: src, error: err.message });
+        return false;
+    }
 }
 
-async updateStatusBar() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    const selectedCount = pane.selectedFiles.size;
+async applyMetadata(dest, stats) {
+    // Ownership first: chown clears setuid/setgid, and only root may give files away
+    await fs.promises.lchown(dest, stats.uid, stats.gid).catch(() => {});
+    if (!stats.isSymbolicLink()) {
+        await fs.promises.chmod(dest, stats.mode & 0o7777);
+    }
+    await fs.promises.lutimes(dest, stats.atime, stats.mtime);
+}
 
-    document.getElementById('status-selection').textContent = 
-        selectedCount === 0 ? 'No items selected' : 
-        selectedCount === 1 ? '1 item selected' : 
-        `${selectedCount} items selected`;
+async verifyCopy(src, dest, stats) {
+    const mode = this.settings.moveVerification;
+    if (mode === 'none') return;
 
-    if (selectedCount === 1) {
-        const filePath = Array.from(pane.selectedFiles)[0];
-        try {
-            const stats = fs.lstatSync(filePath);
-            const size = this.formatSize(stats.size);
-            const permissions = (stats.mode & parseInt('777', 8)).toString(8);
-            const modified = stats.mtime.toLocaleDateString();
-            const created = stats.birthtime.toLocaleDateString();
-            
-            let owner = '';
-            try {
-                const { stdout } = await execPromise(`stat -c '%U:%G' "${filePath}"`);
-                owner = stdout.trim();
-            } catch (err) {}
+    const destStats = await fs.promises.stat(dest);
+    if (destStats.size !== stats.size) {
+        throw new Error(`size mismatch after copy (${destStats.size} of ${stats.size} bytes)`);
+    }
 
-            document.getElementById('status-size').textContent = `Size: ${size}`;
-            document.getElementById('status-perms').textContent = `Perms: ${permissions}`;
-            document.getElementById('status-owner').textContent = owner ? `Owner: ${owner}` : '';
-            document.getElementById('status-created').textContent = `Created: ${created}`;
-            document.getElementById('status-modified').textContent = `Modified: ${modified}`;
-        } catch (err) {
-            this.clearStatusBar();
+    if (mode === 'checksum') {
+        const [srcHash, destHash] = await Promise.all([this.hashFile(src), this.hashFile(dest)]);
+        if (srcHash !== destHash) {
+            throw new Error('checksum mismatch after copy');
         }
-    } else {
-        this.clearStatusBar();
     }
 }
 
-clearStatusBar() {
-    document.getElementById('status-size').textContent = '';
-    document.getElementById('status-perms').textContent = '';
-    document.getElementById('status-owner').textContent = '';
-    document.getElementById('status-created').textContent = '';
-    document.getElementById('status-modified').textContent = '';
+// With a job the read pauses and cancels between chunks and counts toward bytesDone
+async hashFile(filePath, algorithm = 'sha256', job = null) {
+    const hash = crypto.createHash(algorithm);
+    for await (const chunk of fs.createReadStream(filePath)) {
+        if (job) {
+            await this.jobCheckpoint(job);
+            job.bytesDone += chunk.length;
+            this.updateJobProgress(job);
+        }
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
 }
 
-async search(query) {
+async deleteFiles(permanent = false) {
     const tab = this.getActiveTab();
     const pane = tab.panes[tab.activePaneIndex];
-    const fileArea = document.getElementById(`file-area-${tab.activePaneIndex}`);
-    
-    if (!query.trim()) {
-        this.refresh();
+    if (pane.selectedFiles.size === 0) return;
+
+    const filePaths = Array.from(pane.selectedFiles);
+
+    if (pane.inTrash) {
+        this.deleteFromTrash(filePaths.map(p => pane.trashItems.get(p)).filter(Boolean));
         return;
     }
 
-    this.showLoading(fileArea);
-
-    try {
-        // First: search current folder only
-        const currentFiles = fs.readdirSync(pane.path).filter(f => 
-            f.toLowerCase().includes(query.toLowerCase())
-        );
+    const what = filePaths.length === 1 ? path.basename(filePaths[0]) : `${filePaths.length} items`;
+    pane.selectedFiles.clear();
 
-        const currentResults = [];
-        for (const file of currentFiles) {
-            try {
-                const fullPath = path.join(pane.path, file);
-                const stats = fs.lstatSync(fullPath);
-                currentResults.push({
-                    name: file,
-                    path: fullPath,
-                    isDirectory: stats.isDirectory(),
-                    isSymlink: stats.isSymbolicLink(),
-                    size: stats.size,
-                    modified: stats.mtime,
-                    created: stats.birthtime,
-                    mode: stats.mode,
-                    uid: stats.uid,
-                    gid: stats.gid
-                });
-            } catch (err) {}
-        }
+    if (permanent) {
+        this.confirmPermanentDelete(filePaths, () => {
+            this.enqueueJob('delete', `Deleting ${what}`, async (job) => {
+                job.changed.push(...filePaths);
+                job.itemsTotal = filePaths.length;
+                for (const filePath of filePaths) {
+                    await this.jobCheckpoint(job);
+                    job.currentFile = filePath;
+                    try {
+                        await this.removePath(filePath);
+                    } catch (err) {
+                        job.errors.push(`${path.basename(filePath)}: ${err.message}`);
+                    }
+                    job.itemsDone++;
+                    this.updateJobProgress(job);
+                }
+            });
+        });
+        return;
+    }
 
-        // Show current folder results immediately
-        if (currentResults.length > 0) {
-            await this.renderFiles(currentResults, tab.activePaneIndex);
-        }
+    this.trashPaths(filePaths);
+}
 
-        // Then: deep search in background
-        setTimeout(async () => {
+trashPaths(filePaths) {
+    const what = filePaths.length === 1 ? path.basename(filePaths[0]) : `${filePaths.length} items`;
+
+    this.enqueueJob('delete', `Moving ${what} to Trash`, async (job) => {
+        job.changed.push(...filePaths);
+        const trashed = [];
+        job.itemsTotal = filePaths.length;
+        for (const filePath of filePaths) {
+            if (job.cancelled) break;
+            await this.jobCheckpoint(job);
+            job.currentFile = filePath;
             try {
-                const { stdout } = await execPromise(`find "${pane.path}" -iname "*${query}*" 2>/dev/null | head -n 200`);
-                const results = stdout.trim().split('\n').filter(f => f);
-
-                const fileItems = [];
-                for (const filePath of results) {
+                trashed.push(this.trashFile(filePath));
+            } catch (err) {
+                const deleteInstead = confirm(
+                    `Cannot move ${path.basename(filePath)} to the trash: ${err.message}\n\nDelete it permanently instead?`
+                );
+                if (deleteInstead) {
                     try {
-                        const stats = fs.lstatSync(filePath);
-                        fileItems.push({
-                            name: path.basename(filePath),
-                            path: filePath,
-                            isDirectory: stats.isDirectory(),
-                            isSymlink: stats.isSymbolicLink(),
-                            size: stats.size,
-                            modified: stats.mtime,
-                            created: stats.birthtime,
-                            mode: stats.mode,
-                            uid: stats.uid,
-                            gid: stats.gid
-                        });
-                    } catch (err) {}
+                        await this.removePath(filePath);
+                    } catch (rmErr) {
+                        job.errors.push(`${path.basename(filePath)}: ${rmErr.message}`);
+                    }
                 }
-
-                await this.renderFiles(fileItems, tab.activePaneIndex);
-            } catch (err) {
-                console.error('Deep search failed:', err);
             }
-        }, 100);
-    } catch (err) {
-        fileArea.innerHTML = '<div class="loading">Search failed</div>';
-    }
+            job.itemsDone++;
+            this.updateJobProgress(job);
+        }
+        if (trashed.length > 0) {
+            this.recordOperation({ type: 'trash', label: `Move ${what} to Trash`, items: trashed });
+        }
+    });
 }
 
-// HISTORY & NAVIGATION
-addToHistory(dirPath) {
-    const tab = this.getActiveTab();
-    if (tab.history[tab.historyIndex] !== dirPath) {
-        tab.history = tab.history.slice(0, tab.historyIndex + 1);
-        tab.history.push(dirPath);
-        tab.historyIndex = tab.history.length - 1;
-    }
+confirmPermanentDelete(filePaths, onConfirm) {
+    const names = filePaths.slice(0, 10).map(p => `<li>${this.escapeHtml(path.basename(p))}</li>`).join('');
+    const more = filePaths.length > 10 ? `<li>…and ${filePaths.length - 10} more</li>` : '';
+
+    this.showModal(
+        'Delete Permanently',
+        `<div style="font-size:13px;line-height:1.6;">
+            <p style="color:#ff6b6b;margin-bottom:8px;">
+                <strong>${filePaths.length} item(s) will be deleted permanently. This cannot be undone.</strong>
+            </p>
+            <ul style="margin-left:20px;margin-bottom:12px;">${names}${more}</ul>
+            <label style="display: flex; align-items: center; gap: 8px;">
+                <input type="checkbox" id="confirm-permanent">
+                <span>I understand these items will not go to the Trash</span>
+            </label>
+         </div>`,
+        () => {
+            if (!document.getElementById('confirm-permanent').checked) return;
+            onConfirm();
+        }
+    );
 }
 
-goBack() {
-    const tab = this.getActiveTab();
-    if (tab.historyIndex > 0) {
-        tab.historyIndex--;
-        tab.currentPath = tab.history[tab.historyIndex];
-        this.loadDirectory(tab.currentPath, tab.activePaneIndex);
-    }
+async removePath(filePath) {
+    await fs.promises.rm(filePath, { recursive: true, force: true });
 }
 
-goForward() {
-    const tab = this.getActiveTab();
-    if (tab.historyIndex < tab.history.length - 1) {
-        tab.historyIndex++;
-        tab.currentPath = tab.history[tab.historyIndex];
-        this.loadDirectory(tab.currentPath, tab.activePaneIndex);
-    }
+// TRASH
+getHomeTrashDir() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    return path.join(dataHome, 'Trash');
 }
 
-goUp() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    
-    if (pane.currentArchive) {
-        // Go up in archive
-        if (pane.path === '/' || pane.path === '') {
-            // Exit archive
-            this.loadDirectory(path.dirname(pane.archiveBasePath), tab.activePaneIndex);
-        } else {
-            // Go up one level in archive
-            const parentPath = pane.path.split('/').slice(0, -1).join('/');
-            this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, parentPath);
-        }
-    } else {
-        const parent = path.dirname(tab.currentPath);
-        if (parent !== tab.currentPath) {
-            this.loadDirectory(parent, tab.activePaneIndex);
-        }
+getMountPoint(filePath) {
+    let current = path.resolve(filePath);
+    const dev = fs.lstatSync(current).dev;
+
+    while (current !== '/') {
+        const parent = path.dirname(current);
+        if (fs.statSync(parent).dev !== dev) break;
+        current = parent;
     }
+
+    return current;
 }
 
-refresh() {
-    const tab = this.getActiveTab();
-    tab.panes.forEach((pane, index) => {
-        if (pane.currentArchive) {
-            this.loadArchive(pane.archiveBasePath, index, pane.path);
-        } else {
-            this.loadDirectory(pane.path, index);
+// Picks the trash directory for a file per the freedesktop Trash spec: the home
+// trash when the file lives on the same device, otherwise $topdir/.Trash/$uid
+// (only if the admin created a sticky, non-symlink .Trash) or $topdir/.Trash-$uid.
+getTrashDirForPath(filePath) {
+    const homeTrash = this.getHomeTrashDir();
+    fs.mkdirSync(homeTrash, { recursive: true, mode: 0o700 });
+
+    const fileDev = fs.lstatSync(filePath).dev;
+    if (fs.statSync(homeTrash).dev === fileDev) {
+        return { trashDir: homeTrash, topDir: null };
+    }
+
+    const topDir = this.getMountPoint(filePath);
+    const uid = process.getuid();
+
+    try {
+        const adminTrash = path.join(topDir, '.Trash');
+        const stats = fs.lstatSync(adminTrash);
+        if (stats.isDirectory() && !stats.isSymbolicLink() && (stats.mode & 0o1000)) {
+            const userTrash = path.join(adminTrash, String(uid));
+            fs.mkdirSync(userTrash, { recursive: true, mode: 0o700 });
+            return { trashDir: userTrash, topDir };
         }
-    });
-}
+    } catch (err) {}
 
-setSorting(sortBy, sortOrder) {
-    const tab = this.getActiveTab();
-    tab.sortBy = sortBy;
-    tab.sortOrder = sortOrder;
-    this.refresh();
+    const userTrash = path.join(topDir, `.Trash-${uid}`);
+    fs.mkdirSync(userTrash, { recursive: true, mode: 0o700 });
+    return { trashDir: userTrash, topDir };
 }
 
-toggleView() {
-    const tab = this.getActiveTab();
-    tab.viewMode = tab.viewMode === 'grid' ? 'list' : 'grid';
-    this.setView(tab.viewMode);
+formatTrashDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+trashFile(filePath) {
+    const { trashDir, topDir } = this.getTrashDirForPath(filePath);
+    const filesDir = path.join(trashDir, 'files');
+    const infoDir = path.join(trashDir, 'info');
+    fs.mkdirSync(filesDir, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(infoDir, { recursive: true, mode: 0o700 });
+
+    const originalPath = topDir ? path.relative(topDir, filePath) : path.resolve(filePath);
+    const encodedPath = originalPath.split('/').map(encodeURIComponent).join('/');
+    const info = `[Trash Info]\nPath=${encodedPath}\nDeletionDate=${this.formatTrashDate(new Date())}\n`;
+
+    const ext = path.extname(filePath);
+    const stem = path.basename(filePath, ext);
+    let trashName = path.basename(filePath);
+    let infoPath;
+
+    // Creating the .trashinfo with O_EXCL reserves the name atomically
+    for (let n = 2; ; n++) {
+        infoPath = path.join(infoDir, `${trashName}.trashinfo`);
+        try {
+            fs.writeFileSync(infoPath, info, { flag: 'wx', mode: 0o600 });
+            if (!fs.existsSync(path.join(filesDir, trashName))) break;
+            fs.unlinkSync(infoPath);
+        } catch (err) {
+            if (err.code !== 'EEXIST') throw err;
+        }
+        trashName = `${stem}.${n}${ext}`;
+    }
+
+    const trashedPath = path.join(filesDir, trashName);
+    try {
+        fs.renameSync(filePath, trashedPath);
+    } catch (err) {
+        fs.unlinkSync(infoPath);
+        throw err;
+    }
+
+    // Same shape as the entries listTrash() returns
+    return {
+        name: path.basename(filePath),
+        path: trashedPath,
+        originalPath: path.resolve(filePath),
+        trashInfoPath: infoPath
+    };
+}
+
+getAllTrashDirs() {
+    const dirs = [{ trashDir: this.getHomeTrashDir(), topDir: null }];
+    const uid = process.getuid();
+
+    try {
+        const mounts = fs.readFileSync('/proc/mounts', 'utf8').trim().split('\n');
+        for (const line of mounts) {
+            // Mount points with spaces are octal-escaped in /proc/mounts
+            const mountPoint = line.split(' ')[1].replace(/\\([0-7]{3})/g, (m, oct) => String.fromCharCode(parseInt(oct, 8)));
+            const candidates = [path.join(mountPoint, '.Trash', String(uid)), path.join(mountPoint, `.Trash-${uid}`)];
+            for (const trashDir of candidates) {
+                if (fs.existsSync(path.join(trashDir, 'info')) && !dirs.some(d => d.trashDir === trashDir)) {
+                    dirs.push({ trashDir, topDir: mountPoint });
+                }
+            }
+        }
+    } catch (err) {
+        console.error('Failed to read mounts:', err);
+    }
+
+    return dirs;
+}
+
+readTrashInfo(infoPath, topDir) {
+    const content = fs.readFileSync(infoPath, 'utf8');
+    const pathMatch = content.match(/^Path=(.*)$/m);
+    const dateMatch = content.match(/^DeletionDate=(.*)$/m);
+    if (!pathMatch) return null;
+
+    const decoded = decodeURIComponent(pathMatch[1].trim());
+    return {
+        originalPath: topDir && !path.isAbsolute(decoded) ? path.join(topDir, decoded) : decoded,
+        deletedAt: dateMatch ? new Date(dateMatch[1].trim()) : new Date(0)
+    };
+}
+
+listTrash() {
+    const items = [];
+
+    for (const { trashDir, topDir } of this.getAllTrashDirs()) {
+        const infoDir = path.join(trashDir, 'info');
+        let infoFiles = [];
+        try {
+            infoFiles = fs.readdirSync(infoDir).filter(f => f.endsWith('.trashinfo'));
+        } catch (err) {
+            continue;
+        }
+
+        for (const infoFile of infoFiles) {
+            try {
+                const trashInfoPath = path.join(infoDir, infoFile);
+                const info = this.readTrashInfo(trashInfoPath, topDir);
+                const trashedPath = path.join(trashDir, 'files', infoFile.slice(0, -'.trashinfo'.length));
+                if (!info) continue;
+                const stats = fs.lstatSync(trashedPath);
+
+                items.push({
+                    name: path.basename(info.originalPath),
+                    path: trashedPath,
+                    isDirectory: stats.isDirectory(),
+                    isSymlink: stats.isSymbolicLink(),
+                    size: stats.size,
+                    modified: stats.mtime,
+                    created: stats.birthtime,
+                    mode: stats.mode,
+                    uid: stats.uid,
+                    gid: stats.gid,
+                    originalPath: info.originalPath,
+                    deletedAt: info.deletedAt,
+                    trashInfoPath
+                });
+            } catch (err) {
+                console.error(`Error reading trash entry ${infoFile}:`, err);
+            }
+        }
+    }
+
+    return items;
+}
+
+setTrashMode(pane, paneIndex, inTrash) {
+    pane.inTrash = inTrash;
+    if (!inTrash) pane.trashItems = null;
+    const trashNotice = document.getElementById(`trash-notice-${paneIndex}`);
+    if (trashNotice) {
+        trashNotice.classList.toggle('visible', inTrash);
+    }
+}
+
+async loadTrash(paneIndex = 0) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+
+    pane.currentArchive = null;
+    pane.archiveBasePath = null;
+    const archiveNotice = document.getElementById(`archive-notice-${paneIndex}`);
+    if (archiveNotice) {
+        archiveNotice.classList.remove('visible');
+    }
+    this.setTrashMode(pane, paneIndex, true);
+
+    this.beginLoad(paneIndex);
+    pane.files = null;
+    this.showLoading(fileArea);
+
+    try {
+        const items = this.listTrash();
+        pane.trashItems = new Map(items.map(item => [item.path, item]));
+        pane.path = TRASH_URI;
+        tab.currentPath = TRASH_URI;
+        pane.view = this.getFolderView(TRASH_URI);
+        this.applyPaneView(paneIndex);
+
+        if (!tab.splitView || paneIndex === 0) {
+            this.addToHistory(TRASH_URI);
+        }
+
+        await this.renderFiles(items, paneIndex);
+        if (items.length === 0) {
+            fileArea.innerHTML = '<div class="loading">Trash is empty</div>';
+        }
+        this.updateAddressBar();
+        pane.selectedFiles.clear();
+        this.updateStatusBar();
+    } catch (err) {
+        fileArea.innerHTML = `<div class="loading">Failed to load trash: ${this.escapeHtml(err.message)}</div>`;
+    }
+}
+
+getTrashContextMenuItems(file) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const selected = () => Array.from(pane.selectedFiles).map(p => pane.trashItems.get(p)).filter(Boolean);
+
+    return [
+        { icon: '↩️', label: 'Restore', action: () => this.restoreFromTrash(selected()) },
+        { icon: '❌', label: 'Delete Permanently', action: () => this.deleteFromTrash(selected()) },
+        'separator',
+        { icon: '⚙️', label: 'Properties', action: () => this.showProperties(file) }
+    ];
+}
+
+restoreFromTrash(items) {
+    const restored = [];
+    for (const item of items) {
+        try {
+            this.restoreTrashedItem(item);
+            const { name, path: trashedPath, originalPath, trashInfoPath } = item;
+            restored.push({ name, path: trashedPath, originalPath, trashInfoPath });
+        } catch (err) {
+            alert(`Failed to restore ${item.name}: ${err.message}`);
+        }
+    }
+
+    if (restored.length > 0) {
+        this.recordOperation({ type: 'restore', label: `Restore ${restored.length} item(s) from Trash`, items: restored });
+    }
+    this.refresh();
+}
+
+restoreTrashedItem(item) {
+    if (fs.existsSync(item.originalPath)) {
+        throw new Error(`${item.originalPath} already exists`);
+    }
+    fs.mkdirSync(path.dirname(item.originalPath), { recursive: true });
+    fs.renameSync(item.path, item.originalPath);
+    fs.unlinkSync(item.trashInfoPath);
+}
+
+deleteFromTrash(items) {
+    if (items.length === 0) return;
+
+    this.confirmPermanentDelete(items.map(item => item.originalPath), async () => {
+        for (const item of items) {
+            try {
+                await this.removePath(item.path);
+                fs.unlinkSync(item.trashInfoPath);
+            } catch (err) {
+                alert(`Failed to delete ${item.name}: ${err.message}`);
+            }
+        }
+        this.refresh();
+    });
+}
+
+emptyTrash() {
+    const items = this.listTrash();
+    if (items.length === 0) return;
+
+    const confirmed = confirm(`Permanently delete all ${items.length} item(s) in the Trash?`);
+    if (!confirmed) return;
+
+    (async () => {
+        for (const item of items) {
+            try {
+                await this.removePath(item.path);
+                fs.unlinkSync(item.trashInfoPath);
+            } catch (err) {
+                console.error(`Failed to delete ${item.name} from trash:`, err);
+            }
+        }
+        this.refresh();
+    })();
+}
+
+// PROCESS EXECUTION
+// Every external program is started through here with an argv array. Nothing
+// goes through a shell, so file names reach the program exactly as they are.
+runCommand(command, args = [], options = {}) {
+    const {
+        cwd,
+        input,
+        signal,
+        onLine,
+        onSpawn,
+        timeout = 30000,
+        ignoreExitCode = false,
+        maxBuffer = 64 * 1024 * 1024
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        const fail = (message, code, extra = {}) => {
+            const err = new Error(message);
+            err.code = code;
+            Object.assign(err, extra);
+            reject(err);
+        };
+
+        if (signal && signal.aborted) {
+            fail(`${command} was cancelled`, 'ECANCELED');
+            return;
+        }
+
+        const child = spawn(command, args, { cwd });
+        let stdout = '';
+        let stderr = '';
+        let lineBuffer = '';
+        let stopReason = null;
+
+        const stop = (reason) => {
+            if (stopReason || child.exitCode !== null || child.signalCode !== null) return;
+            stopReason = reason;
+            // SIGCONT first in case a paused job is being cancelled
+            child.kill('SIGCONT');
+            child.kill('SIGTERM');
+            setTimeout(() => {
+                if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+            }, 2000);
+        };
+
+        const timer = timeout ? setTimeout(() => stop('timeout'), timeout) : null;
+        const onAbort = () => stop('cancel');
+        if (signal) signal.addEventListener('abort', onAbort);
+        if (onSpawn) onSpawn(child);
+
+        child.stdout.setEncoding('utf8');
+        child.stdout.on('data', (data) => {
+            if (!onLine) {
+                stdout += data;
+                if (stdout.length > maxBuffer) stop('maxBuffer');
+                return;
+            }
+            lineBuffer += data;
+            const lines = lineBuffer.split('\n');
+            lineBuffer = lines.pop();
+            for (const line of lines) {
+                if (stopReason) break;
+                if (onLine(line) === false) stop('done');
+            }
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', (data) => {
+            if (stderr.length < maxBuffer) stderr += data;
+        });
+
+        if (input !== undefined) {
+            child.stdin.end(input);
+        } else {
+            child.stdin.end();
+        }
+        child.stdin.on('error', () => {});
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        child.on('error', (err) => {
+            cleanup();
+            fail(err.code === 'ENOENT' ? `${command} is not installed` : err.message, err.code);
+        });
+
+        child.on('close', (code) => {
+            cleanup();
+            if (onLine && lineBuffer && !stopReason) onLine(lineBuffer);
+
+            if (stopReason === 'timeout') {
+                fail(`${command} timed out after ${timeout / 1000}s`, 'ETIMEDOUT', { stdout, stderr });
+            } else if (stopReason === 'cancel') {
+                fail(`${command} was cancelled`, 'ECANCELED', { stdout, stderr });
+            } else if (stopReason === 'maxBuffer') {
+                fail(`${command} produced too much output`, 'ENOBUFS', { stdout, stderr });
+            } else if (code !== 0 && stopReason !== 'done' && !ignoreExitCode) {
+                fail(stderr.trim() || `${command} exited with code ${code}`, 'ECOMMAND', { exitCode: code, stdout, stderr });
+            } else {
+                resolve({ stdout, stderr, code });
+            }
+        });
+    });
+}
+
+// For GUI programs that should outlive the request: no output capture, no timeout
+launchDetached(command, args = [], options = {}) {
+    const child = spawn(command, args, { cwd: options.cwd, detached: true, stdio: 'ignore' });
+    child.on('error', (err) => {
+        alert(`Failed to launch ${command}: ${err.code === 'ENOENT' ? 'not installed' : err.message}`);
+    });
+    child.unref();
+    return child;
+}
+
+// Runs a user-entered command such as `gimp -n` or `code --goto %f` on a file.
+// %f/%F take the path and %u/%U a file:// URI; without a field code the path is appended.
+launchWithCommandLine(commandLine, filePath) {
+    const argv = this.parseCommandLine(commandLine);
+    if (argv.length === 0) return;
+
+    let substituted = false;
+    const args = argv.slice(1).map(arg => arg.replace(/%[fFuU]/g, (code) => {
+        substituted = true;
+        return code.toLowerCase() === '%u' ? this.pathToFileUri(filePath) : filePath;
+    }));
+    if (!substituted) args.push(filePath);
+
+    return this.launchDetached(argv[0], args);
+}
+
+// Splits a command line into words the way a shell would for quoting only:
+// no variables, globs, pipes or substitutions are interpreted
+parseCommandLine(commandLine) {
+    const args = [];
+    let current = '';
+    let quote = null;
+    let inWord = false;
+
+    for (let i = 0; i < commandLine.length; i++) {
+        const c = commandLine[i];
+        if (quote) {
+            if (c === quote) {
+                quote = null;
+            } else if (c === '\\' && quote === '"' && i + 1 < commandLine.length) {
+                current += commandLine[++i];
+            } else {
+                current += c;
+            }
+        } else if (c === '"' || c === "'") {
+            quote = c;
+            inWord = true;
+        } else if (c === '\\' && i + 1 < commandLine.length) {
+            current += commandLine[++i];
+            inWord = true;
+        } else if (/\s/.test(c)) {
+            if (inWord) args.push(current);
+            current = '';
+            inWord = false;
+        } else {
+            current += c;
+            inWord = true;
+        }
+    }
+    if (inWord) args.push(current);
+
+    return args;
+}
+
+commandExists(command) {
+    const candidates = command.includes('/')
+        ? [command]
+        : (process.env.PATH || '').split(':').map(dir => path.join(dir, command));
+    return candidates.some(candidate => {
+        try {
+            fs.accessSync(candidate, fs.constants.X_OK);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    });
+}
+
+// FILE OPERATION QUEUE
+enqueueJob(type, label, run) {
+    const job = {
+        id: this.jobIdCounter++,
+        type,
+        label,
+        run,
+        status: 'queued',
+        bytesDone: 0,
+        bytesTotal: 0,
+        itemsDone: 0,
+        itemsTotal: 0,
+        currentFile: '',
+        errors: [],
+        transfers: [],
+        replaced: [],
+        // Paths the job may have changed, whose folders' measured sizes are dropped afterwards
+        changed: [],
+        startedAt: null,
+        pausedAt: null,
+        pausedTime: 0,
+        paused: false,
+        cancelled: false,
+        child: null,
+        resumeWaiters: []
+    };
+    job.done = new Promise(resolve => { job.resolve = resolve; });
+
+    this.jobs.push(job);
+    this.renderJobsPanel();
+    this.processJobQueue();
+    return job;
+}
+
+async processJobQueue() {
+    if (this.runningJob) return;
+    const job = this.jobs.find(j => j.status === 'queued');
+    if (!job) return;
+
+    this.runningJob = job;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    this.renderJobsPanel();
+
+    try {
+        await job.run(job);
+        job.status = job.cancelled ? 'cancelled' : 'done';
+    } catch (err) {
+        if (err.code === 'ECANCELED') {
+            job.status = 'cancelled';
+        } else {
+            job.status = 'failed';
+            job.errors.push(err.message);
+        }
+    }
+
+    this.runningJob = null;
+    job.currentFile = '';
+    job.resolve(job);
+    this.renderJobsPanel();
+    this.refresh(job.changed);
+
+    setTimeout(() => {
+        this.jobs = this.jobs.filter(j => j !== job);
+        this.renderJobsPanel();
+    }, job.errors.length > 0 ? 10000 : 3000);
+
+    this.processJobQueue();
+
+    if (job.errors.length > 0) {
+        alert(`${job.label} finished with errors:\n\n${job.errors.join('\n')}`);
+    }
+}
+
+// Awaited between units of work: blocks while the job is paused and throws once it is cancelled
+async jobCheckpoint(job) {
+    while (job.paused && !job.cancelled) {
+        await new Promise(resolve => job.resumeWaiters.push(resolve));
+    }
+    if (job.cancelled) {
+        const err = new Error('Operation cancelled');
+        err.code = 'ECANCELED';
+        throw err;
+    }
+}
+
+pauseJob(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || job.paused || job.status !== 'running') return;
+
+    job.paused = true;
+    job.pausedAt = Date.now();
+    if (job.child) job.child.kill('SIGSTOP');
+    this.renderJobsPanel();
+}
+
+resumeJob(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || !job.paused) return;
+
+    job.paused = false;
+    job.pausedTime += Date.now() - job.pausedAt;
+    job.pausedAt = null;
+    if (job.child) job.child.kill('SIGCONT');
+    job.resumeWaiters.splice(0).forEach(resolve => resolve());
+    this.renderJobsPanel();
+}
+
+cancelJob(jobId) {
+    const job = this.jobs.find(j => j.id === jobId);
+    if (!job || (job.status !== 'running' && job.status !== 'queued')) return;
+
+    job.cancelled = true;
+    if (job.status === 'queued') {
+        job.status = 'cancelled';
+        this.jobs = this.jobs.filter(j => j !== job);
+        job.resolve(job);
+    }
+    if (job.child) {
+        job.child.kill('SIGCONT');
+        job.child.kill('SIGTERM');
+    }
+    job.resumeWaiters.splice(0).forEach(resolve => resolve());
+    this.renderJobsPanel();
+}
+
+async measureTree(job, filePath) {
+    await this.jobCheckpoint(job);
+    const stats = await fs.promises.lstat(filePath);
+    job.itemsTotal++;
+
+    if (stats.isDirectory()) {
+        for (const entry of await fs.promises.readdir(filePath)) {
+            await this.measureTree(job, path.join(filePath, entry));
+        }
+    } else if (stats.isFile()) {
+        job.bytesTotal += stats.size;
+    }
+}
+
+// Runs an external command for a job; every stdout line is one processed entry
+async runJobCommand(job, command, args, options = {}) {
+    try {
+        await this.runCommand(command, args, {
+            ...options,
+            timeout: 0,
+            onSpawn: (child) => { job.child = child; },
+            onLine: (line) => {
+                if (line.trim()) {
+                    job.currentFile = line.trim();
+                    job.itemsDone++;
+                    this.updateJobProgress(job);
+                }
+            }
+        });
+    } catch (err) {
+        if (job.cancelled) {
+            const cancelled = new Error('Operation cancelled');
+            cancelled.code = 'ECANCELED';
+            throw cancelled;
+        }
+        throw err;
+    } finally {
+        job.child = null;
+    }
+}
+
+updateJobProgress(job) {
+    if (this.jobsRenderTimer) return;
+    this.jobsRenderTimer = setTimeout(() => {
+        this.jobsRenderTimer = null;
+        this.renderJobsPanel();
+    }, 250);
+}
+
+formatDuration(seconds) {
+    if (!isFinite(seconds)) return '';
+    seconds = Math.round(seconds);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+renderJobsPanel() {
+    const panel = document.getElementById('jobs-panel');
+    if (!panel) return;
+
+    if (this.jobs.length === 0) {
+        panel.classList.remove('visible');
+        panel.innerHTML = '';
+        return;
+    }
+
+    panel.classList.add('visible');
+    panel.innerHTML = this.jobs.map(job => {
+        const elapsed = job.startedAt
+            ? (Date.now() - job.startedAt - job.pausedTime - (job.pausedAt ? Date.now() - job.pausedAt : 0)) / 1000
+            : 0;
+        const useBytes = job.bytesTotal > 0;
+        const done = useBytes ? job.bytesDone : job.itemsDone;
+        const total = useBytes ? job.bytesTotal : job.itemsTotal;
+        const percent = total > 0 ? Math.min(100, (done / total) * 100) : 0;
+
+        const details = [];
+        if (useBytes) {
+            details.push(`${this.formatSize(job.bytesDone)} of ${this.formatSize(job.bytesTotal)}`);
+        }
+        if (job.itemsTotal > 0) {
+            details.push(`${Math.min(job.itemsDone, job.itemsTotal)} of ${job.itemsTotal} items`);
+        }
+        if (job.status === 'running' && elapsed > 1 && done > 0) {
+            const rate = done / elapsed;
+            if (useBytes) details.push(`${this.formatSize(rate)}/s`);
+            details.push(`${this.formatDuration((total - done) / rate)} left`);
+        }
+
+        const statusText = {
+            queued: 'Queued',
+            running: job.paused ? 'Paused' : '',
+            done: 'Done',
+            cancelled: 'Cancelled',
+            failed: 'Failed'
+        }[job.status];
+
+        const active = job.status === 'running' || job.status === 'queued';
+        return `
+            <div class="job-item ${job.status}">
+                <div class="job-header">
+                    <span class="job-label">${this.escapeHtml(job.label)}</span>
+                    ${statusText ? `<span class="job-status">${statusText}</span>` : ''}
+                    ${job.status === 'running' ? (job.paused
+                        ? `<button class="btn job-btn" onclick="fileManager.resumeJob(${job.id})" title="Resume">▶</button>`
+                        : `<button class="btn job-btn" onclick="fileManager.pauseJob(${job.id})" title="Pause">⏸</button>`) : ''}
+                    ${active ? `<button class="btn job-btn" onclick="fileManager.cancelJob(${job.id})" title="Cancel">✖</button>` : ''}
+                </div>
+                <div class="job-progress"><div class="job-progress-bar" style="width: ${percent}%"></div></div>
+                <div class="job-details">${details.join(' · ')}</div>
+                ${job.currentFile ? `<div class="job-current" title="${this.escapeHtml(job.currentFile)}">${this.escapeHtml(path.basename(job.currentFile))}</div>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+// UNDO / REDO
+recordOperation(entry) {
+    entry.time = new Date().toISOString();
+    this.journal.undo.push(entry);
+    this.journal.undo = this.journal.undo.slice(-100);
+    this.journal.redo = [];
+    this.saveJournal();
+}
+
+describeUndo(entry) {
+    const count = entry.items.length;
+    switch (entry.type) {
+        case 'rename':
+            if (count > 1) return `Rename ${count} items back to their old names`;
+            return `Rename ${path.basename(entry.items[0].to)} back to ${path.basename(entry.items[0].from)}`;
+        case 'move':
+            return `Move ${count} item(s) back to ${path.dirname(entry.items[0].from)}`;
+        case 'copy':
+        case 'create':
+            return `Move ${count} created item(s) to Trash`;
+        case 'trash':
+            return `Restore ${count} item(s) from Trash`;
+        case 'restore':
+            return `Move ${count} item(s) back to Trash`;
+        case 'tag':
+            return `Restore previous tag on ${path.basename(entry.items[0].path)}`;
+        case 'retarget':
+            return `Point ${path.basename(entry.items[0].path)} back at ${entry.items[0].previous}`;
+        default:
+            return entry.label;
+    }
+}
+
+undo() {
+    const entry = this.journal.undo.pop();
+    if (!entry) return;
+    this.saveJournal();
+    this.runJournalEntry(entry, 'undo');
+}
+
+redo() {
+    const entry = this.journal.redo.pop();
+    if (!entry) return;
+    this.saveJournal();
+    this.runJournalEntry(entry, 'redo');
+}
+
+// The entry is off both stacks while its job is queued or running, so it can't
+// be started twice. The items that were applied go onto the other stack; any
+// that failed or were not reached because the job was cancelled stay where
+// they came from so they can be tried again.
+runJournalEntry(entry, direction) {
+    const undoing = direction === 'undo';
+    const label = undoing ? `Undo: ${this.describeUndo(entry)}` : `Redo: ${entry.label}`;
+    const applied = new Set();
+    const job = this.enqueueJob('undo', label, async (job) => {
+        job.changed.push(...[...entry.items, ...(entry.replaced || [])]
+            .flatMap(item => [item.from, item.to, item.path, item.originalPath])
+            .filter(Boolean));
+        await this.applyJournalEntry(job, entry, direction, applied);
+        if (job.errors.length > 0) {
+            throw new Error(`${job.errors.length} item(s) could not be ${undoing ? 'undone' : 'redone'}`);
+        }
+    });
+    job.done.then(() => {
+        const part = (wanted) => ({
+            ...entry,
+            items: entry.items.filter(item => applied.has(item) === wanted),
+            ...(entry.replaced ? { replaced: entry.replaced.filter(item => applied.has(item) === wanted) } : {})
+        });
+        const done = part(true);
+        const pending = part(false);
+        // Replaced files whose restore failed are kept with the items when none are left to retry
+        if (pending.items.length === 0 && entry.replaced) done.replaced = entry.replaced;
+
+        if (done.items.length > 0) this.journal[undoing ? 'redo' : 'undo'].push(done);
+        if (pending.items.length > 0) this.journal[undoing ? 'undo' : 'redo'].push(pending);
+        this.saveJournal();
+    });
+}
+
+async journalMove(job, from, to) {
+    await this.jobCheckpoint(job);
+    job.currentFile = from;
+    if (fs.existsSync(to)) {
+        throw new Error(`${to} already exists`);
+    }
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    await this.moveFile(from, to, job);
+}
+
+// Undo and redo are mirror images: moves swap direction, created items go to
+// the trash and come back from it, trashed items are restored and re-trashed.
+// Trash records are refreshed in place because the trash names change each time.
+// Every item (and replaced file) that was applied is added to `applied`.
+async applyJournalEntry(job, entry, direction, applied) {
+    const undoing = direction === 'undo';
+    const attempt = async (label, fn) => {
+        try {
+            await fn();
+            return true;
+        } catch (err) {
+            if (err.code === 'ECANCELED') throw err;
+            job.errors.push(`${label}: ${err.message}`);
+            return false;
+        }
+    };
+
+    job.itemsTotal = entry.items.length;
+
+    if (!undoing && entry.replaced) {
+        for (const [i, item] of entry.replaced.entries()) {
+            if (await attempt(item.name, () => { entry.replaced[i] = this.trashFile(item.originalPath); })) {
+                applied.add(entry.replaced[i]);
+            }
+        }
+    }
+
+    switch (entry.type) {
+        case 'rename':
+            // Renamed as one batch, which is rolled back whole when part of it fails
+            job.currentFile = entry.items[0].from;
+            if (await attempt('Rename', () => this.renameBatch(entry.items.map(item =>
+                undoing ? { from: item.to, to: item.from } : item
+            )))) {
+                entry.items.forEach(item => applied.add(item));
+            }
+            job.itemsDone = entry.items.length;
+            break;
+        case 'move': {
+            const items = undoing ? [...entry.items].reverse() : entry.items;
+            for (const item of items) {
+                const [from, to] = undoing ? [item.to, item.from] : [item.from, item.to];
+                if (await attempt(path.basename(from), () => this.journalMove(job, from, to))) applied.add(item);
+                job.itemsDone++;
+            }
+            break;
+        }
+        case 'copy':
+        case 'create':
+            for (const item of entry.items) {
+                if (await attempt(path.basename(item.to), () => {
+                    if (undoing) {
+                        item.trashed = this.trashFile(item.to);
+                    } else {
+                        this.restoreTrashedItem(item.trashed);
+                    }
+                })) {
+                    applied.add(item);
+                }
+                job.itemsDone++;
+            }
+            break;
+        case 'trash':
+        case 'restore': {
+            const restoring = (entry.type === 'trash') === undoing;
+            for (const [i, item] of entry.items.entries()) {
+                if (await attempt(item.name, () => {
+                    if (restoring) {
+                        this.restoreTrashedItem(item);
+                    } else {
+                        entry.items[i] = this.trashFile(item.originalPath);
+                    }
+                })) {
+                    applied.add(entry.items[i]);
+                }
+                job.itemsDone++;
+            }
+            break;
+        }
+        case 'tag':
+            for (const item of entry.items) {
+                this.setTag(item.path, undoing ? item.previous : item.color);
+                applied.add(item);
+                job.itemsDone++;
+            }
+            break;
+        case 'retarget':
+            for (const item of entry.items) {
+                if (await attempt(path.basename(item.path), () =>
+                    this.retargetSymlink(item.path, undoing ? item.previous : item.target))) {
+                    applied.add(item);
+                }
+                job.itemsDone++;
+            }
+            break;
+    }
+
+    if (undoing && entry.replaced) {
+        for (const item of entry.replaced) {
+            if (await attempt(item.name, () => this.restoreTrashedItem(item))) applied.add(item);
+        }
+    }
+}
+
+showJournalHistory() {
+    const row = (entry, text) => `
+        <div class="journal-entry">
+            <div>${this.escapeHtml(text)}</div>
+            <div class="journal-time">${this.escapeHtml(entry.label)} · ${new Date(entry.time).toLocaleString()}</div>
+        </div>
+    `;
+    const undoRows = [...this.journal.undo].reverse().map(e => row(e, `↶ ${this.describeUndo(e)}`)).join('');
+    const redoRows = [...this.journal.redo].reverse().map(e => row(e, `↷ ${e.label}`)).join('');
+
+    this.showModal(
+        'Undo History',
+        `<div style="font-size:13px;">
+            <div class="conflict-label">Undo (newest first)</div>
+            ${undoRows || '<div class="journal-time">Nothing to undo</div>'}
+            <div class="conflict-label">Redo</div>
+            ${redoRows || '<div class="journal-time">Nothing to redo</div>'}
+         </div>`,
+        null
+    );
+}
+
+copyPath(file) {
+    const clipboard = nw.Clipboard.get();
+    clipboard.set(file.path, 'text');
+}
+
+tagFile(file, color) {
+    const previous = this.fileTags[file.path] || null;
+    if (previous === color) return;
+
+    this.setTag(file.path, color);
+    this.recordOperation({
+        type: 'tag',
+        label: color ? `Tag ${file.name}` : `Remove tag from ${file.name}`,
+        items: [{ path: file.path, previous, color }]
+    });
+    // A tag changes nothing on disk
+    this.refresh([]);
+}
+
+setTag(filePath, color) {
+    if (color) {
+        this.fileTags[filePath] = color;
+    } else {
+        delete this.fileTags[filePath];
+    }
+    this.saveTags();
+}
+
+renameFile(file) {
+    const tab = this.getActiveTab();
+    if (tab.panes[tab.activePaneIndex].selectedFiles.size > 1) {
+        this.showBulkRename();
+        return;
+    }
+
+    this.showModal(
+        'Rename',
+        `<input type="text" class="input-field" id="rename-input" value="${this.escapeHtml(file.name)}">`,
+        async () => {
+            const newName = document.getElementById('rename-input').value.trim();
+            if (!newName || newName === file.name) return;
+
+            const newPath = path.join(path.dirname(file.path), newName);
+            if (fs.existsSync(newPath)) {
+                alert(`Failed to rename: ${newName} already exists`);
+                return;
+            }
+            try {
+                await this.moveFile(file.path, newPath);
+                this.recordOperation({
+                    type: 'rename',
+                    label: `Rename ${file.name} to ${newName}`,
+                    items: [{ from: file.path, to: newPath }]
+                });
+                this.refresh();
+            } catch (err) {
+                alert('Failed to rename: ' + err.message);
+            }
+        }
+    );
+    
+    // Auto-select filename without extension
+    setTimeout(() => {
+        const input = document.getElementById('rename-input');
+        if (input) {
+            const lastDot = file.name.lastIndexOf('.');
+            if (lastDot > 0) {
+                input.setSelectionRange(0, lastDot);
+            } else {
+                input.select();
+            }
+            input.focus();
+        }
+    }, 100);
+}
+
+// BULK RENAME
+showBulkRename() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    if (pane.selectedFiles.size === 0 || pane.currentArchive || pane.inTrash) return;
+
+    const files = Array.from(pane.selectedFiles)
+        .sort((a, b) => path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true }))
+        .map(filePath => {
+            const stats = fs.lstatSync(filePath);
+            return { path: filePath, name: path.basename(filePath), isDirectory: stats.isDirectory(), modified: stats.mtime };
+        });
+    const exifDates = new Map();
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content bulk-rename">
+            <div class="modal-title">Rename ${files.length} Items</div>
+            <div class="modal-body" style="font-size:13px;">
+                <select class="input-field" id="bulk-mode">
+                    <option value="replace">Find and replace</option>
+                    <option value="insert">Insert text</option>
+                    <option value="remove">Remove characters</option>
+                    <option value="case">Change case</option>
+                    <option value="pattern">Pattern with counter and dates</option>
+                </select>
+                <div class="bulk-panel" data-mode="replace">
+                    <input type="text" class="input-field" id="bulk-find" placeholder="Find">
+                    <input type="text" class="input-field" id="bulk-replace" placeholder="Replace with ($1 for regex groups)">
+                    <label><input type="checkbox" id="bulk-regex"> Regular expression</label>
+                    <label><input type="checkbox" id="bulk-case-sensitive" checked> Case sensitive</label>
+                </div>
+                <div class="bulk-panel" data-mode="insert">
+                    <input type="text" class="input-field" id="bulk-insert-text" placeholder="Text to insert">
+                    <input type="number" class="input-field" id="bulk-insert-pos" value="0" min="0" title="Position">
+                    <label><input type="checkbox" id="bulk-insert-from-end"> Count position from the end</label>
+                </div>
+                <div class="bulk-panel" data-mode="remove">
+                    <input type="number" class="input-field" id="bulk-remove-count" value="1" min="0" title="Characters to remove">
+                    <input type="number" class="input-field" id="bulk-remove-pos" value="0" min="0" title="Position">
+                    <label><input type="checkbox" id="bulk-remove-from-end"> Count position from the end</label>
+                </div>
+                <div class="bulk-panel" data-mode="case">
+                    <select class="input-field" id="bulk-case">
+                        <option value="lower">lowercase</option>
+                        <option value="upper">UPPERCASE</option>
+                        <option value="title">Title Case</option>
+                        <option value="sentence">Sentence case</option>
+                    </select>
+                </div>
+                <div class="bulk-panel" data-mode="pattern">
+                    <input type="text" class="input-field" id="bulk-pattern" value="[n]">
+                    <div style="display:flex;gap:8px;">
+                        <input type="number" class="input-field" id="bulk-counter-start" value="1" title="Counter start">
+                        <input type="number" class="input-field" id="bulk-counter-step" value="1" title="Counter step">
+                    </div>
+                    <div class="bulk-help">
+                        [n] original name · [###] counter padded to 3 digits ·
+                        [date:YYYY-MM-DD] modified date · [exif:YYYYMMDD_HHmmss] photo date (falls back to modified)
+                    </div>
+                </div>
+                <label><input type="checkbox" id="bulk-include-ext"> Include extension</label>
+                <div class="bulk-preview">
+                    <table>
+                        <thead><tr><th>Before</th><th>After</th></tr></thead>
+                        <tbody id="bulk-preview-body"></tbody>
+                    </table>
+                </div>
+                <div id="bulk-summary" class="bulk-help"></div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn" id="bulk-cancel">Cancel</button>
+                <button class="btn btn-primary" id="bulk-apply">Rename</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const value = id => modal.querySelector(`#${id}`).value;
+    const checked = id => modal.querySelector(`#${id}`).checked;
+    const readOptions = () => ({
+        mode: value('bulk-mode'),
+        find: value('bulk-find'),
+        replace: value('bulk-replace'),
+        regex: checked('bulk-regex'),
+        caseSensitive: checked('bulk-case-sensitive'),
+        insertText: value('bulk-insert-text'),
+        insertPos: parseInt(value('bulk-insert-pos')) || 0,
+        insertFromEnd: checked('bulk-insert-from-end'),
+        removeCount: parseInt(value('bulk-remove-count')) || 0,
+        removePos: parseInt(value('bulk-remove-pos')) || 0,
+        removeFromEnd: checked('bulk-remove-from-end'),
+        caseMode: value('bulk-case'),
+        pattern: value('bulk-pattern'),
+        counterStart: parseInt(value('bulk-counter-start')) || 0,
+        counterStep: parseInt(value('bulk-counter-step')) || 1,
+        includeExt: checked('bulk-include-ext')
+    });
+
+    let plan = [];
+    const update = () => {
+        const options = readOptions();
+        modal.querySelectorAll('.bulk-panel').forEach(panel => {
+            panel.style.display = panel.dataset.mode === options.mode ? 'block' : 'none';
+        });
+
+        if (options.mode === 'pattern' && /\[exif:/.test(options.pattern)) {
+            files.forEach(file => {
+                if (!exifDates.has(file.path)) exifDates.set(file.path, this.readExifDate(file.path));
+            });
+        }
+
+        try {
+            plan = this.planBulkRename(files, options, exifDates);
+        } catch (err) {
+            plan = [];
+            modal.querySelector('#bulk-preview-body').innerHTML = '';
+            modal.querySelector('#bulk-summary').textContent = err.message;
+            modal.querySelector('#bulk-apply').disabled = true;
+            return;
+        }
+
+        modal.querySelector('#bulk-preview-body').innerHTML = plan.map(p => `
+            <tr class="${p.error ? 'bulk-error' : p.to === p.from ? 'bulk-unchanged' : ''}">
+                <td title="${this.escapeHtml(p.from)}">${this.escapeHtml(path.basename(p.from))}</td>
+                <td>${this.escapeHtml(p.newName)}${p.error ? ` <span class="bulk-reason">${this.escapeHtml(p.error)}</span>` : ''}</td>
+            </tr>
+        `).join('');
+
+        const errors = plan.filter(p => p.error).length;
+        const changes = plan.filter(p => !p.error && p.to !== p.from).length;
+        modal.querySelector('#bulk-summary').textContent = errors > 0
+            ? `${errors} name(s) collide or are invalid`
+            : `${changes} item(s) will be renamed`;
+        modal.querySelector('#bulk-apply').disabled = errors > 0 || changes === 0;
+    };
+
+    modal.querySelectorAll('input, select').forEach(el => {
+        el.addEventListener('input', update);
+        el.addEventListener('change', update);
+    });
+    modal.querySelector('#bulk-cancel').addEventListener('click', () => modal.remove());
+    modal.querySelector('#bulk-apply').addEventListener('click', () => {
+        const pairs = plan.filter(p => p.to !== p.from).map(p => ({ from: p.from, to: p.to }));
+        try {
+            this.renameBatch(pairs);
+            this.recordOperation({ type: 'rename', label: `Rename ${pairs.length} items`, items: pairs });
+            modal.remove();
+            this.refresh();
+        } catch (err) {
+            alert('Failed to rename, no files were changed: ' + err.message);
+        }
+    });
+
+    update();
+}
+
+// Works out the new name for every file and flags empty names, slashes,
+// duplicates within the batch and clashes with files that are not being renamed
+planBulkRename(files, options, exifDates) {
+    let regex = null;
+    if (options.mode === 'replace' && options.regex && options.find) {
+        try {
+            regex = new RegExp(options.find, options.caseSensitive ? 'g' : 'gi');
+        } catch (err) {
+            throw new Error(`Invalid regular expression: ${err.message}`);
+        }
+    }
+
+    const plan = files.map((file, index) => {
+        const ext = options.includeExt || file.isDirectory ? '' : path.extname(file.name);
+        const stem = ext ? file.name.slice(0, -ext.length) : file.name;
+        const newStem = this.applyBulkRename(stem, file, index, options, regex, exifDates);
+        const newName = newStem + ext;
+        return { from: file.path, to: path.join(path.dirname(file.path), newName), newName };
+    });
+
+    const renamedAway = new Set(plan.filter(p => p.to !== p.from).map(p => p.from));
+    const seen = new Map();
+    plan.forEach(p => seen.set(p.to, (seen.get(p.to) || 0) + 1));
+
+    plan.forEach(p => {
+        if (!p.newName.trim() || p.newName === '.' || p.newName === '..') {
+            p.error = 'empty name';
+        } else if (p.newName.includes('/')) {
+            p.error = 'contains /';
+        } else if (seen.get(p.to) > 1) {
+            p.error = 'duplicate';
+        } else if (p.to !== p.from && fs.existsSync(p.to) && !renamedAway.has(p.to)) {
+            p.error = 'already exists';
+        }
+    });
+
+    return plan;
+}
+
+applyBulkRename(stem, file, index, options, regex, exifDates) {
+    const clamp = (pos, length) => Math.max(0, Math.min(pos, length));
+
+    switch (options.mode) {
+        case 'replace':
+            if (!options.find) return stem;
+            if (regex) return stem.replace(regex, options.replace);
+            if (options.caseSensitive) return stem.split(options.find).join(options.replace);
+            return stem.replace(new RegExp(options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), () => options.replace);
+        case 'insert': {
+            const pos = clamp(options.insertFromEnd ? stem.length - options.insertPos : options.insertPos, stem.length);
+            return stem.slice(0, pos) + options.insertText + stem.slice(pos);
+        }
+        case 'remove': {
+            const start = clamp(options.removeFromEnd ? stem.length - options.removePos - options.removeCount : options.removePos, stem.length);
+            return stem.slice(0, start) + stem.slice(start + options.removeCount);
+        }
+        case 'case':
+            if (options.caseMode === 'lower') return stem.toLowerCase();
+            if (options.caseMode === 'upper') return stem.toUpperCase();
+            if (options.caseMode === 'title') return stem.toLowerCase().replace(/(^|[\s_\-.])(\p{L})/gu, (m, sep, c) => sep + c.toUpperCase());
+            return stem.charAt(0).toUpperCase() + stem.slice(1).toLowerCase();
+        case 'pattern': {
+            const counter = options.counterStart + index * options.counterStep;
+            return options.pattern
+                .replace(/\[n\]/g, stem)
+                .replace(/\[(#+)\]/g, (m, hashes) => String(counter).padStart(hashes.length, '0'))
+                .replace(/\[date:([^\]]+)\]/g, (m, format) => this.formatDateTokens(file.modified, format))
+                .replace(/\[exif:([^\]]+)\]/g, (m, format) =>
+                    this.formatDateTokens(exifDates.get(file.path) || file.modified, format));
+        }
+        default:
+            return stem;
+    }
+}
+
+formatDateTokens(date, format) {
+    const pad = n => String(n).padStart(2, '0');
+    const tokens = {
+        YYYY: String(date.getFullYear()),
+        MM: pad(date.getMonth() + 1),
+        DD: pad(date.getDate()),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds())
+    };
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+}
+
+// Reads DateTimeOriginal (or DateTime) from a JPEG's EXIF block
+readExifDate(filePath) {
+    if (!/\.jpe?g$/i.test(filePath)) return null;
+
+    let buffer;
+    try {
+        const fd = fs.openSync(filePath, 'r');
+        buffer = Buffer.alloc(128 * 1024);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        fs.closeSync(fd);
+        buffer = buffer.subarray(0, bytesRead);
+    } catch (err) {
+        return null;
+    }
+
+    if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xFFD8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+        const marker = buffer.readUInt16BE(offset);
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xFFE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            return this.parseExifDate(buffer.subarray(offset + 10, offset + 2 + length));
+        }
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        offset += 2 + length;
+    }
+    return null;
+}
+
+parseExifDate(tiff) {
+    try {
+        const little = tiff.toString('latin1', 0, 2) === 'II';
+        const u16 = o => little ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o);
+        const u32 = o => little ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o);
+
+        const readIfd = (ifdOffset) => {
+            const entries = {};
+            const count = u16(ifdOffset);
+            for (let i = 0; i < count; i++) {
+                const entry = ifdOffset + 2 + i * 12;
+                entries[u16(entry)] = { count: u32(entry + 4), valueOffset: u32(entry + 8) };
+            }
+            return entries;
+        };
+        const readString = e => tiff.toString('latin1', e.valueOffset, e.valueOffset + e.count - 1);
+
+        const ifd0 = readIfd(u32(4));
+        let dateEntry = ifd0[0x0132];
+        if (ifd0[0x8769]) {
+            const exifIfd = readIfd(ifd0[0x8769].valueOffset);
+            dateEntry = exifIfd[0x9003] || exifIfd[0x9004] || dateEntry;
+        }
+        if (!dateEntry) return null;
+
+        const match = readString(dateEntry).match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return null;
+        const [, y, mo, d, h, mi, sec] = match.map(Number);
+        return new Date(y, mo - 1, d, h, mi, sec);
+    } catch (err) {
+        return null;
+    }
+}
+
+// Renames every pair or none: all sources move to temporary names first so
+// swaps and chains work, and any failure puts everything back.
+renameBatch(pairs) {
+    const staged = [];
+    const stamp = `${process.pid}-${Date.now()}`;
+
+    try {
+        pairs.forEach((pair, i) => {
+            const tmp = path.join(path.dirname(pair.from), `.elve-rename-${stamp}-${i}`);
+            fs.renameSync(pair.from, tmp);
+            staged.push({ ...pair, tmp, done: false });
+        });
+        for (const item of staged) {
+            if (fs.existsSync(item.to)) {
+                throw new Error(`${path.basename(item.to)} already exists`);
+            }
+            fs.renameSync(item.tmp, item.to);
+            item.done = true;
+        }
+    } catch (err) {
+        // Rolled back as far as possible. Whatever can't be put back is listed
+        // with the error, since hidden temporary names would look deleted.
+        const notRestored = [];
+        for (const item of staged.filter(item => item.done)) {
+            try {
+                fs.renameSync(item.to, item.tmp);
+            } catch (undoErr) {
+                item.stuck = true;
+                notRestored.push(`${path.basename(item.from)} is still named ${path.basename(item.to)}: ${undoErr.message}`);
+            }
+        }
+        for (const item of staged.filter(item => !item.stuck)) {
+            try {
+                fs.renameSync(item.tmp, item.from);
+            } catch (undoErr) {
+                notRestored.push(`${path.basename(item.from)} is still named ${path.basename(item.tmp)}: ${undoErr.message}`);
+            }
+        }
+        if (notRestored.length > 0) {
+            err.message += `\n\nThese could not be given their old names back:\n${notRestored.join('\n')}`;
+        }
+        throw err;
+    }
+}
+
+formatSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// File names and link targets may contain any byte but / and NUL, so anything
+// taken from the filesystem goes through here before it is put into markup
+escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+//part 4
+updateAddressBar() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const addressBar = document.getElementById('addressbar');
+    const content = document.getElementById('addressbar-content');
+    addressBar.classList.remove('editing');
+    content.innerHTML = '';
+    this.syncFolderTree();
+
+    if (pane.inTrash) {
+        const trashBreadcrumb = document.createElement('div');
+        trashBreadcrumb.className = 'breadcrumb';
+        trashBreadcrumb.textContent = '🗑️ Trash';
+        trashBreadcrumb.addEventListener('click', () => this.loadTrash(tab.activePaneIndex));
+        content.appendChild(trashBreadcrumb);
+        return;
+    }
+
+    // Handle archive paths
+    if (pane.currentArchive) {
+        const archiveName = path.basename(pane.archiveBasePath);
+        const subPath = pane.path || '/';
+        
+        // Archive root breadcrumb
+        const archiveBreadcrumb = document.createElement('div');
+        archiveBreadcrumb.className = 'breadcrumb';
+        archiveBreadcrumb.textContent = `📦 ${archiveName}`;
+        archiveBreadcrumb.addEventListener('click', () => {
+            this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, '');
+        });
+        content.appendChild(archiveBreadcrumb);
+        
+        // Subdirectories in archive
+        if (subPath !== '/') {
+            const parts = subPath.split('/').filter(p => p);
+            let currentPath = '';
+            parts.forEach((part) => {
+                currentPath += (currentPath ? '/' : '') + part;
+                const breadcrumb = document.createElement('div');
+                breadcrumb.className = 'breadcrumb';
+                breadcrumb.textContent = part;
+                
+                const fullPath = currentPath;
+                breadcrumb.addEventListener('click', () => {
+                    this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, fullPath);
+                });
+                
+                content.appendChild(breadcrumb);
+            });
+        }
+        return;
+    }
+
+    // Regular directory paths
+    const parts = tab.currentPath.split('/').filter(p => p);
+    parts.unshift('');
+
+    const maxWidth = addressBar.clientWidth - 100;
+    let breadcrumbs = [];
+    let currentPath = '';
+    
+    parts.forEach((part, index) => {
+        currentPath += (index === 0 ? '' : '/') + part;
+        const breadcrumb = document.createElement('div');
+        breadcrumb.className = 'breadcrumb';
+        breadcrumb.textContent = part || '/';
+        
+        const fullPath = currentPath || '/';
+        breadcrumb.addEventListener('click', () => {
+            this.loadDirectory(fullPath, tab.activePaneIndex);
+        });
+
+        breadcrumbs.push({ element: breadcrumb, width: breadcrumb.textContent.length * 8 });
+    });
+
+    // Show ellipsis if path is too long
+    let totalWidth = breadcrumbs.reduce((sum, b) => sum + b.width, 0);
+    let startIndex = 0;
+    
+    if (totalWidth > maxWidth) {
+        for (let i = 1; i < breadcrumbs.length - 1; i++) {
+            totalWidth -= breadcrumbs[i].width;
+            if (totalWidth <= maxWidth) {
+                startIndex = i;
+                break;
+            }
+        }
+        
+        if (startIndex > 0) {
+            const ellipsis = document.createElement('div');
+            ellipsis.className = 'breadcrumb';
+            ellipsis.textContent = '...';
+            content.appendChild(ellipsis);
+        }
+    }
+
+    for (let i = Math.max(0, startIndex); i < breadcrumbs.length; i++) {
+        content.appendChild(breadcrumbs[i].element);
+    }
+
+    // The path is kept as navigated; when a link was followed, offer the resolved one
+    let realPath = null;
+    try {
+        realPath = fs.realpathSync(tab.currentPath);
+    } catch (err) {}
+    if (realPath && realPath !== path.resolve(tab.currentPath)) {
+        const realLink = document.createElement('div');
+        realLink.className = 'breadcrumb real-path';
+        realLink.textContent = '↪';
+        realLink.title = `Go to real path: ${realPath}`;
+        realLink.addEventListener('click', () => {
+            this.loadDirectory(realPath, tab.activePaneIndex);
+        });
+        content.appendChild(realLink);
+    }
+}
+
+editAddressBar() {
+    const tab = this.getActiveTab();
+    const addressBar = document.getElementById('addressbar');
+    addressBar.classList.add('editing');
+    addressBar.innerHTML = '';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'addressbar-input';
+    input.value = tab.currentPath;
+    
+    addressBar.appendChild(input);
+    input.focus();
+    input.select();
+    
+    const handleSubmit = () => {
+        const newPath = input.value.trim();
+        if (newPath && (newPath === TRASH_URI || fs.existsSync(newPath))) {
+            this.loadDirectory(newPath, tab.activePaneIndex);
+        } else {
+            this.updateAddressBar();
+        }
+    };
+    
+    input.addEventListener('blur', handleSubmit);
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            handleSubmit();
+        } else if (e.key === 'Escape') {
+            this.updateAddressBar();
+        }
+    });
+}
+
+updateIconSize() {
+    this.applyPaneView(this.getActiveTab().activePaneIndex);
+}
+
+async updateStatusBar() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const selectedCount = pane.selectedFiles.size;
+    this.updatePreview();
+
+    if (this.statusSizeControl) {
+        this.statusSizeControl.cancelled = true;
+        this.statusSizeControl = null;
+    }
+
+    document.getElementById('status-selection').textContent = 
+        selectedCount === 0 ? 'No items selected' : 
+        selectedCount === 1 ? '1 item selected' : 
+        `${selectedCount} items selected`;
+
+    if (selectedCount === 1) {
+        const filePath = Array.from(pane.selectedFiles)[0];
+        try {
+            const stats = fs.lstatSync(filePath);
+            const size = this.formatSize(stats.size);
+            const permissions = (stats.mode & parseInt('777', 8)).toString(8);
+            const modified = stats.mtime.toLocaleDateString();
+            const created = stats.birthtime.toLocaleDateString();
+            
+            let owner = '';
+            try {
+                const { stdout } = await this.runCommand('stat', ['-c', '%U:%G', '--', filePath]);
+                owner = stdout.trim();
+            } catch (err) {}
+
+            if (stats.isDirectory() && !pane.currentArchive) {
+                this.showSelectionSize([filePath]);
+            } else {
+                document.getElementById('status-size').textContent = `Size: ${size}`;
+            }
+            document.getElementById('status-perms').textContent = `Perms: ${permissions}`;
+            document.getElementById('status-owner').textContent = owner ? `Owner: ${owner}` : '';
+            document.getElementById('status-created').textContent = `Created: ${created}`;
+            document.getElementById('status-modified').textContent = `Modified: ${modified}`;
+        } catch (err) {
+            this.clearStatusBar();
+        }
+    } else {
+        this.clearStatusBar();
+        if (selectedCount > 1 && !pane.currentArchive) {
+            this.showSelectionSize(Array.from(pane.selectedFiles));
+        }
+    }
+}
+
+clearStatusBar() {
+    document.getElementById('status-size').textContent = '';
+    document.getElementById('status-perms').textContent = '';
+    document.getElementById('status-owner').textContent = '';
+    document.getElementById('status-created').textContent = '';
+    document.getElementById('status-modified').textContent = '';
+}
+
+// FOLDER SIZES
+// Totals a folder with lstat, so links are counted rather than followed, and
+// stays on the folder's own filesystem unless crossMounts is set. Throws
+// ECANCELED once control.cancelled is set; onProgress gets running totals.
+async measureFolder(dirPath, { crossMounts = false, control = {}, onProgress = null } = {}) {
+    const rootDevice = (await fs.promises.lstat(dirPath)).dev;
+    const totals = { size: 0, files: 0, folders: 0, unreadable: 0 };
+    let lastReport = 0;
+
+    const walk = async (current) => {
+        let names;
+        try {
+            names = await fs.promises.readdir(current);
+        } catch (err) {
+            totals.unreadable++;
+            return;
+        }
+
+        for (let i = 0; i < names.length; i += 64) {
+            if (control.cancelled) {
+                const err = new Error('Operation cancelled');
+                err.code = 'ECANCELED';
+                throw err;
+            }
+
+            const batch = names.slice(i, i + 64).map(name => path.join(current, name));
+            const allStats = await Promise.all(batch.map(p => fs.promises.lstat(p).catch(() => null)));
+
+            for (const [j, stats] of allStats.entries()) {
+                if (!stats) {
+                    totals.unreadable++;
+                } else if (stats.isDirectory()) {
+                    totals.folders++;
+                    if (crossMounts || stats.dev === rootDevice) await walk(batch[j]);
+                } else {
+                    totals.files++;
+                    totals.size += stats.size;
+                }
+            }
+
+            if (onProgress && Date.now() - lastReport > 200) {
+                lastReport = Date.now();
+                onProgress({ ...totals });
+            }
+        }
+    };
+
+    await walk(dirPath);
+    return totals;
+}
+
+formatFolderTotals(totals) {
+    return `${this.formatSize(totals.size)} (${totals.files} file${totals.files === 1 ? '' : 's'}, ` +
+        `${totals.folders} folder${totals.folders === 1 ? '' : 's'})`;
+}
+
+// Sorting by size puts folders whose size is still unknown first
+getSortSize(file) {
+    if (!file.isDirectory) return file.size;
+    const totals = this.folderSizes.get(file.path);
+    return totals ? totals.size : -1;
+}
+
+// Measures the folders of a listing one after another for the size column and
+// size sorting. Loading another folder or switching tabs stops it.
+async measurePaneFolders(paneIndex) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[paneIndex];
+    if (!pane || !pane.files || pane.currentArchive || pane.inTrash) return;
+    if (['grid', 'columns'].includes(pane.view.viewMode) && pane.view.sortBy !== 'size') return;
+
+    if (pane.sizeControl) pane.sizeControl.cancelled = true;
+    const control = { cancelled: false };
+    pane.sizeControl = control;
+    const files = pane.files;
+
+    for (const file of files.filter(f => f.isDirectory && !f.isSymlink)) {
+        if (!this.folderSizes.has(file.path)) {
+            try {
+                this.folderSizes.set(file.path, await this.measureFolder(file.path, { control }));
+            } catch (err) {
+                if (err.code === 'ECANCELED') return;
+                continue;
+            }
+        }
+        if (this.getActiveTab() !== tab || pane.files !== files) return;
+
+        const fileArea = document.getElementById(`file-area-${paneIndex}`);
+        const sizeEl = fileArea && fileArea.querySelector(`.file-item[data-path="${CSS.escape(file.path)}"] :is(.file-info, [data-column="size"])`);
+        if (sizeEl) sizeEl.textContent = this.formatSize(this.folderSizes.get(file.path).size);
+    }
+
+    pane.sizeControl = null;
+    if (pane.view.sortBy === 'size') this.reorderPane(paneIndex);
+}
+
+// Re-sorts the listing in place, keeping the selection and scroll position
+reorderPane(paneIndex) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[paneIndex];
+    if (!pane.files) return;
+
+    this.sortFiles(pane.files, pane.view.sortBy, pane.view.sortOrder);
+    pane.columnListings = new Map();
+    pane.renderedRange = null;
+    pane.fileElements = new Map();
+    this.renderVisibleFiles(paneIndex);
+}
+
+// Status bar total for the selection; folder sizes fill in as they are measured
+async showSelectionSize(paths) {
+    const control = { cancelled: false };
+    this.statusSizeControl = control;
+    const sizeEl = document.getElementById('status-size');
+    const totals = { size: 0, files: 0, folders: 0 };
+    const pending = [];
+
+    for (const filePath of paths) {
+        try {
+            const stats = fs.lstatSync(filePath);
+            if (!stats.isDirectory()) {
+                totals.files++;
+                totals.size += stats.size;
+                continue;
+            }
+            totals.folders++;
+            const cached = this.folderSizes.get(filePath);
+            if (cached) {
+                totals.size += cached.size;
+                totals.files += cached.files;
+                totals.folders += cached.folders;
+            } else {
+                pending.push(filePath);
+            }
+        } catch (err) {}
+    }
+
+    const render = (partial = null) => {
+        if (control.cancelled) return;
+        const shown = partial
+            ? { size: totals.size + partial.size, files: totals.files + partial.files, folders: totals.folders + partial.folders }
+            : totals;
+        sizeEl.textContent = `Size: ${this.formatFolderTotals(shown)}${pending.length > 0 ? ' …' : ''}`;
+    };
+    render();
+
+    while (pending.length > 0) {
+        const dirPath = pending[0];
+        try {
+            const result = await this.measureFolder(dirPath, { control, onProgress: render });
+            this.folderSizes.set(dirPath, result);
+            totals.size += result.size;
+            totals.files += result.files;
+            totals.folders += result.folders;
+        } catch (err) {
+            if (err.code === 'ECANCELED') return;
+        }
+        pending.shift();
+        render();
+    }
+
+    if (this.statusSizeControl === control) this.statusSizeControl = null;
+}
+
+setupFolderSizeProperty(modal, file) {
+    const sizeEl = modal.querySelector('#prop-size');
+    const crossMountsBox = modal.querySelector('#prop-cross-mounts');
+    if (!sizeEl) return;
+
+    let active = null;
+    const measure = async () => {
+        if (active) active.stopped = true;
+        const control = { stopped: false, get cancelled() { return this.stopped || !modal.isConnected; } };
+        active = control;
+        sizeEl.textContent = 'Calculating…';
+
+        try {
+            const totals = await this.measureFolder(file.path, {
+                crossMounts: crossMountsBox.checked,
+                control,
+                onProgress: partial => {
+                    if (!control.cancelled) sizeEl.textContent = `${this.formatFolderTotals(partial)} …`;
+                }
+            });
+            if (!crossMountsBox.checked) this.folderSizes.set(file.path, totals);
+            sizeEl.textContent = this.formatFolderTotals(totals) +
+                (totals.unreadable > 0 ? `, ${totals.unreadable} unreadable` : '');
+        } catch (err) {
+            if (err.code !== 'ECANCELED') sizeEl.textContent = `Failed: ${err.message}`;
+        }
+    };
+
+    crossMountsBox.addEventListener('change', measure);
+    measure();
+}
+
+async search(query) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const fileArea = document.getElementById(`file-area-${tab.activePaneIndex}`);
+    
+    if (!query.trim()) {
+        this.refresh();
+        return;
+    }
+
+    const paneIndex = tab.activePaneIndex;
+    const token = this.beginLoad(paneIndex);
+    pane.searchQuery = query;
+    pane.files = null;
+    this.showLoading(fileArea);
+
+    try {
+        // First: search current folder only
+        const currentFiles = fs.readdirSync(pane.path).filter(f => 
+            f.toLowerCase().includes(query.toLowerCase())
+        );
+
+        let currentResults = [];
+        for (const file of currentFiles) {
+            try {
+                currentResults.push(await this.createFileItem(path.join(pane.path, file), file));
+            } catch (err) {}
+        }
+        currentResults = this.filterHidden(currentResults, await this.readHiddenList(pane.path), pane.view.showHidden);
+
+        // Show current folder results immediately
+        if (!this.isCurrentLoad(paneIndex, token)) return;
+        if (currentResults.length > 0) {
+            await this.renderFiles(currentResults, tab.activePaneIndex);
+        }
+
+        // Then: deep search in background, replacing any search still running
+        if (this.searchAbort) this.searchAbort.abort();
+        const searchAbort = new AbortController();
+        this.searchAbort = searchAbort;
+
+        setTimeout(async () => {
+            try {
+                // The query is a literal substring, so glob characters in it are escaped
+                const pattern = `*${query.replace(/[\\*?[\]]/g, '\\$&')}*`;
+                const results = [];
+                // Hidden folders are pruned so their contents don't use up the result limit
+                const findArgs = pane.view.showHidden
+                    ? [pane.path, '-iname', pattern]
+                    : [pane.path, '-mindepth', '1', '-name', '.*', '-prune', '-o', '-iname', pattern, '-print'];
+                await this.runCommand('find', findArgs, {
+                    timeout: 60000,
+                    signal: searchAbort.signal,
+                    ignoreExitCode: true,
+                    onLine: (line) => {
+                        results.push(line);
+                        return results.length < 200;
+                    }
+                });
+
+                const fileItems = [];
+                const hiddenLists = new Map();
+                for (const filePath of results) {
+                    try {
+                        const item = await this.createFileItem(filePath);
+                        item.isHidden = await this.isHiddenBelow(pane.path, filePath, hiddenLists);
+                        if (!item.isHidden || pane.view.showHidden) fileItems.push(item);
+                    } catch (err) {}
+                }
+
+                if (!this.isCurrentLoad(paneIndex, token)) return;
+                await this.renderFiles(fileItems, paneIndex);
+            } catch (err) {
+                if (err.code !== 'ECANCELED') console.error('Deep search failed:', err);
+            }
+        }, 100);
+    } catch (err) {
+        fileArea.innerHTML = '<div class="loading">Search failed</div>';
+    }
+}
+
+// DUPLICATE FINDER
+findDuplicates(rootPath) {
+    const name = path.basename(rootPath) || rootPath;
+    const job = this.enqueueJob('scan', `Finding duplicates in ${name}`, async (job) => {
+        job.skipped = [];
+        job.duplicates = await this.scanDuplicates(job, rootPath);
+    });
+
+    job.done.then(() => {
+        if (job.status === 'done') {
+            this.showDuplicateResults(rootPath, job.duplicates, job.skipped);
+        }
+    });
+}
+
+// Narrows candidates in three passes so most files are never read in full:
+// equal size, then a hash of the first 64 KB, then a hash of the whole file.
+async scanDuplicates(job, rootPath) {
+    const headBytes = 64 * 1024;
+    const bySize = new Map();
+    const seenInodes = new Set();
+
+    const walk = async (dirPath) => {
+        await this.jobCheckpoint(job);
+        job.currentFile = dirPath;
+        this.updateJobProgress(job);
+
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        } catch (err) {
+            job.skipped.push(dirPath);
+            return;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                await walk(fullPath);
+                continue;
+            }
+            // Symlinks, sockets and devices are never candidates
+            if (!entry.isFile()) continue;
+
+            try {
+                const stats = await fs.promises.stat(fullPath);
+                // Hardlinks to one inode already share their storage
+                const inode = `${stats.dev}:${stats.ino}`;
+                if (stats.size === 0 || seenInodes.has(inode)) continue;
+                seenInodes.add(inode);
+
+                if (!bySize.has(stats.size)) bySize.set(stats.size, []);
+                bySize.get(stats.size).push({ path: fullPath, size: stats.size, modified: stats.mtime, dev: stats.dev });
+            } catch (err) {
+                job.skipped.push(fullPath);
+            }
+        }
+    };
+
+    job.label += ' (scanning)';
+    await walk(rootPath);
+
+    let groups = [...bySize.values()].filter(group => group.length > 1);
+    job.label = job.label.replace(' (scanning)', ' (comparing)');
+    job.itemsTotal = groups.reduce((sum, group) => sum + group.length, 0);
+    groups = await this.splitDuplicateGroups(job, groups, file => this.hashFileHead(file.path, headBytes));
+
+    // Anything no larger than the head has been compared completely already
+    const small = groups.filter(group => group[0].size <= headBytes);
+    const large = groups.filter(group => group[0].size > headBytes);
+    job.itemsDone = 0;
+    job.itemsTotal = large.reduce((sum, group) => sum + group.length, 0);
+    job.bytesTotal = large.reduce((sum, group) => sum + group[0].size * group.length, 0);
+    const confirmed = await this.splitDuplicateGroups(job, large, file => this.hashFile(file.path, 'sha256', job));
+
+    return [...small, ...confirmed]
+        .sort((a, b) => b[0].size * (b.length - 1) - a[0].size * (a.length - 1));
+}
+
+async splitDuplicateGroups(job, groups, hashOf) {
+    const result = [];
+    for (const group of groups) {
+        const byHash = new Map();
+        for (const file of group) {
+            await this.jobCheckpoint(job);
+            job.currentFile = file.path;
+            try {
+                const hash = await hashOf(file);
+                if (!byHash.has(hash)) byHash.set(hash, []);
+                byHash.get(hash).push(file);
+            } catch (err) {
+                if (err.code === 'ECANCELED') throw err;
+                job.skipped.push(file.path);
+            }
+            job.itemsDone++;
+            this.updateJobProgress(job);
+        }
+        result.push(...[...byHash.values()].filter(matches => matches.length > 1));
+    }
+    return result;
+}
+
+async hashFileHead(filePath, length) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return crypto.createHash('sha256').update(buffer.subarray(0, bytesRead)).digest('hex');
+    } finally {
+        await handle.close();
+    }
+}
+
+pickDuplicateKeeper(group, rule) {
+    const compare = {
+        newest: (a, b) => b.modified - a.modified,
+        oldest: (a, b) => a.modified - b.modified,
+        shortest: (a, b) => a.path.length - b.path.length || a.path.localeCompare(b.path)
+    }[rule];
+    return [...group].sort(compare)[0];
+}
+
+showDuplicateResults(rootPath, groups, skipped) {
+    if (groups.length === 0) {
+        alert(`No duplicate files found in ${rootPath}.` +
+            (skipped.length > 0 ? `\n\n${skipped.length} item(s) could not be read.` : ''));
+        return;
+    }
+
+    const reclaimable = groups.reduce((sum, group) => sum + group[0].size * (group.length - 1), 0);
+    const groupsHtml = groups.map((group, g) => `
+        <div class="duplicate-group">
+            <div class="conflict-label">${group.length} copies · ${this.formatSize(group[0].size)} each</div>
+            ${group.map((file, i) => `
+                <label class="duplicate-file">
+                    <input type="checkbox" data-group="${g}" data-index="${i}">
+                    <span class="duplicate-path" title="${this.escapeHtml(file.path)}">${this.escapeHtml(path.relative(rootPath, file.path))}</span>
+                    <span class="journal-time">${file.modified.toLocaleString()}</span>
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content duplicate-results">
+            <div class="modal-title">Duplicates in ${this.escapeHtml(path.basename(rootPath) || rootPath)}</div>
+            <div class="modal-body" style="font-size:13px;">
+                <div class="bulk-help">
+                    ${groups.length} group(s) · ${this.formatSize(reclaimable)} reclaimable
+                    ${skipped.length > 0 ? ` · ${skipped.length} item(s) could not be read` : ''}
+                </div>
+                <label class="duplicate-keep">
+                    Keep
+                    <select class="input-field" id="dup-keep">
+                        <option value="newest">the newest copy</option>
+                        <option value="oldest">the oldest copy</option>
+                        <option value="shortest">the copy with the shortest path</option>
+                    </select>
+                    and select the rest
+                </label>
+                <div class="duplicate-groups">${groupsHtml}</div>
+                <div id="dup-summary" class="bulk-help"></div>
+            </div>
+            <div class="modal-actions">
+                <button class="btn" id="dup-close">Close</button>
+                <button class="btn" id="dup-hardlink">Replace with Hardlinks</button>
+                <button class="btn btn-primary" id="dup-trash">Move Selected to Trash</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const boxes = Array.from(modal.querySelectorAll('.duplicate-file input'));
+    const fileOf = box => groups[box.dataset.group][box.dataset.index];
+
+    const updateSummary = () => {
+        const selected = boxes.filter(box => box.checked).map(fileOf);
+        const bytes = selected.reduce((sum, file) => sum + file.size, 0);
+        modal.querySelector('#dup-summary').textContent =
+            `${selected.length} file(s) selected · ${this.formatSize(bytes)}`;
+        modal.querySelector('#dup-trash').disabled = selected.length === 0;
+        modal.querySelector('#dup-hardlink').disabled = selected.length === 0;
+    };
+
+    const applyKeepRule = () => {
+        const rule = modal.querySelector('#dup-keep').value;
+        const keepers = new Set(groups.map(group => this.pickDuplicateKeeper(group, rule)));
+        boxes.forEach(box => { box.checked = !keepers.has(fileOf(box)); });
+        updateSummary();
+    };
+
+    // Each group must keep at least one copy, which becomes the hardlink target
+    const collectSelection = () => {
+        const plan = [];
+        for (const [g, group] of groups.entries()) {
+            const checked = boxes.filter(box => box.dataset.group === String(g) && box.checked).map(fileOf);
+            if (checked.length === 0) continue;
+            const keeper = group.find(file => !checked.includes(file));
+            if (!keeper) {
+                alert(`Every copy of ${path.basename(group[0].path)} is selected. Keep at least one.`);
+                return null;
+            }
+            plan.push({ keeper, duplicates: checked });
+        }
+        return plan;
+    };
+
+    modal.querySelector('#dup-keep').addEventListener('change', applyKeepRule);
+    boxes.forEach(box => box.addEventListener('change', updateSummary));
+    modal.querySelector('#dup-close').addEventListener('click', () => modal.remove());
+
+    modal.querySelector('#dup-trash').addEventListener('click', () => {
+        const plan = collectSelection();
+        if (!plan) return;
+        this.trashPaths(plan.flatMap(entry => entry.duplicates.map(file => file.path)));
+        modal.remove();
+    });
+
+    modal.querySelector('#dup-hardlink').addEventListener('click', () => {
+        const plan = collectSelection();
+        if (!plan) return;
+        const count = plan.reduce((sum, entry) => sum + entry.duplicates.length, 0);
+        if (!confirm(`Replace ${count} file(s) with hardlinks to the kept copies?\n\nThis cannot be undone.`)) return;
+        this.hardlinkDuplicates(plan);
+        modal.remove();
+    });
+
+    applyKeepRule();
+}
+
+hardlinkDuplicates(plan) {
+    this.enqueueJob('hardlink', 'Replacing duplicates with hardlinks', async (job) => {
+        job.changed.push(...plan.flatMap(entry => entry.duplicates.map(file => file.path)));
+        job.itemsTotal = plan.reduce((sum, entry) => sum + entry.duplicates.length, 0);
+        for (const { keeper, duplicates } of plan) {
+            for (const file of duplicates) {
+                await this.jobCheckpoint(job);
+                job.currentFile = file.path;
+                try {
+                    await this.replaceWithHardlink(keeper, file);
+                } catch (err) {
+                    job.errors.push(`${file.path}: ${err.message}`);
+                }
+                job.itemsDone++;
+                this.updateJobProgress(job);
+            }
+        }
+    });
+}
+
+// The link is made under a temporary name and renamed over the duplicate, so
+// the duplicate is never missing if something fails halfway.
+async replaceWithHardlink(keeper, file) {
+    if (file.dev !== keeper.dev) {
+        throw new Error('on a different filesystem than the kept copy');
+    }
+    for (const entry of [keeper, file]) {
+        const stats = await fs.promises.stat(entry.path);
+        if (stats.size !== entry.size || stats.mtime.getTime() !== entry.modified.getTime()) {
+            throw new Error(`${path.basename(entry.path)} changed since the scan`);
+        }
+    }
+
+    const temp = path.join(path.dirname(file.path), `.${path.basename(file.path)}.elve-link-${Date.now()}`);
+    await fs.promises.link(keeper.path, temp);
+    try {
+        await fs.promises.rename(temp, file.path);
+    } catch (err) {
+        await fs.promises.unlink(temp).catch(() => {});
+        throw err;
+    }
+}
+
+// HISTORY & NAVIGATION
+addToHistory(dirPath) {
+    const tab = this.getActiveTab();
+    if (tab.history[tab.historyIndex] !== dirPath) {
+        tab.history = tab.history.slice(0, tab.historyIndex + 1);
+        tab.history.push(dirPath);
+        tab.historyIndex = tab.history.length - 1;
+    }
+}
+
+goBack() {
+    const tab = this.getActiveTab();
+    if (tab.historyIndex > 0) {
+        tab.historyIndex--;
+        tab.currentPath = tab.history[tab.historyIndex];
+        this.loadDirectory(tab.currentPath, tab.activePaneIndex);
+    }
+}
+
+goForward() {
+    const tab = this.getActiveTab();
+    if (tab.historyIndex < tab.history.length - 1) {
+        tab.historyIndex++;
+        tab.currentPath = tab.history[tab.historyIndex];
+        this.loadDirectory(tab.currentPath, tab.activePaneIndex);
+    }
+}
+
+goUp() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    
+    if (pane.inTrash) {
+        return;
+    }
+    
+    if (pane.currentArchive) {
+        // Go up in archive
+        if (pane.path === '/' || pane.path === '') {
+            // Exit archive
+            this.loadDirectory(path.dirname(pane.archiveBasePath), tab.activePaneIndex);
+        } else {
+            // Go up one level in archive
+            const parentPath = pane.path.split('/').slice(0, -1).join('/');
+            this.loadArchive(pane.archiveBasePath, tab.activePaneIndex, parentPath);
+        }
+    } else {
+        const parent = path.dirname(tab.currentPath);
+        if (parent !== tab.currentPath) {
+            this.loadDirectory(parent, tab.activePaneIndex);
+        }
+    }
+}
+
+// HIDDEN FILES
+// Dotfiles are hidden, and so is any name listed in the folder's .hidden file
+async readHiddenList(dirPath) {
+    try {
+        const text = await fs.promises.readFile(path.join(dirPath, '.hidden'), 'utf8');
+        return new Set(text.split('\n').map(line => line.trim()).filter(Boolean));
+    } catch (err) {
+        return new Set();
+    }
+}
+
+isHiddenName(name, hiddenList) {
+    return name.startsWith('.') || (hiddenList ? hiddenList.has(name) : false);
+}
+
+// Marks hidden items and drops them unless hidden files are being shown
+filterHidden(items, hiddenList, showHidden) {
+    items.forEach(item => item.isHidden = this.isHiddenName(item.name, hiddenList));
+    return showHidden ? items : items.filter(item => !item.isHidden);
+}
+
+// Whether filePath, or any folder between root and it, is hidden
+async isHiddenBelow(root, filePath, hiddenLists) {
+    let current = filePath;
+    while (current !== root && current.startsWith(root)) {
+        const dirPath = path.dirname(current);
+        if (!hiddenLists.has(dirPath)) hiddenLists.set(dirPath, await this.readHiddenList(dirPath));
+        if (this.isHiddenName(path.basename(current), hiddenLists.get(dirPath))) return true;
+        current = dirPath;
+    }
+    return false;
+}
+
+toggleHidden() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    pane.view.showHidden = !pane.view.showHidden;
+    this.saveFolderView(tab.activePaneIndex);
+
+    // A pane showing search results gets the search run again
+    if (pane.searchQuery) {
+        this.search(pane.searchQuery);
+    } else {
+        this.reloadPane(tab.activePaneIndex);
+    }
+    // Open folders in the tree are listed again; collapsed ones are when they're reopened
+    document.querySelectorAll('#folder-tree .tree-node.expanded').forEach(node => this.expandTreeNode(node, true));
+}
+
+// WATCHING
+// The pane's directory is watched once its listing is complete. Panes on
+// filesystems that don't report changes are re-read on a timer instead.
+watchPane(paneIndex, token) {
+    this.unwatchPane(paneIndex);
+    const pane = this.getActiveTab().panes[paneIndex];
+    const state = {
+        token,
+        dirPath: pane.path,
+        pending: new Set(),
+        resync: false,
+        firstEvent: 0,
+        timer: null,
+        busy: false,
+        watcher: null,
+        poller: null
+    };
+    this.paneWatchers[paneIndex] = state;
+
+    const startPolling = () => {
+        if (state.watcher) {
+            state.watcher.close();
+            state.watcher = null;
+        }
+        if (!state.poller) {
+            state.poller = setInterval(() => this.scheduleWatchUpdate(paneIndex, state, null), WATCH_POLL_INTERVAL);
+        }
+    };
+
+    if (POLLED_FILESYSTEMS.includes(this.getFilesystemType(state.dirPath))) {
+        startPolling();
+        return;
+    }
+
+    try {
+        state.watcher = fs.watch(state.dirPath, { persistent: false }, (eventType, filename) => {
+            this.scheduleWatchUpdate(paneIndex, state, filename ? filename.toString() : null);
+        });
+        state.watcher.on('error', startPolling);
+    } catch (err) {
+        // Out of inotify watches, or not supported here
+        startPolling();
+    }
+}
+
+unwatchPane(paneIndex) {
+    const state = this.paneWatchers[paneIndex];
+    if (!state) return;
+
+    if (state.watcher) state.watcher.close();
+    clearInterval(state.poller);
+    clearTimeout(state.timer);
+    this.paneWatchers[paneIndex] = null;
+}
+
+unwatchAllPanes() {
+    this.paneWatchers.forEach((state, index) => this.unwatchPane(index));
+}
+
+getFilesystemType(dirPath) {
+    try {
+        let best = null;
+        for (const line of fs.readFileSync('/proc/mounts', 'utf8').split('\n')) {
+            const [, mountPoint, type] = line.split(' ');
+            if (!mountPoint) continue;
+            // Mount points with spaces are octal-escaped in /proc/mounts
+            const decoded = mountPoint.replace(/\\([0-7]{3})/g, (m, oct) => String.fromCharCode(parseInt(oct, 8)));
+            const inside = dirPath === decoded || dirPath.startsWith(decoded.endsWith('/') ? decoded : decoded + '/');
+            if (inside && (!best || decoded.length >= best.mountPoint.length)) {
+                best = { mountPoint: decoded, type };
+            }
+        }
+        return best ? best.type : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Events are collected until the directory goes quiet for a moment; a steady
+// stream of changes is still applied at least once a second
+scheduleWatchUpdate(paneIndex, state, name) {
+    if (name === null || name.includes('/')) {
+        state.resync = true;
+    } else {
+        state.pending.add(name);
+    }
+
+    const now = Date.now();
+    if (!state.firstEvent) state.firstEvent = now;
+    clearTimeout(state.timer);
+    const delay = Math.max(0, Math.min(WATCH_DEBOUNCE, state.firstEvent + WATCH_MAX_WAIT - now));
+    state.timer = setTimeout(() => this.flushWatchUpdate(paneIndex, state), delay);
+}
+
+async flushWatchUpdate(paneIndex, state) {
+    if (this.paneWatchers[paneIndex] !== state) return;
+    if (state.busy) {
+        state.timer = setTimeout(() => this.flushWatchUpdate(paneIndex, state), WATCH_DEBOUNCE);
+        return;
+    }
+
+    const pane = this.getActiveTab().panes[paneIndex];
+    const names = Array.from(state.pending);
+    // An edited .hidden file can hide or reveal any entry
+    const resync = state.resync || names.length > 1000 || names.includes('.hidden');
+    state.pending = new Set();
+    state.resync = false;
+    state.firstEvent = 0;
+    state.busy = true;
+
+    try {
+        // The folder itself went away: fall back to the nearest one still there
+        if (!fs.existsSync(state.dirPath)) {
+            let parent = path.dirname(state.dirPath);
+            while (!fs.existsSync(parent)) parent = path.dirname(parent);
+            this.loadDirectory(parent, paneIndex);
+            return;
+        }
+
+        const hiddenList = await this.readHiddenList(state.dirPath);
+        let items = [];
+        let removed = [];
+        if (resync) {
+            const entries = await this.statEntries(state.dirPath, await fs.promises.readdir(state.dirPath));
+            items = this.filterHidden(entries, hiddenList, pane.view.showHidden);
+            const present = new Set(items.map(item => item.path));
+            removed = pane.files.map(file => file.path).filter(filePath => !present.has(filePath));
+        } else {
+            await Promise.all(names.map(async (name) => {
+                const fullPath = path.join(state.dirPath, name);
+                try {
+                    items.push(await this.createFileItem(fullPath, name));
+                } catch (err) {
+                    removed.push(fullPath);
+                    this.removeThumbnails(fullPath);
+                }
+            }));
+            const visible = this.filterHidden(items, hiddenList, pane.view.showHidden);
+            removed.push(...items.filter(item => !visible.includes(item)).map(item => item.path));
+            items = visible;
+        }
+
+        if (this.paneWatchers[paneIndex] === state && this.isCurrentLoad(paneIndex, state.token)) {
+            this.applyPaneChanges(paneIndex, items, removed);
+        }
+    } catch (err) {
+        console.error(`Failed to update ${state.dirPath}:`, err);
+    } finally {
+        state.busy = false;
+    }
+}
+
+// Merges changed and removed entries into the listing without reloading it,
+// so the selection and scroll position are kept
+applyPaneChanges(paneIndex, items, removed) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[paneIndex];
+    const byPath = new Map(pane.files.map(file => [file.path, file]));
+    let changed = false;
+
+    for (const filePath of removed) {
+        if (!byPath.delete(filePath)) continue;
+        pane.selectedFiles.delete(filePath);
+        pane.fileElements.delete(filePath);
+        this.folderSizes.delete(filePath);
+        changed = true;
+    }
+
+    for (const item of items) {
+        const old = byPath.get(item.path);
+        if (old && old.isDirectory === item.isDirectory && old.isBrokenLink === item.isBrokenLink &&
+            old.size === item.size && old.modified.getTime() === item.modified.getTime()) {
+            continue;
+        }
+        byPath.set(item.path, item);
+        pane.fileElements.delete(item.path);
+        this.folderSizes.delete(item.path);
+        changed = true;
+    }
+
+    if (!changed) return;
+
+    // The folder shown and every folder above it now have a different total
+    for (const dirPath of this.folderSizes.keys()) {
+        if (pane.path === dirPath || pane.path.startsWith(dirPath.endsWith(path.sep) ? dirPath : dirPath + path.sep)) {
+            this.folderSizes.delete(dirPath);
+        }
+    }
+
+    pane.files = this.sortFiles(Array.from(byPath.values()), pane.view.sortBy, pane.view.sortOrder);
+    pane.renderedRange = null;
+    this.renderVisibleFiles(paneIndex);
+    this.updateStatusBar();
+    this.measurePaneFolders(paneIndex);
+}
+
+// Without `changedPaths` anything may have changed on disk, so measured folder
+// sizes start over; with them only the sizes that include one are dropped
+refresh(changedPaths = null) {
+    if (changedPaths) {
+        this.forgetFolderSizes(changedPaths);
+    } else {
+        this.folderSizes.clear();
+    }
+    const tab = this.getActiveTab();
+    tab.panes.forEach((pane, index) => this.reloadPane(index));
+}
+
+// Drops the sizes of the folders holding, or held in, any of `changedPaths`
+forgetFolderSizes(changedPaths) {
+    const inside = (child, parent) => child === parent || child.startsWith(parent.endsWith(path.sep) ? parent : parent + path.sep);
+    for (const dirPath of this.folderSizes.keys()) {
+        if (changedPaths.some(changed => inside(changed, dirPath) || inside(dirPath, changed))) {
+            this.folderSizes.delete(dirPath);
+        }
+    }
+}
+
+reloadPane(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    if (pane.currentArchive) {
+        this.loadArchive(pane.archiveBasePath, paneIndex, pane.path);
+    } else {
+        this.loadDirectory(pane.path, paneIndex);
+    }
+}
+
+setSorting(sortBy, sortOrder) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    pane.view.sortBy = sortBy;
+    pane.view.sortOrder = sortOrder;
+    this.saveFolderView(tab.activePaneIndex);
+    this.reorderPane(tab.activePaneIndex);
+    this.refreshDetailsHeaders();
+    this.measurePaneFolders(tab.activePaneIndex);
+}
+
+toggleView() {
+    const tab = this.getActiveTab();
+    const modes = ['grid', 'list', 'details', 'columns'];
+    this.setView(modes[(modes.indexOf(tab.panes[tab.activePaneIndex].view.viewMode) + 1) % modes.length]);
 }
 
 setView(mode) {
     const tab = this.getActiveTab();
-    tab.viewMode = mode;
+    tab.panes[tab.activePaneIndex].view.viewMode = mode;
+    this.saveFolderView(tab.activePaneIndex);
+    this.applyPaneView(tab.activePaneIndex);
+    this.measurePaneFolders(tab.activePaneIndex);
+}
+
+// MIME TYPES
+// Types come from the shared-mime-info database that every desktop installs:
+// file name globs first, then the magic rules when the name says nothing or
+// disagrees with the content
+
+// $XDG_DATA_HOME first, then $XDG_DATA_DIRS, as the XDG base directory spec orders them
+getDataDirs() {
+    const dataHome = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+    const dataDirs = (process.env.XDG_DATA_DIRS || '/usr/local/share:/usr/share').split(':').filter(dir => dir);
+    return [dataHome, ...dataDirs];
+}
+
+// A desktop-entry style file (.desktop, .thumbnailer, index.theme) as { group: { key: value } }
+readDesktopFile(filePath) {
+    const groups = {};
+    let entry = null;
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+            entry = groups[trimmed.slice(1, -1)] = {};
+        } else if (entry && trimmed.includes('=') && !trimmed.startsWith('#')) {
+            const separator = trimmed.indexOf('=');
+            entry[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+        }
+    }
+    return groups;
+}
+
+readDesktopEntry(filePath, group) {
+    return this.readDesktopFile(filePath)[group] || {};
+}
+
+getMimeDatabase() {
+    if (!this.mimeDatabase) {
+        const database = {
+            globs: { names: new Map(), suffixes: new Map(), patterns: [] },
+            magic: [],
+            aliases: new Map(),
+            parents: new Map(),
+            icons: new Map(),
+            genericIcons: new Map(),
+            comments: new Map()
+        };
+        // Lower priority dirs are read first so the ones before them win
+        for (const dir of this.getDataDirs().reverse()) {
+            const mimeDir = path.join(dir, 'mime');
+            const read = (name) => {
+                try {
+                    return fs.readFileSync(path.join(mimeDir, name));
+                } catch (err) {
+                    return null;
+                }
+            };
+            const lines = (name) => {
+                const data = read(name);
+                return data ? data.toString('utf8').split('\n').filter(line => line && !line.startsWith('#')) : [];
+            };
+
+            this.loadMimeGlobs(database.globs, lines('globs2'));
+            const magic = read('magic');
+            if (magic) database.magic.unshift(...this.parseMimeMagic(magic));
+            for (const line of lines('aliases')) {
+                const [alias, mimeType] = line.split(' ');
+                database.aliases.set(alias, mimeType);
+            }
+            for (const line of lines('subclasses')) {
+                const [mimeType, parent] = line.split(' ');
+                if (!database.parents.has(mimeType)) database.parents.set(mimeType, []);
+                database.parents.get(mimeType).push(parent);
+            }
+            for (const [file, map] of [['icons', database.icons], ['generic-icons', database.genericIcons]]) {
+                for (const line of lines(file)) {
+                    const [mimeType, icon] = line.split(':');
+                    map.set(mimeType, icon);
+                }
+            }
+        }
+        database.magic.sort((a, b) => b.priority - a.priority);
+        this.mimeDatabase = database;
+    }
+    return this.mimeDatabase;
+}
+
+// globs2 lines are `weight:type:pattern[:flags]`. Literal names and plain
+// `*.ext` patterns go in maps; anything else is kept as a regular expression.
+// Within one file the higher weight wins a pattern.
+loadMimeGlobs(globs, lines) {
+    const weights = new Map();
+    const patterns = [];
+    for (const line of lines) {
+        const [weight, mimeType, pattern, flags = ''] = line.split(':');
+        if (!pattern || weights.get(pattern) >= Number(weight)) continue;
+        weights.set(pattern, Number(weight));
+
+        const caseSensitive = flags.split(',').includes('cs');
+        if (!/[*?[]/.test(pattern)) {
+            globs.names.set(caseSensitive ? pattern : pattern.toLowerCase(), mimeType);
+        } else if (/^\*\.[^*?[]+$/.test(pattern)) {
+            globs.suffixes.set(caseSensitive ? pattern.slice(1) : pattern.slice(1).toLowerCase(), mimeType);
+        } else {
+            const source = pattern.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+            patterns.push({ regex: new RegExp(`^${source}$`, caseSensitive ? '' : 'i'), mimeType });
+        }
+    }
+    globs.patterns.unshift(...patterns);
+}
+
+// The binary magic file: `[priority:type]` headers, each followed by rules of the form
+// `[indent]>offset=<2-byte length><value>[&mask][~word size][+range length]\n`.
+// A rule matches when its value is found and, if it has nested rules, one of those matches too.
+parseMimeMagic(data) {
+    const sections = [];
+    if (data.toString('latin1', 0, 12) !== 'MIME-Magic\0\n') return sections;
+
+    const swap = os.endianness() === 'LE';
+    const readNumber = (pos) => {
+        let end = pos;
+        while (data[end] >= 0x30 && data[end] <= 0x39) end++;
+        return [end > pos ? Number(data.toString('latin1', pos, end)) : null, end];
+    };
+
+    let pos = 12;
+    let section = null;
+    let stack = [];
+    while (pos < data.length) {
+        if (data[pos] === 0x5B) {  // [
+            const end = data.indexOf(0x0A, pos);
+            const [priority, mimeType] = data.toString('latin1', pos + 1, end - 1).split(':');
+            section = { priority: Number(priority), mimeType, rules: [], extent: 0 };
+            sections.push(section);
+            stack = [{ children: section.rules }];
+            pos = end + 1;
+            continue;
+        }
+
+        let indent;
+        [indent, pos] = readNumber(pos);
+        let offset;
+        [offset, pos] = readNumber(pos + 1);  // After '>'
+        const length = data.readUInt16BE(pos + 1);  // After '='
+        pos += 3;
+        const rule = { offset, value: data.subarray(pos, pos + length), mask: null, range: 1, children: [] };
+        pos += length;
+        let wordSize = 1;
+        while (data[pos] !== 0x0A && pos < data.length) {
+            const marker = data[pos];
+            if (marker === 0x26) {  // &
+                rule.mask = data.subarray(pos + 1, pos + 1 + length);
+                pos += 1 + length;
+            } else if (marker === 0x7E) {  // ~
+                [wordSize, pos] = readNumber(pos + 1);
+            } else if (marker === 0x2B) {  // +
+                [rule.range, pos] = readNumber(pos + 1);
+            } else {
+                pos = data.indexOf(0x0A, pos);  // Unknown extension, skipped as the spec asks
+            }
+        }
+        pos++;
+
+        // Values are stored big-endian; host-order words need swapping here
+        if (swap && wordSize > 1) {
+            const swapWords = buffer => {
+                const swapped = Buffer.from(buffer);
+                for (let i = 0; i + wordSize <= swapped.length; i += wordSize) swapped.subarray(i, i + wordSize).reverse();
+                return swapped;
+            };
+            rule.value = swapWords(rule.value);
+            if (rule.mask) rule.mask = swapWords(rule.mask);
+        }
+
+        section.extent = Math.max(section.extent, offset + rule.range + length);
+        const level = indent || 0;
+        stack.length = level + 1;
+        (stack[level] || stack[stack.length - 1]).children.push(rule);
+        stack[level + 1] = rule;
+    }
+    return sections;
+}
+
+matchMagicRules(rules, data) {
+    return rules.some(rule => {
+        const { offset, value, mask, range } = rule;
+        let found = false;
+        for (let start = offset; !found && start < offset + range && start + value.length <= data.length; start++) {
+            found = true;
+            for (let i = 0; i < value.length; i++) {
+                const byte = mask ? data[start + i] & mask[i] : data[start + i];
+                if (byte !== (mask ? value[i] & mask[i] : value[i])) {
+                    found = false;
+                    break;
+                }
+            }
+        }
+        return found && (rule.children.length === 0 || this.matchMagicRules(rule.children, data));
+    });
+}
+
+// Literal names first, then the longest matching extension ("x.tar.gz" is a
+// compressed tarball, not just gzip), then the remaining globs; null when nothing matches
+getMimeTypeFromName(fileName) {
+    const { names, suffixes, patterns } = this.getMimeDatabase().globs;
+    const lower = fileName.toLowerCase();
+
+    const named = names.get(fileName) || names.get(lower);
+    if (named) return named;
+
+    for (let i = fileName.indexOf('.'); i !== -1; i = fileName.indexOf('.', i + 1)) {
+        const suffixed = suffixes.get(fileName.slice(i)) || suffixes.get(lower.slice(i));
+        if (suffixed) return suffixed;
+    }
+
+    const matched = patterns.find(({ regex }) => regex.test(fileName));
+    return matched ? matched.mimeType : null;
+}
+
+// The type known so far: the content-based one once detectMimeType() has run, else the name's
+getFileMimeType(file) {
+    if (file.mimeType) return file.mimeType;
+    if (file.isDirectory) return 'inode/directory';
+    return this.getMimeTypeFromName(file.name) || 'application/octet-stream';
+}
+
+// Sniffs the start of regular files; other kinds of file are never read, as
+// reading a FIFO or a device could block. The name wins unless the content
+// says something unrelated, so misnamed files are recognised while text
+// formats (which magic can only guess at) keep the type their name gives.
+async detectMimeType(file) {
+    if (file.mimeType) return file.mimeType;
+
+    const kinds = { 0o040000: 'inode/directory', 0o020000: 'inode/chardevice', 0o060000: 'inode/blockdevice', 0o010000: 'inode/fifo', 0o140000: 'inode/socket' };
+    const byName = this.getMimeTypeFromName(file.name);
+    let mimeType = file.isDirectory ? 'inode/directory' : byName || 'application/octet-stream';
+
+    if (file.isDirectory || file.isBrokenLink || file.archive || file.mode === undefined) {
+        // Nothing to read
+    } else if (kinds[file.mode & 0o170000]) {
+        mimeType = kinds[file.mode & 0o170000];
+    } else if (file.size === 0) {
+        mimeType = byName || 'application/x-zerosize';
+    } else {
+        const { magic } = this.getMimeDatabase();
+        const length = Math.min(16384, Math.max(256, ...magic.map(section => section.extent)));
+        let data = Buffer.alloc(0);
+        try {
+            const handle = await fs.promises.open(file.path, 'r');
+            try {
+                data = Buffer.alloc(length);
+                data = data.subarray(0, (await handle.read(data, 0, length, 0)).bytesRead);
+            } finally {
+                await handle.close();
+            }
+        } catch (err) {
+            // Unreadable: the name is all there is to go on
+        }
+
+        const matched = magic.find(section => this.matchMagicRules(section.rules, data));
+        const sniffed = matched ? matched.mimeType : null;
+        if (!byName) {
+            mimeType = sniffed || (data.length > 0 && this.looksLikeText(data) ? 'text/plain' : 'application/octet-stream');
+        } else if (sniffed && !this.isMimeSubclass(byName, sniffed) && !this.isMimeSubclass(sniffed, byName) &&
+                   !(this.isTextType(byName) && this.isTextType(sniffed))) {
+            mimeType = sniffed;
+        }
+    }
+
+    file.mimeType = this.getMimeDatabase().aliases.get(mimeType) || mimeType;
+    return file.mimeType;
+}
+
+// Control characters other than whitespace mean binary; bytes above 0x7F
+// are allowed as they show up in UTF-8 text
+looksLikeText(data) {
+    return !data.subarray(0, 512).some(byte => byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte));
+}
+
+// The type itself and everything it derives from, nearest first. Every text/*
+// type is also text/plain, and every file application/octet-stream.
+getMimeAncestors(mimeType) {
+    const { aliases, parents } = this.getMimeDatabase();
+    const ancestors = [aliases.get(mimeType) || mimeType];
+    for (let i = 0; i < ancestors.length; i++) {
+        const type = ancestors[i];
+        const direct = [...(parents.get(type) || [])];
+        if (type.startsWith('text/') && type !== 'text/plain') direct.push('text/plain');
+        if (type !== 'application/octet-stream' && !type.startsWith('inode/')) direct.push('application/octet-stream');
+        for (const parent of direct) {
+            if (!ancestors.includes(parent)) ancestors.push(parent);
+        }
+    }
+    return ancestors;
+}
+
+isMimeSubclass(mimeType, parent) {
+    return this.getMimeAncestors(mimeType).includes(parent);
+}
+
+// What the text editor may open: anything textual, and empty files
+isTextType(mimeType) {
+    return mimeType === 'application/x-zerosize' || this.isMimeSubclass(mimeType, 'text/plain');
+}
+
+// The type's description in the UI language, e.g. "PNG image"
+getMimeComment(mimeType) {
+    const { comments } = this.getMimeDatabase();
+    if (comments.has(mimeType)) return comments.get(mimeType);
+
+    const languages = [navigator.language.replace('-', '_'), navigator.language.split('-')[0]];
+    let comment = null;
+    for (const dir of this.getDataDirs()) {
+        let xml;
+        try {
+            xml = fs.readFileSync(path.join(dir, 'mime', ...mimeType.split('/')) + '.xml', 'utf8');
+        } catch (err) {
+            continue;
+        }
+        const found = {};
+        for (const match of xml.matchAll(/<comment(?:\s+xml:lang="([^"]+)")?>([^<]*)<\/comment>/g)) {
+            found[match[1] || ''] = match[2].replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+        }
+        comment = found[languages[0]] || found[languages[1]] || found[''] || null;
+        break;
+    }
+
+    comment = comment ? comment.charAt(0).toUpperCase() + comment.slice(1) : mimeType;
+    comments.set(mimeType, comment);
+    return comment;
+}
+
+// ICON THEMES
+// Icons are looked up per the freedesktop Icon Theme spec: in the user's theme,
+// the themes it inherits from and finally hicolor, picking the directory whose
+// size is nearest. Until a theme is loaded, or when none is installed, the
+// emoji icons are shown.
+
+getIconBaseDirs() {
+    return [path.join(os.homedir(), '.icons'), ...this.getDataDirs().map(dir => path.join(dir, 'icons'))];
+}
+
+// GNOME's setting first, then GTK's and KDE's config files
+async loadIconTheme() {
+    let name = null;
+    try {
+        const { stdout } = await this.runCommand('gsettings', ['get', 'org.gnome.desktop.interface', 'icon-theme'], { timeout: 5000 });
+        name = stdout.trim().replace(/^'|'$/g, '') || null;
+    } catch (err) {
+        // No GNOME settings here
+    }
+
+    const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+    const candidates = [
+        [path.join(configHome, 'gtk-4.0', 'settings.ini'), 'Settings', 'gtk-icon-theme-name'],
+        [path.join(configHome, 'gtk-3.0', 'settings.ini'), 'Settings', 'gtk-icon-theme-name'],
+        [path.join(configHome, 'kdeglobals'), 'Icons', 'Theme']
+    ];
+    for (const [file, group, key] of candidates) {
+        if (name) break;
+        try {
+            name = this.readDesktopEntry(file, group)[key] || null;
+        } catch (err) {
+            // Not configured there
+        }
+    }
+
+    this.iconThemes = this.getIconThemeChain(name || 'Adwaita');
+    this.iconLookups = new Map();
+    if (this.iconThemes.length > 0) {
+        this.applyPlaceIcons();
+        this.refreshIcons();
+    }
+}
+
+// The theme, everything it inherits from (breadth first) and hicolor last
+getIconThemeChain(name) {
+    const chain = [];
+    const queue = [name];
+    const seen = new Set(['hicolor']);
+    while (queue.length > 0) {
+        const themeName = queue.shift();
+        if (seen.has(themeName)) continue;
+        seen.add(themeName);
+
+        const theme = this.readIconTheme(themeName);
+        if (!theme) continue;
+        chain.push(theme);
+        queue.push(...theme.inherits);
+    }
+
+    const hicolor = this.readIconTheme('hicolor');
+    if (hicolor) chain.push(hicolor);
+    return chain;
+}
+
+readIconTheme(name) {
+    const roots = this.getIconBaseDirs().map(dir => path.join(dir, name)).filter(root => fs.existsSync(root));
+    const indexPath = roots.map(root => path.join(root, 'index.theme')).find(file => fs.existsSync(file));
+    if (!indexPath) return null;
+
+    try {
+        const groups = this.readDesktopFile(indexPath);
+        const info = groups['Icon Theme'] || {};
+        const dirNames = [...(info.Directories || '').split(','), ...(info.ScaledDirectories || '').split(',')]
+            .map(dir => dir.trim()).filter(dir => dir);
+        const dirs = [...new Set(dirNames)].map(dir => {
+            const entry = groups[dir] || {};
+            const size = Number(entry.Size) || 0;
+            const scale = Number(entry.Scale) || 1;
+            return {
+                path: dir,
+                size: size * scale,
+                type: entry.Type || 'Threshold',
+                minSize: (Number(entry.MinSize) || size) * scale,
+                maxSize: (Number(entry.MaxSize) || size) * scale,
+                threshold: (Number(entry.Threshold) || 2) * scale
+            };
+        }).filter(dir => dir.size > 0);
+        return { name, roots, dirs, inherits: (info.Inherits || '').split(',').map(n => n.trim()).filter(n => n) };
+    } catch (err) {
+        console.error(`Failed to read icon theme ${name}:`, err);
+        return null;
+    }
+}
+
+// How far a theme directory's icons are from the wanted pixel size (0 fits)
+getIconDirDistance(dir, size) {
+    if (dir.type === 'Fixed') return Math.abs(dir.size - size);
+    if (dir.type === 'Scalable') {
+        return size < dir.minSize ? dir.minSize - size : size > dir.maxSize ? size - dir.maxSize : 0;
+    }
+    return Math.max(0, Math.abs(dir.size - size) - dir.threshold);
+}
+
+// The file of the first of `names` found in the theme chain, nearest to
+// `size` pixels, or null. Directory listings and results are cached.
+lookupIcon(names, size) {
+    if (!this.iconThemes || this.iconThemes.length === 0) return null;
+    const key = `${names.join(',')}@${size}`;
+    if (this.iconLookups.has(key)) return this.iconLookups.get(key);
+
+    let found = null;
+    for (const name of names) {
+        for (const theme of this.iconThemes) {
+            found = this.lookupThemeIcon(theme, name, size);
+            if (found) break;
+        }
+        if (found) break;
+    }
+    this.iconLookups.set(key, found);
+    return found;
+}
+
+lookupThemeIcon(theme, name, size) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const dir of theme.dirs) {
+        const distance = this.getIconDirDistance(dir, size);
+        if (distance >= bestDistance) continue;
+        for (const root of theme.roots) {
+            const dirPath = path.join(root, dir.path);
+            if (!this.iconDirListings.has(dirPath)) {
+                let names = null;
+                try {
+                    names = new Set(fs.readdirSync(dirPath));
+                } catch (err) {
+                    // Not in this root
+                }
+                this.iconDirListings.set(dirPath, names);
+            }
+            const listing = this.iconDirListings.get(dirPath);
+            // Chromium cannot show XPM, the spec's third format
+            const fileName = listing && ['.png', '.svg'].map(ext => name + ext).find(n => listing.has(n));
+            if (fileName) {
+                best = path.join(dirPath, fileName);
+                bestDistance = distance;
+                break;
+            }
+        }
+        if (bestDistance === 0) break;
+    }
+    return best;
+}
+
+// Most specific first: a user folder's own icon, the type's icon, those of
+// the types it derives from, its generic icon, then the catch-alls
+getIconNames(file, isEmpty = false) {
+    if (file.isDirectory) {
+        const special = this.getUserDirIcon(file.path);
+        return [...(special ? [special] : []), ...(isEmpty ? ['folder-empty'] : []), 'folder'];
+    }
+
+    const { icons, genericIcons } = this.getMimeDatabase();
+    const mimeType = this.getFileMimeType(file);
+    const ancestors = this.getMimeAncestors(mimeType).filter(type => type !== 'application/octet-stream');
+    return [
+        ...ancestors.map(type => icons.get(type) || type.replace('/', '-')),
+        genericIcons.get(mimeType) || mimeType.split('/')[0] + '-x-generic',
+        ...(this.isTextType(mimeType) ? ['text-x-generic'] : []),
+        'application-x-generic',
+        'unknown'
+    ];
+}
+
+getThemeIconHtml(names, size = this.getIconPixelSize()) {
+    const iconPath = this.lookupIcon(names, size);
+    return iconPath ? `<img class="theme-icon" src="${this.pathToFileUri(iconPath)}" alt="">` : null;
+}
+
+// Pixels an item's icon takes in the active pane's view
+getIconPixelSize() {
+    const tab = this.getActiveTab();
+    const view = tab ? tab.panes[tab.activePaneIndex].view : DEFAULT_VIEW;
+    const size = view.viewMode === 'details' || view.viewMode === 'columns' ? 18 : view.iconSize;
+    return Math.round(size * window.devicePixelRatio);
+}
+
+applyPlaceIcons() {
+    const icons = {
+        home: 'user-home', desktop: 'user-desktop', documents: 'folder-documents', downloads: 'folder-download',
+        pictures: 'folder-pictures', music: 'folder-music', videos: 'folder-videos', trash: 'user-trash'
+    };
+    document.querySelectorAll('.sidebar-item[data-path] .place-icon').forEach(el => {
+        const html = this.getThemeIconHtml([icons[el.closest('.sidebar-item').dataset.path], 'folder'], Math.round(16 * window.devicePixelRatio));
+        if (html) el.innerHTML = html;
+    });
+}
+
+// Drops every item's icon so the next render resolves it again
+refreshIcons() {
+    for (const tab of this.tabs) {
+        for (const pane of tab.panes) {
+            (pane.files || []).forEach(file => { file.icon = null; });
+            if (pane.columnListings) pane.columnListings.forEach(items => items.forEach(file => { file.icon = null; }));
+            pane.fileElements = new Map();
+            pane.renderedRange = null;
+        }
+    }
+    const tab = this.getActiveTab();
+    if (tab) tab.panes.forEach((pane, index) => this.renderVisibleFiles(index));
+}
+
+// THUMBNAILS
+// Thumbnails are shared with other desktop apps through the freedesktop Thumbnail
+// Managing Standard: a PNG named after the MD5 of the file's URI in
+// $XDG_CACHE_HOME/thumbnails/{normal,large}, carrying the URI and mtime it was
+// made from. Files that cannot be thumbnailed get an empty PNG under fail/.
+
+getThumbnailRoot() {
+    return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'thumbnails');
+}
+
+// Escaped like GLib's g_filename_to_uri() so the hashes match other apps'
+getThumbnailUri(filePath) {
+    return this.pathToFileUri(filePath).replace(/%(24|26|2B|2C|3D|3A|40)/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+getThumbnailName(filePath) {
+    return crypto.createHash('md5').update(this.getThumbnailUri(filePath)).digest('hex') + '.png';
+}
+
+// Returns the path of an up-to-date thumbnail, making one first if needed,
+// or null when the file cannot be thumbnailed
+async findThumbnail(file, mtime, flavor) {
+    const root = this.getThumbnailRoot();
+    if (file.path.startsWith(root + path.sep)) return null;  // No thumbnails of thumbnails
+
+    const method = this.getThumbnailMethod(file);
+    if (!method || !this.fitsThumbnailLimit(file, method)) return null;
+
+    const source = { uri: this.getThumbnailUri(file.path), mtime, size: file.size };
+    return this.getCachedThumbnail(root, source, flavor, size => this.renderThumbnail(file.path, method, size));
+}
+
+// Archive entries are thumbnailed from copies extracted to a temporary folder.
+// The first entry of a folder that needs one extracts its neighbours along
+// with it, so a compressed tar isn't decompressed again for every entry, and
+// the copies are removed once no thumbnail has used them for a while. Their
+// thumbnails are kept in the app's own cache under the archive's URI plus the
+// entry path, as no other app can use them.
+async findArchiveThumbnail(file, mtime, flavor) {
+    const method = this.getThumbnailMethod(file);
+    if (!method || !this.fitsThumbnailLimit(file, method)) return null;
+
+    const root = path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), THUMBNAIL_APP, 'archive-thumbnails');
+    const source = { uri: `${this.getThumbnailUri(file.archive.path)}#${encodeURI(file.path)}`, mtime };
+    return this.getCachedThumbnail(root, source, flavor, async (size) => {
+        const extraction = this.getArchiveExtraction(file);
+        extraction.users++;
+        clearTimeout(extraction.timer);
+        try {
+            return await this.renderThumbnail(path.join(await extraction.dir, file.path), method, size);
+        } finally {
+            if (--extraction.users === 0) {
+                extraction.timer = setTimeout(() => this.removeArchiveExtraction(extraction), ARCHIVE_EXTRACTION_KEEP);
+            }
+        }
+    });
+}
+
+fitsThumbnailLimit(file, method) {
+    const readWhole = method === 'image' || method === 'svg';
+    return file.size <= (readWhole ? THUMBNAIL_MAX_FILE_SIZE : THUMBNAILER_MAX_FILE_SIZE);
+}
+
+// The extraction holding `file`, started with as many of the entries beside
+// it that can be thumbnailed as fit in ARCHIVE_EXTRACTION_MAX_SIZE when there
+// is none yet
+getArchiveExtraction(file) {
+    const { archive } = file;
+    const folder = path.posix.dirname(file.path);
+    const key = `${archive.path}:${archive.modified.getTime()}:${folder}`;
+    const existing = this.archiveExtractions.get(key);
+    if (existing && existing.entries.has(file.path)) return existing;
+
+    const entries = [file.path];
+    let total = file.size;
+    this.getArchiveDirItems([...archive.sizes.keys()], folder === '.' ? '' : folder, archive).forEach(item => {
+        if (item.isDirectory || item.path === file.path || total + item.size > ARCHIVE_EXTRACTION_MAX_SIZE) return;
+        const method = this.getThumbnailMethod(item);
+        if (!method || !this.fitsThumbnailLimit(item, method)) return;
+        entries.push(item.path);
+        total += item.size;
+    });
+
+    const extraction = { key, entries: new Set(entries), users: 0, timer: null, tempPath: null };
+    extraction.dir = fs.promises.mkdtemp(path.join(os.tmpdir(), 'elve-thumbnail-')).then(async (tempDir) => {
+        extraction.tempPath = tempDir;
+        await this.extractArchiveEntries(archive.path, entries, tempDir);
+        return tempDir;
+    });
+    extraction.dir.catch(() => this.removeArchiveExtraction(extraction));
+    this.archiveExtractions.set(key, extraction);
+    return extraction;
+}
+
+// `sync` is for quitting
+removeArchiveExtraction(extraction, sync = false) {
+    clearTimeout(extraction.timer);
+    if (this.archiveExtractions.get(extraction.key) === extraction) {
+        this.archiveExtractions.delete(extraction.key);
+    }
+
+    if (sync) {
+        if (extraction.tempPath) fs.rmSync(extraction.tempPath, { recursive: true, force: true });
+        return;
+    }
+    extraction.dir.catch(() => {}).then(async () => {
+        if (extraction.tempPath) await fs.promises.rm(extraction.tempPath, { recursive: true, force: true });
+    }).catch(err => console.error('Failed to remove extracted thumbnail sources:', err));
+}
+
+// Looks up the thumbnail of `source` ({ uri, mtime, size }) in a cache laid out
+// like the shared one, or makes it with render(pixels). At most two are made at
+// once so a folder of large photos or videos doesn't fill memory or the CPU.
+async getCachedThumbnail(root, source, flavor, render) {
+    const name = crypto.createHash('md5').update(source.uri).digest('hex') + '.png';
+    const thumbPath = path.join(root, flavor, name);
+    const failPath = path.join(root, 'fail', THUMBNAIL_APP, name);
+
+    if (await this.isThumbnailCurrent(thumbPath, source.uri, source.mtime)) return thumbPath;
+    if (await this.isThumbnailCurrent(failPath, source.uri, source.mtime)) return null;
+
+    while (this.thumbnailsRunning >= 2) {
+        await new Promise(resolve => this.thumbnailWaiters.push(resolve));
+    }
+    this.thumbnailsRunning++;
+
+    let thumb;
+    try {
+        thumb = await render(THUMBNAIL_SIZES[flavor]);
+    } finally {
+        this.thumbnailsRunning--;
+        const next = this.thumbnailWaiters.shift();
+        if (next) next();
+    }
+
+    const text = {
+        'Thumb::URI': source.uri,
+        'Thumb::MTime': String(source.mtime),
+        ...(source.size !== undefined ? { 'Thumb::Size': String(source.size) } : {}),
+        'Software': THUMBNAIL_APP
+    };
+    if (!thumb) {
+        await this.writeThumbnail(failPath, Buffer.from(EMPTY_PNG, 'base64'), text);
+        return null;
+    }
+
+    text['Thumb::Image::Width'] = String(thumb.width);
+    text['Thumb::Image::Height'] = String(thumb.height);
+    await this.writeThumbnail(thumbPath, Buffer.from(thumb.png), text);
+    return thumbPath;
+}
+
+// A thumbnail only counts when it was made from this file as it is now
+async isThumbnailCurrent(thumbPath, uri, mtime) {
+    let data;
+    try {
+        data = await fs.promises.readFile(thumbPath);
+    } catch (err) {
+        return false;
+    }
+    const text = this.readPngText(data);
+    return parseInt(text['Thumb::MTime'], 10) === mtime && text['Thumb::URI'] === uri;
+}
+
+// Drops every cached thumbnail of a file that no longer exists
+async removeThumbnails(filePath) {
+    const root = this.getThumbnailRoot();
+    const name = this.getThumbnailName(filePath);
+    const dirs = [...Object.keys(THUMBNAIL_SIZES), path.join('fail', THUMBNAIL_APP)];
+    await Promise.all(dirs.map(dir => fs.promises.rm(path.join(root, dir, name), { force: true }).catch(() => {})));
+}
+
+// Reads the [Thumbnailer Entry] files that packages like ffmpegthumbnailer,
+// evince or gnome-epub-thumbnailer install. Earlier data dirs win for a type;
+// entries whose TryExec program is missing are skipped.
+loadThumbnailers() {
+    this.thumbnailers = new Map();
+
+    for (const dir of this.getDataDirs()) {
+        let files;
+        try {
+            files = fs.readdirSync(path.join(dir, 'thumbnailers')).filter(name => name.endsWith('.thumbnailer'));
+        } catch (err) {
+            continue;
+        }
+
+        for (const fileName of files) {
+            let entry;
+            try {
+                entry = this.readDesktopEntry(path.join(dir, 'thumbnailers', fileName), 'Thumbnailer Entry');
+            } catch (err) {
+                console.error(`Failed to read thumbnailer ${fileName}:`, err);
+                continue;
+            }
+
+            if (!entry.Exec || !entry.MimeType) continue;
+            if (!this.commandExists(entry.TryExec || this.parseCommandLine(entry.Exec)[0])) continue;
+
+            const thumbnailer = { name: path.basename(fileName, '.thumbnailer'), exec: entry.Exec };
+            const { aliases } = this.getMimeDatabase();
+            for (const mimeType of entry.MimeType.split(';').filter(type => type)) {
+                const canonical = aliases.get(mimeType) || mimeType;
+                if (!this.thumbnailers.has(canonical)) this.thumbnailers.set(canonical, thumbnailer);
+            }
+        }
+    }
+}
+
+// 'image' for types the worker decodes, an installed thumbnailer (one for a
+// parent type will do), or the built-in 'svg' and 'cover' (embedded album art)
+// fallbacks; null when nothing can thumbnail the file
+getThumbnailMethod(file) {
+    const mimeType = this.getFileMimeType(file);
+    if (WORKER_IMAGE_TYPES.includes(mimeType)) return 'image';
+    const handled = this.getMimeAncestors(mimeType).find(type => this.thumbnailers.has(type));
+    if (handled) return this.thumbnailers.get(handled);
+    if (mimeType === 'image/svg+xml') return 'svg';
+    if (mimeType === 'audio/mpeg' || mimeType === 'audio/flac') return 'cover';
+    return null;
+}
+
+// Resolves to { png, width, height } with the original size, or null when
+// the file could not be turned into a thumbnail
+async renderThumbnail(filePath, method, size) {
+    if (method === 'image') {
+        return this.decodeThumbnail(await fs.promises.readFile(filePath), size);
+    }
+    if (method === 'svg') {
+        return this.renderSvgThumbnail(filePath, size);
+    }
+    if (method === 'cover') {
+        const cover = await this.readCoverArt(filePath);
+        return cover ? this.decodeThumbnail(cover, size) : null;
+    }
+    return this.runThumbnailer(method, filePath, size);
+}
+
+// Decoding and scaling happen in a worker. Resolves to null when the worker
+// could not decode the data.
+decodeThumbnail(data, size) {
+    const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.length);
+    const id = ++this.thumbnailRequestId;
+    return new Promise((resolve, reject) => {
+        this.thumbnailRequests.set(id, { resolve, reject });
+        this.getThumbnailWorker().postMessage({ id, data: buffer, size }, [buffer]);
+    });
+}
+
+// Field codes as in the thumbnailer spec: %i input path, %u input URI,
+// %o output path, %s size. Whatever image the program writes is scaled
+// and re-encoded by the worker, so odd sizes and formats don't matter.
+async runThumbnailer(thumbnailer, filePath, size) {
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'elve-thumbnail-'));
+    const output = path.join(tempDir, 'thumbnail.png');
+    const fields = { i: filePath, u: this.pathToFileUri(filePath), o: output, s: String(size), '%': '%' };
+    const [command, ...args] = this.parseCommandLine(thumbnailer.exec)
+        .map(arg => arg.replace(/%([iuos%])/g, (match, code) => fields[code]));
+
+    try {
+        await this.runCommand(command, args, { cwd: tempDir, timeout: THUMBNAILER_TIMEOUT });
+        return await this.decodeThumbnail(await fs.promises.readFile(output), size);
+    } catch (err) {
+        console.warn(`${thumbnailer.name} could not thumbnail ${filePath}:`, err.message);
+        return null;
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Workers cannot decode SVG, so it is drawn here from a blob: URL, which also
+// keeps scripts and external references out and the canvas readable
+async renderSvgThumbnail(filePath, size) {
+    const data = await fs.promises.readFile(filePath);
+    const url = URL.createObjectURL(new Blob([data], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.src = url;
+
+    try {
+        await img.decode();
+    } catch (err) {
+        return null;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+
+    // Drawings scale without loss, so small ones are enlarged to fill the thumbnail too
+    const width = img.naturalWidth || size;
+    const height = img.naturalHeight || size;
+    const scale = size / Math.max(width, height);
+    const canvas = new OffscreenCanvas(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    const png = await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer();
+    return { png, width, height };
+}
+
+// Album art embedded in an MP3 (ID3v2 APIC frame) or FLAC file (PICTURE block),
+// preferring the front cover; null when there is none
+async readCoverArt(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const read = async (position, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    };
+
+    try {
+        const magic = (await read(0, 4)).toString('latin1');
+        if (magic === 'fLaC') return await this.readFlacPicture(read);
+        if (magic.startsWith('ID3')) return await this.readId3Picture(read);
+        return null;
+    } catch (err) {
+        if (err instanceof RangeError) return null;  // Truncated or malformed tag
+        throw err;
+    } finally {
+        await handle.close();
+    }
+}
+
+async readId3Picture(read) {
+    const header = await read(0, 10);
+    const syncsafe = (buffer, offset) => (buffer[offset] & 0x7F) << 21 | (buffer[offset + 1] & 0x7F) << 14 |
+        (buffer[offset + 2] & 0x7F) << 7 | (buffer[offset + 3] & 0x7F);
+    const version = header[3];
+    const tagSize = syncsafe(header, 6);
+    if (version < 2 || version > 4 || tagSize > THUMBNAIL_MAX_FILE_SIZE) return null;
+
+    const tag = await read(10, tagSize);
+    let offset = 0;
+    if (header[5] & 0x40 && version > 2) {  // Extended header
+        offset = version === 4 ? syncsafe(tag, 0) : 4 + tag.readUInt32BE(0);
+    }
+
+    // ID3v2.2 has three-letter frame ids and a six-byte frame header
+    const idLength = version === 2 ? 3 : 4;
+    const frameHeader = version === 2 ? 6 : 10;
+    let cover = null;
+    while (offset + frameHeader <= tag.length) {
+        const id = tag.toString('latin1', offset, offset + idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break;  // Padding
+        const frameSize = version === 2 ? tag.readUIntBE(offset + 3, 3)
+            : version === 4 ? syncsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+        const frame = tag.subarray(offset + frameHeader, offset + frameHeader + frameSize);
+        offset += frameHeader + frameSize;
+        if (id !== 'APIC' && id !== 'PIC') continue;
+
+        // Text encoding, MIME type (a three-letter format in v2.2), picture type, description
+        const encoding = frame[0];
+        let pos = id === 'PIC' ? 4 : frame.indexOf(0, 1) + 1;
+        if (pos <= 0) continue;
+        const pictureType = frame[pos++];
+        if (encoding === 1 || encoding === 2) {
+            while (pos + 1 < frame.length && (frame[pos] || frame[pos + 1])) pos += 2;
+            pos += 2;
+        } else {
+            pos = frame.indexOf(0, pos) + 1;
+            if (pos <= 0) continue;
+        }
+
+        const data = frame.subarray(pos);
+        if (pictureType === 3) return data;  // Front cover
+        cover = cover || data;
+    }
+    return cover;
+}
+
+async readFlacPicture(read) {
+    let position = 4;
+    let cover = null;
+    for (;;) {
+        const header = await read(position, 4);
+        if (header.length < 4) break;
+        const isLast = header[0] & 0x80;
+        const type = header[0] & 0x7F;
+        const length = header.readUIntBE(1, 3);
+
+        if (type === 6) {
+            // Picture type, MIME type, description, width, height, depth, colours, data
+            const block = await read(position + 4, length);
+            const pictureType = block.readUInt32BE(0);
+            let pos = 4;
+            pos += 4 + block.readUInt32BE(pos);
+            pos += 4 + block.readUInt32BE(pos);
+            pos += 16;
+            const data = block.subarray(pos + 4, pos + 4 + block.readUInt32BE(pos));
+            if (pictureType === 3) return data;
+            cover = cover || data;
+        }
+
+        if (isLast) break;
+        position += 4 + length;
+    }
+    return cover;
+}
+
+getThumbnailWorker() {
+    if (this.thumbnailWorker) return this.thumbnailWorker;
+
+    const worker = new Worker('thumbnail-worker.js');
+    worker.onmessage = (e) => {
+        const { id, error, png, width, height } = e.data;
+        const request = this.thumbnailRequests.get(id);
+        if (!request) return;
+        this.thumbnailRequests.delete(id);
+        request.resolve(error ? null : { png, width, height });
+    };
+    // A worker that fails to start or crashes says nothing about the files,
+    // so pending requests fail without being recorded and the next one starts a new worker
+    worker.onerror = (e) => {
+        worker.terminate();
+        if (this.thumbnailWorker === worker) this.thumbnailWorker = null;
+        for (const request of this.thumbnailRequests.values()) {
+            request.reject(new Error(e.message || 'Thumbnail worker failed'));
+        }
+        this.thumbnailRequests.clear();
+    };
+    this.thumbnailWorker = worker;
+    return worker;
+}
+
+// tEXt chunks of a PNG as { keyword: text }
+readPngText(data) {
+    const text = {};
+    if (data.length < 8 || data.readUInt32BE(0) !== 0x89504E47) return text;
+
+    let offset = 8;
+    while (offset + 12 <= data.length) {
+        const length = data.readUInt32BE(offset);
+        const type = data.toString('latin1', offset + 4, offset + 8);
+        if (type === 'IEND' || offset + 12 + length > data.length) break;
+        if (type === 'tEXt') {
+            const chunk = data.subarray(offset + 8, offset + 8 + length);
+            const separator = chunk.indexOf(0);
+            if (separator > 0) text[chunk.toString('latin1', 0, separator)] = chunk.toString('latin1', separator + 1);
+        }
+        offset += 12 + length;
+    }
+    return text;
+}
+
+// Adds tEXt chunks after IHDR and writes the file through a temporary name,
+// so other apps never read a half-written thumbnail
+async writeThumbnail(target, png, text) {
+    const chunks = Object.entries(text).map(([key, value]) =>
+        this.createPngChunk('tEXt', Buffer.from(`${key}\0${value}`, 'latin1')));
+    const headerEnd = 8 + 12 + png.readUInt32BE(8);
+    const data = Buffer.concat([png.subarray(0, headerEnd), ...chunks, png.subarray(headerEnd)]);
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+    const temp = `${target}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+        await fs.promises.writeFile(temp, data, { mode: 0o600 });
+        await fs.promises.rename(temp, target);
+    } catch (err) {
+        await fs.promises.rm(temp, { force: true });
+        throw err;
+    }
+}
+
+createPngChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(this.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+}
+
+crc32(data) {
+    if (!this.crcTable) {
+        this.crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            this.crcTable[n] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) crc = this.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// FOLDER VIEWS
+// A folder's view is its own saved one, else the nearest parent's that was
+// applied to subfolders, else the default view
+getFolderView(dirPath) {
+    let saved = this.folderViews[dirPath];
+    for (let dir = dirPath; !saved && dir !== path.dirname(dir); ) {
+        dir = path.dirname(dir);
+        const entry = this.folderViews[dir];
+        if (entry && entry.subfolders) saved = entry;
+    }
+
+    const { subfolders, ...view } = saved || {};
+    return { ...DEFAULT_VIEW, ...this.settings.defaultView, ...view };
+}
+
+saveFolderView(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    // Archive contents have no folder of their own to remember a view for
+    if (pane.currentArchive) return;
+
+    const existing = this.folderViews[pane.path];
+    this.folderViews[pane.path] = { ...pane.view, subfolders: !!(existing && existing.subfolders) };
+    this.saveFolderViews();
+}
+
+resetFolderView() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    delete this.folderViews[pane.path];
+    this.saveFolderViews();
+    this.reloadPane(tab.activePaneIndex);
+}
+
+// Subfolders with views of their own give them up
+applyViewToSubfolders() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const prefix = pane.path.endsWith(path.sep) ? pane.path : pane.path + path.sep;
+    for (const dirPath of Object.keys(this.folderViews)) {
+        if (dirPath.startsWith(prefix)) delete this.folderViews[dirPath];
+    }
+    this.folderViews[pane.path] = { ...pane.view, subfolders: true };
+    this.saveFolderViews();
+}
+
+setDefaultView() {
+    const tab = this.getActiveTab();
+    this.settings.defaultView = { ...tab.panes[tab.activePaneIndex].view };
+    this.saveSettings();
+}
+
+// Puts the pane's view into effect on its file area and details header
+applyPaneView(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    if (!pane || !fileArea) return;
+
+    const { viewMode, iconSize } = pane.view;
+    // Details rows are built differently, so nothing rendered so far can be reused
+    if (!fileArea.classList.contains(`${viewMode}-view`)) pane.fileElements = new Map();
+    fileArea.className = `file-area ${viewMode}-view`;
+    fileArea.style.setProperty('--icon-size', iconSize + 'px');
+    fileArea.style.setProperty('--item-size', (iconSize + 40) + 'px');
+    this.applyDetailsLayout(paneIndex);
+    this.renderDetailsHeader(fileArea.previousElementSibling, paneIndex);
+
+    pane.rowHeight = null;
+    pane.renderedRange = null;
+    this.renderVisibleFiles(paneIndex);
+    this.syncViewControls();
+}
+
+syncViewControls() {
+    const tab = this.getActiveTab();
+    const view = tab.panes[tab.activePaneIndex].view;
+    document.getElementById('btn-view').textContent = { grid: 'Grid', list: 'List', details: 'Details', columns: 'Columns' }[view.viewMode];
+    document.getElementById('icon-size').value = view.iconSize;
+}
+
+// DETAILS VIEW
+// Saved layout entries are { id, width, hidden } in display order. Columns added
+// in a later version than the saved layout are appended with their defaults.
+getDetailsColumns(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    const saved = (pane.view.detailsColumns || []).filter(entry => DETAILS_COLUMNS.some(c => c.id === entry.id));
+    const columns = saved.map(entry => ({ ...DETAILS_COLUMNS.find(c => c.id === entry.id), ...entry }));
+    for (const column of DETAILS_COLUMNS) {
+        if (!columns.some(c => c.id === column.id)) columns.push({ ...column });
+    }
+    // The name column can't be hidden: it's where the icon and drag handle are
+    columns.find(c => c.id === 'name').hidden = false;
+    return columns;
+}
+
+saveDetailsColumns(paneIndex, columns) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    pane.view.detailsColumns = columns.map(({ id, width, hidden }) => ({ id, width, hidden: !!hidden }));
+    this.saveFolderView(paneIndex);
+}
+
+// The column widths are set on the pane so its header and rows line up
+applyDetailsLayout(paneIndex) {
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    if (!fileArea) return;
+    const visible = this.getDetailsColumns(paneIndex).filter(column => !column.hidden);
+    const root = fileArea.parentElement.style;
+    root.setProperty('--details-columns', visible.map(column => `${column.width}px`).join(' '));
+    root.setProperty('--details-width', `${visible.reduce((sum, column) => sum + column.width, 0)}px`);
+}
+
+// Column order or visibility changed: the header and every rendered row are rebuilt
+redrawDetails(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    if (!pane || !fileArea) return;
+
+    this.applyDetailsLayout(paneIndex);
+    this.renderDetailsHeader(fileArea.previousElementSibling, paneIndex);
+    if (pane.view.viewMode !== 'details') return;
+    pane.fileElements = new Map();
+    pane.renderedRange = null;
+    this.renderVisibleFiles(paneIndex);
+}
+
+refreshDetailsHeaders() {
+    document.querySelectorAll('.details-header').forEach(header => {
+        this.renderDetailsHeader(header, parseInt(header.dataset.paneIndex));
+    });
+}
+
+renderDetailsHeader(header, paneIndex) {
+    const view = this.getActiveTab().panes[paneIndex].view;
+    header.hidden = view.viewMode !== 'details';
+    if (header.hidden) return;
+
+    const columns = this.getDetailsColumns(paneIndex);
+    header.innerHTML = columns.filter(column => !column.hidden).map(column => `
+        <div class="details-column" data-column="${column.id}" draggable="true">
+            <span class="details-label">${column.label}</span>
+            ${view.sortBy === column.id ? `<span class="details-sort">${view.sortOrder === 'asc' ? '▲' : '▼'}</span>` : ''}
+            <div class="details-resize"></div>
+        </div>
+    `).join('');
+
+    header.querySelectorAll('.details-column').forEach(cell => {
+        const column = columns.find(c => c.id === cell.dataset.column);
+
+        cell.addEventListener('click', () => {
+            // The mouseup that ends a resize also clicks the column under it
+            if (Date.now() - this.columnResizeEnded < 200) return;
+            this.sortByColumn(paneIndex, column.id);
+        });
+
+        cell.querySelector('.details-resize').addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const startX = e.clientX;
+            const startWidth = column.width;
+            const onMove = (moveEvent) => {
+                column.width = Math.max(40, startWidth + moveEvent.clientX - startX);
+                view.detailsColumns = columns;
+                this.applyDetailsLayout(paneIndex);
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                this.saveDetailsColumns(paneIndex, columns);
+                this.columnResizeEnded = Date.now();
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+
+        cell.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-elve-column', column.id);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        cell.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer.types.includes('application/x-elve-column')) return;
+            e.preventDefault();
+            cell.classList.add('drag-over');
+        });
+        cell.addEventListener('dragleave', () => cell.classList.remove('drag-over'));
+        cell.addEventListener('drop', (e) => {
+            cell.classList.remove('drag-over');
+            const movedId = e.dataTransfer.getData('application/x-elve-column');
+            if (!movedId || movedId === column.id) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Dropped on the right half of a column: place it after that column
+            const rect = cell.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            const moved = columns.splice(columns.findIndex(c => c.id === movedId), 1)[0];
+            columns.splice(columns.indexOf(column) + (after ? 1 : 0), 0, moved);
+            this.saveDetailsColumns(paneIndex, columns);
+            this.redrawDetails(paneIndex);
+        });
+    });
+
+    header.oncontextmenu = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.showContextMenu(e, null, this.getDetailsHeaderMenuItems(paneIndex));
+    };
+}
+
+getDetailsHeaderMenuItems(paneIndex) {
+    const columns = this.getDetailsColumns(paneIndex);
+    return [
+        ...columns.filter(column => column.id !== 'name').map(column => ({
+            icon: column.hidden ? '⬜' : '✅',
+            label: column.label,
+            action: () => {
+                column.hidden = !column.hidden;
+                this.saveDetailsColumns(paneIndex, columns);
+                this.redrawDetails(paneIndex);
+                if (column.id === 'size' && !column.hidden) this.measurePaneFolders(paneIndex);
+            }
+        })),
+        'separator',
+        { icon: '↺', label: 'Reset Columns', action: () => {
+            this.getActiveTab().panes[paneIndex].view.detailsColumns = null;
+            this.saveFolderView(paneIndex);
+            this.redrawDetails(paneIndex);
+        }}
+    ];
+}
+
+// Clicking the sorted column again flips the order
+sortByColumn(paneIndex, columnId) {
+    const view = this.getActiveTab().panes[paneIndex].view;
+    view.sortOrder = view.sortBy === columnId && view.sortOrder === 'asc' ? 'desc' : 'asc';
+    view.sortBy = columnId;
+    this.saveFolderView(paneIndex);
+    this.reorderPane(paneIndex);
+    this.refreshDetailsHeaders();
+}
+
+getDetailsCell(file, columnId) {
+    const date = value => value instanceof Date ? value.toLocaleString() : '';
+
+    switch (columnId) {
+        case 'size': {
+            if (!file.isDirectory) return this.formatSize(file.size);
+            const totals = this.folderSizes.get(file.path);
+            return totals ? this.formatSize(totals.size) : '';
+        }
+        case 'type':
+            return this.getTypeLabel(file);
+        case 'modified':
+            return date(file.modified);
+        case 'created':
+            return date(file.created);
+        case 'accessed':
+            return date(file.accessed);
+        case 'permissions':
+            return file.mode === undefined ? '' : this.formatPermissions(file);
+        case 'owner':
+            return file.uid === undefined ? '' : this.getAccountName('passwd', file.uid);
+        case 'group':
+            return file.gid === undefined ? '' : this.getAccountName('group', file.gid);
+        case 'tag': {
+            const tag = this.fileTags[file.path];
+            return tag ? `<span class="details-tag" style="background: ${tag}"></span>` : '';
+        }
+        default:
+            return '';
+    }
+}
+
+getTypeLabel(file) {
+    if (file.isBrokenLink) return 'Broken link';
+    return this.getMimeComment(this.getFileMimeType(file));
+}
+
+// ls -l style, e.g. drwxr-xr-x
+formatPermissions(file) {
+    const mode = file.mode;
+    // setuid, setgid and sticky take the place of the owner, group and other x
+    const special = { 6: [0o4000, 's'], 3: [0o2000, 's'], 0: [0o1000, 't'] };
+    let text = file.isSymlink ? 'l' : file.isDirectory ? 'd' : '-';
+    for (const shift of [6, 3, 0]) {
+        const bits = (mode >> shift) & 7;
+        const [flag, letter] = special[shift];
+        let exec = bits & 1 ? 'x' : '-';
+        if (mode & flag) exec = bits & 1 ? letter : letter.toUpperCase();
+        text += (bits & 4 ? 'r' : '-') + (bits & 2 ? 'w' : '-') + exec;
+    }
+    return text;
+}
+
+getAccountName(database, id) {
+    return this.accountNames[database].get(id) || String(id ?? '');
+}
+
+async loadAccountNames() {
+    const [users, groups] = await Promise.all([
+        this.listSystemAccounts('passwd'),
+        this.listSystemAccounts('group')
+    ]);
+    this.accountNames.passwd = new Map(users.map(account => [account.id, account.name]));
+    this.accountNames.group = new Map(groups.map(account => [account.id, account.name]));
+    this.getActiveTab().panes.forEach((pane, index) => this.redrawDetails(index));
+}
+
+// COLUMN VIEW
+// The folders from the top of the chain down to the pane's folder each get a
+// column, and the selection decides what shows in the column after them
+getColumnChain(pane) {
+    const chain = [pane.path];
+    if (pane.inTrash || pane.searchQuery) return chain;
+    for (let dir = this.getColumnParent(pane, pane.path); dir !== null; dir = this.getColumnParent(pane, dir)) {
+        chain.unshift(dir);
+    }
+    return chain;
+}
+
+// Chains start at the archive root, the home folder or /
+getColumnParent(pane, dirPath) {
+    if (pane.currentArchive) {
+        if (dirPath === '/') return null;
+        const parent = path.dirname(dirPath);
+        return parent === '.' ? '/' : parent;
+    }
+    if (dirPath === os.homedir() || dirPath === path.dirname(dirPath)) return null;
+    return path.dirname(dirPath);
+}
+
+async getColumnListing(pane, dirPath) {
+    if (pane.columnListings.has(dirPath)) return pane.columnListings.get(dirPath);
+
+    let items = [];
+    try {
+        if (pane.currentArchive) {
+            const archive = { path: pane.archiveBasePath, modified: pane.archiveModified, sizes: pane.archiveSizes };
+            items = this.filterHidden(this.getArchiveDirItems(pane.archiveEntries, dirPath === '/' ? '' : dirPath, archive), null, pane.view.showHidden);
+        } else {
+            const entries = await this.statEntries(dirPath, await fs.promises.readdir(dirPath));
+            items = this.filterHidden(entries, await this.readHiddenList(dirPath), pane.view.showHidden);
+        }
+    } catch (err) {
+        console.error(`Failed to list ${dirPath}:`, err);
+    }
+
+    this.sortFiles(items, pane.view.sortBy, pane.view.sortOrder);
+    pane.columnListings.set(dirPath, items);
+    return items;
+}
+
+async renderColumns(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    const render = pane.columnRender = (pane.columnRender || 0) + 1;
+
+    const chain = this.getColumnChain(pane);
+    const listings = await Promise.all(chain.slice(0, -1).map(dir => this.getColumnListing(pane, dir)));
+    if (pane.columnRender !== render || !pane.files) return;
+
+    // Re-rendering (more entries streamed in, a change on disk) keeps each column where it was scrolled
+    const scrollTops = new Map(Array.from(fileArea.querySelectorAll('.miller-column'), column => [column.dataset.dir, column.scrollTop]));
+    const columns = chain.map((dir, index) => {
+        const current = index === chain.length - 1;
+        const column = this.createColumn(dir, current ? pane.files : listings[index], paneIndex, chain[index + 1]);
+        column.classList.toggle('current', current);
+        return column;
+    });
+
+    fileArea.style.paddingTop = '';
+    fileArea.style.paddingBottom = '';
+    fileArea.replaceChildren(...columns);
+    columns.forEach(column => {
+        this.renderColumnRows(column);
+        if (scrollTops.has(column.dataset.dir)) {
+            column.scrollTop = scrollTops.get(column.dataset.dir);
+            this.renderColumnRows(column);
+        } else {
+            this.scrollColumnTo(column, column.files.findIndex(f => f.path === column.openPath || pane.selectedFiles.has(f.path)));
+        }
+    });
+    this.updateColumnPreview(paneIndex);
+}
+
+// The rows are added by renderColumnRows() once the column is in the page
+createColumn(dirPath, files, paneIndex, openPath = null) {
+    const column = document.createElement('div');
+    column.className = 'miller-column';
+    column.dataset.dir = dirPath;
+    column.files = files;
+    column.openPath = openPath;
+    column.paneIndex = paneIndex;
+    column.fileElements = new Map();
+    column.addEventListener('scroll', () => this.renderColumnRows(column));
+
+    this.setupDropTarget(column, () => {
+        const pane = this.getActiveTab().panes[paneIndex];
+        if (!pane || pane.currentArchive) return null;
+        return pane.inTrash ? TRASH_URI : dirPath;
+    });
+    return column;
+}
+
+// What renderVisibleFiles() does for a pane, for one column: only the rows in
+// view and a few either side exist, and the column's padding stands in for the rest
+renderColumnRows(column) {
+    if (!column.isConnected) return;
+    const style = getComputedStyle(column);
+    if (column.basePadding === undefined) {
+        column.basePadding = parseFloat(style.paddingTop) || 0;
+    }
+    const base = column.basePadding;
+    const rowHeight = column.rowHeight || 28;
+    const stride = rowHeight + (parseFloat(style.rowGap) || 0);
+
+    const files = column.files;
+    const overscan = 3;
+    const scrollTop = Math.max(0, column.scrollTop - base);
+    const first = Math.max(0, Math.floor(scrollTop / stride) - overscan);
+    const last = Math.min(files.length, Math.ceil((scrollTop + column.clientHeight) / stride) + overscan);
+
+    const range = `${first}:${last}`;
+    if (column.renderedRange === range) return;
+    column.renderedRange = range;
+
+    const elements = [];
+    const kept = new Map();
+    for (let i = first; i < last; i++) {
+        const file = files[i];
+        let fileEl = column.fileElements.get(file.path);
+        if (!fileEl) {
+            fileEl = this.createFileElement(file, column.paneIndex);
+            fileEl.classList.toggle('in-path', file.path === column.openPath);
+        }
+        kept.set(file.path, fileEl);
+        elements.push(fileEl);
+    }
+    column.fileElements = kept;
+
+    column.style.paddingTop = `${base + first * stride}px`;
+    column.style.paddingBottom = `${base + (files.length - last) * stride}px`;
+    column.replaceChildren(...elements);
+
+    if (!column.rowHeight && elements.length > 0) {
+        column.rowHeight = elements[0].offsetHeight;
+        if (column.rowHeight && column.rowHeight !== rowHeight) {
+            column.renderedRange = null;
+            this.renderColumnRows(column);
+        }
+    }
+}
+
+// Scrolls the column just far enough for row `index` to show
+scrollColumnTo(column, index) {
+    if (index >= 0 && column.rowHeight) {
+        const stride = column.rowHeight + (parseFloat(getComputedStyle(column).rowGap) || 0);
+        const top = column.basePadding + index * stride;
+        if (top < column.scrollTop) {
+            column.scrollTop = top;
+        } else if (top + column.rowHeight > column.scrollTop + column.clientHeight) {
+            column.scrollTop = top + column.rowHeight - column.clientHeight;
+        }
+    }
+    this.renderColumnRows(column);
+}
+
+// A single selected folder shows its contents in the next column, a single
+// file shows a preview there
+async updateColumnPreview(paneIndex) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    if (!pane || !fileArea || !pane.files || pane.view.viewMode !== 'columns') return;
+    const preview = pane.columnPreview = (pane.columnPreview || 0) + 1;
+
+    const selected = pane.selectedFiles.size === 1 ? pane.files.find(f => pane.selectedFiles.has(f.path)) : null;
+    let column = null;
+    if (selected && selected.isDirectory && !pane.inTrash) {
+        column = this.createColumn(selected.path, await this.getColumnListing(pane, selected.path), paneIndex);
+    } else if (selected) {
+        column = await this.createPreviewColumn(pane, selected);
+    }
+    if (pane.columnPreview !== preview) return;
+
+    fileArea.querySelectorAll('.miller-column.current ~ .miller-column').forEach(el => el.remove());
+    if (column) fileArea.appendChild(column);
+    if (column && column.files) this.renderColumnRows(column);
+    fileArea.scrollLeft = fileArea.scrollWidth;
+}
+
+async createPreviewColumn(pane, file) {
+    const column = document.createElement('div');
+    column.className = 'miller-column miller-preview';
+    const icon = pane.inTrash ? this.getQuickIcon(file) : await this.getFileIcon(file, Math.round(200 * window.devicePixelRatio));
+
+    column.innerHTML = `
+        <div class="miller-preview-icon">${icon}</div>
+        <div class="miller-preview-name">${this.escapeHtml(file.name)}</div>
+        <div class="miller-preview-meta">
+            <div>${this.getTypeLabel(file)}${pane.currentArchive ? '' : ` · ${this.formatSize(file.size)}`}</div>
+            ${pane.currentArchive ? '' : `<div>Modified ${file.modified.toLocaleString()}</div>`}
+            ${file.isSymlink ? `<div>Link to ${this.escapeHtml(file.linkTarget)}</div>` : ''}
+        </div>
+    `;
+    return column;
+}
+
+// Loads dirPath as the pane's folder, optionally with one of its items selected
+async openColumn(paneIndex, dirPath, selectPath = null) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    if (pane.currentArchive) {
+        await this.loadArchive(pane.archiveBasePath, paneIndex, dirPath === '/' ? '' : dirPath);
+    } else {
+        await this.loadDirectory(dirPath, paneIndex);
+    }
+    if (selectPath && pane.files && pane.files.some(f => f.path === selectPath)) {
+        this.selectColumnItem(paneIndex, selectPath);
+    }
+}
+
+selectColumnItem(paneIndex, filePath) {
+    const pane = this.getActiveTab().panes[paneIndex];
+    pane.selectedFiles.clear();
+    pane.selectedFiles.add(filePath);
+
+    const column = document.querySelector(`#file-area-${paneIndex} .miller-column.current`);
+    if (column) {
+        column.querySelectorAll('.file-item').forEach(el => el.classList.toggle('selected', el.dataset.path === filePath));
+        this.scrollColumnTo(column, column.files.findIndex(f => f.path === filePath));
+    }
+    this.updateStatusBar();
+    this.updateColumnPreview(paneIndex);
+}
+
+// Up and down move through the current column, left goes back to the parent
+// column and right enters the selected folder
+handleColumnKey(key) {
+    const tab = this.getActiveTab();
+    const paneIndex = tab.activePaneIndex;
+    const pane = tab.panes[paneIndex];
+    if (!pane || !pane.files || pane.view.viewMode !== 'columns') return false;
+
+    const selectedPath = Array.from(pane.selectedFiles).pop();
+    const index = pane.files.findIndex(f => f.path === selectedPath);
+
+    if (key === 'ArrowUp' || key === 'ArrowDown') {
+        const next = pane.files[key === 'ArrowUp' ? Math.max(0, index - 1) : Math.min(pane.files.length - 1, index + 1)];
+        if (next) this.selectColumnItem(paneIndex, next.path);
+    } else if (key === 'ArrowLeft') {
+        const chain = this.getColumnChain(pane);
+        if (chain.length > 1) this.openColumn(paneIndex, chain[chain.length - 2], pane.path);
+    } else if (key === 'ArrowRight') {
+        const selected = pane.files[index];
+        if (selected && selected.isDirectory && pane.selectedFiles.size === 1 && !pane.inTrash) {
+            this.openColumn(paneIndex, selected.path).then(() => {
+                if (pane.files && pane.files.length > 0) this.selectColumnItem(paneIndex, pane.files[0].path);
+            });
+        }
+    } else {
+        return false;
+    }
+    return true;
+}
+
+// QUICK LOOK
+// A preview of the selected item, docked to the right of the panes or popped
+// up over them with Space. Both follow the selection, so the arrow keys page
+// through a folder. Entries of an open archive are extracted to a temporary
+// folder to be shown, and it is removed once the preview moves on.
+togglePreviewPanel() {
+    this.settings.previewPanel = !this.settings.previewPanel;
+    this.saveSettings();
+    this.applyPreviewPanel();
+}
+
+applyPreviewPanel() {
+    const panel = document.getElementById('preview-panel');
+    panel.classList.toggle('visible', !!this.settings.previewPanel);
+    document.getElementById('btn-preview').classList.toggle('btn-primary', !!this.settings.previewPanel);
+    if (!this.settings.previewPanel) {
+        panel.replaceChildren();
+        delete panel.dataset.previewKey;
+    }
+    this.layoutPanes();
+    this.updatePreview();
+}
+
+toggleQuickLook() {
+    if (this.quickLook) {
+        this.closeQuickLook();
+        return;
+    }
+    if (!this.getPreviewItem()) return;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'quick-look';
+    overlay.innerHTML = '<div class="quick-look-content preview-body"></div>';
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) this.closeQuickLook();
+    });
+    document.body.appendChild(overlay);
+    this.quickLook = overlay.firstElementChild;
+    this.updatePreview();
+}
+
+closeQuickLook() {
+    if (!this.quickLook) return;
+    this.quickLook.parentElement.remove();
+    this.quickLook = null;
+    this.updatePreview();
+}
+
+// The active pane's one selected item; null when none or several are selected
+getPreviewItem() {
+    const tab = this.getActiveTab();
+    if (!tab || tab.isEditing) return null;
+    const pane = tab.panes[tab.activePaneIndex];
+    if (!pane || !pane.files || pane.selectedFiles.size !== 1) return null;
+    return pane.files.find(f => pane.selectedFiles.has(f.path)) || null;
+}
+
+// Called on every selection change. Whatever already shows the item is left
+// alone, so a playing video or a zoomed image isn't reset.
+async updatePreview() {
+    const targets = [this.settings.previewPanel ? document.getElementById('preview-panel') : null, this.quickLook].filter(Boolean);
+    const tab = this.getActiveTab();
+    const pane = tab ? tab.panes[tab.activePaneIndex] : null;
+    const file = this.getPreviewItem();
+
+    let key = `none:${pane ? pane.selectedFiles.size : 0}`;
+    if (file) {
+        const modified = file.archive ? file.archive.modified : file.modified;
+        key = `${file.archive ? file.archive.path + ':' : ''}${file.path}:${modified.getTime()}`;
+    }
+    if (!file || targets.length === 0) this.releasePreviewSource();
+
+    const stale = targets.filter(target => target.dataset.previewKey !== key);
+    if (stale.length === 0) return;
+    const tokens = stale.map(target => {
+        target.dataset.previewKey = key;
+        target.innerHTML = '<div class="loading-overlay"><div class="loading-spinner"></div></div>';
+        return target.previewToken = {};
+    });
+
+    if (!file) {
+        const count = pane ? pane.selectedFiles.size : 0;
+        stale.forEach(target => {
+            target.innerHTML = `<div class="preview-message">${count > 1 ? `${count} items selected` : 'No item selected'}</div>`;
+        });
+        return;
+    }
+
+    let source;
+    try {
+        source = await this.getPreviewSource(file, pane, key);
+    } catch (err) {
+        source = { error: err };
+    }
+    await Promise.all(stale.map((target, i) => {
+        const isCurrent = () => target.previewToken === tokens[i] && target.isConnected;
+        if (!isCurrent()) return null;
+        if (source.error) {
+            target.innerHTML = `<div class="preview-message">Can't preview ${this.escapeHtml(file.name)}: ${this.escapeHtml(source.error.message)}</div>`;
+            return null;
+        }
+        return this.renderPreview(target, source, isCurrent);
+    }));
+}
+
+// What the preview reads: the file itself, or a copy of an archive entry
+// extracted for it. The last one stays around while it is on show.
+getPreviewSource(file, pane, key) {
+    if (this.previewSource && this.previewSource.key === key) return this.previewSource.ready;
+
+    this.releasePreviewSource();
+    const source = { key, tempDir: null, tempPath: null, released: false, control: {}, pages: new Map() };
+    source.ready = this.loadPreviewSource(source, file, pane).then(loaded => Object.assign(source, loaded));
+    this.previewSource = source;
+    return source.ready;
+}
+
+async loadPreviewSource(source, file, pane) {
+    if (!file.archive) {
+        return { file, filePath: file.path, mimeType: await this.detectMimeType(file), inTrash: pane.inTrash };
+    }
+
+    // Folders in an archive are summed up from its listing
+    if (file.isDirectory) {
+        const prefix = file.path + '/';
+        return {
+            file,
+            mimeType: 'inode/directory',
+            items: this.getArchiveDirItems(pane.archiveEntries, file.path, file.archive),
+            entryCount: pane.archiveEntries.filter(entry => entry.startsWith(prefix) && entry !== prefix).length
+        };
+    }
+
+    // Sized from the listing; a big one is shown by its icon and details only
+    if (file.size > PREVIEW_EXTRACT_LIMIT) {
+        return { file, entry: file, mimeType: this.getMimeTypeFromName(file.name) || 'application/octet-stream', unextracted: true };
+    }
+
+    const extracted = await this.extractArchiveEntry(file.archive.path, file.path, await this.getPreviewTempDir(source));
+    const item = await this.createFileItem(extracted, file.name);
+    return { file: item, entry: file, filePath: extracted, mimeType: await this.detectMimeType(item) };
+}
+
+async getPreviewTempDir(source) {
+    if (source.released) throw new Error('The preview was closed');
+    if (!source.tempDir) {
+        source.tempDir = fs.promises.mkdtemp(path.join(os.tmpdir(), 'elve-preview-'));
+        source.tempPath = await source.tempDir;
+    }
+    return source.tempDir;
+}
+
+// Stops the folder measuring and removes the temporary folder once whatever
+// is being extracted or rendered into it is done. `sync` is for quitting.
+releasePreviewSource(sync = false) {
+    const source = this.previewSource;
+    if (!source) return;
+    this.previewSource = null;
+    source.released = true;
+    source.control.cancelled = true;
+
+    if (sync) {
+        if (source.tempPath) fs.rmSync(source.tempPath, { recursive: true, force: true });
+        return;
+    }
+    source.ready.catch(() => {}).then(async () => {
+        const tempDir = await source.tempDir;
+        if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }).catch(err => console.error('Failed to remove preview files:', err));
+}
+
+getPreviewKind(source) {
+    const { file, mimeType } = source;
+    if (file.isDirectory) return 'folder';
+    if (file.isBrokenLink || source.unextracted) return 'other';
+    if (WORKER_IMAGE_TYPES.includes(mimeType) || mimeType === 'image/svg+xml') return 'image';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (['.zip', '.tar', '.tar.gz', '.tgz', '.rar'].some(type => file.name.endsWith(type))) return 'archive';
+    if (this.isTextType(mimeType)) return 'text';
+    return 'other';
+}
+
+async renderPreview(target, source, isCurrent) {
+    const { file, entry } = source;
+    const kind = this.getPreviewKind(source);
+
+    const details = [file.isDirectory ? 'Folder' : this.getTypeLabel(file)];
+    if (!file.isDirectory) details.push(this.formatSize(file.size));
+    if (entry) {
+        details.push(`In ${path.basename(entry.archive.path)}`);
+    } else if (!source.items) {
+        details.push(`Modified ${file.modified.toLocaleString()}`);
+    }
+    if (file.isSymlink) details.push(`Link to ${file.linkTarget}`);
+
+    target.innerHTML = `
+        <div class="preview-header">
+            <div class="preview-name">${this.escapeHtml(file.name)}</div>
+            <div class="preview-details">${details.map(d => this.escapeHtml(d)).join(' · ')}</div>
+        </div>
+        <div class="preview-content preview-${kind}"></div>
+    `;
+    const content = target.querySelector('.preview-content');
+    // Clicking zoom or page buttons leaves the focus where it was, so Space and the arrows keep working
+    content.addEventListener('mousedown', (e) => {
+        if (e.target.closest('.preview-controls')) e.preventDefault();
+    });
+    // Images, media and PDFs add what they find out, such as dimensions or a page count
+    const addDetail = (text) => {
+        if (isCurrent()) target.querySelector('.preview-details').textContent += ` · ${text}`;
+    };
+
+    try {
+        if (kind === 'folder') await this.renderFolderPreview(content, source, isCurrent);
+        else if (kind === 'image') this.renderImagePreview(content, source, addDetail);
+        else if (kind === 'video' || kind === 'audio') await this.renderMediaPreview(content, source, kind, addDetail);
+        else if (kind === 'pdf') await this.renderPdfPreview(content, source, addDetail, isCurrent);
+        else if (kind === 'archive') await this.renderArchivePreview(content, source, addDetail, isCurrent);
+        else if (kind === 'text') await this.renderTextPreview(content, source, isCurrent);
+        else content.innerHTML = `<div class="preview-icon">${await this.getPreviewIcon(source)}</div>`;
+    } catch (err) {
+        if (isCurrent()) content.innerHTML = `<div class="preview-message">Can't preview this file: ${this.escapeHtml(err.message)}</div>`;
+    }
+}
+
+// Archive entries use their own thumbnail rather than one of the extracted copy
+getPreviewIcon(source) {
+    const file = source.entry || source.file;
+    return source.inTrash ? this.getQuickIcon(file) : this.getFileIcon(file, Math.round(256 * window.devicePixelRatio));
+}
+
+// Item counts and the most common kinds of file, and for folders on disk the total size
+async renderFolderPreview(content, source, isCurrent) {
+    const { file } = source;
+    let entries = source.items;
+    if (!entries) {
+        const hiddenList = await this.readHiddenList(file.path);
+        entries = (await fs.promises.readdir(file.path, { withFileTypes: true })).map(dirent => ({
+            name: dirent.name,
+            isDirectory: dirent.isDirectory(),
+            isHidden: this.isHiddenName(dirent.name, hiddenList)
+        }));
+    } else {
+        entries.forEach(item => item.isHidden = this.isHiddenName(item.name, null));
+    }
+    const icon = await this.getPreviewIcon(source);
+    if (!isCurrent()) return;
+
+    const folders = entries.filter(item => item.isDirectory).length;
+    const files = entries.length - folders;
+    const hidden = entries.filter(item => item.isHidden).length;
+    const kinds = new Map();
+    for (const item of entries) {
+        if (item.isDirectory) continue;
+        const kind = this.getMimeComment(this.getMimeTypeFromName(item.name) || 'application/octet-stream');
+        kinds.set(kind, (kinds.get(kind) || 0) + 1);
+    }
+    const topKinds = Array.from(kinds).sort((a, b) => b[1] - a[1]).slice(0, 6);
+
+    content.innerHTML = `
+        <div class="preview-icon">${icon}</div>
+        <div class="preview-summary">
+            <div>${folders} folder${folders === 1 ? '' : 's'}, ${files} file${files === 1 ? '' : 's'}${hidden ? ` (${hidden} hidden)` : ''}</div>
+            ${source.entryCount !== undefined ? `<div>${source.entryCount} entries in all</div>` : '<div class="preview-folder-size">Measuring…</div>'}
+            ${topKinds.map(([kind, count]) => `<div class="preview-kind"><span>${this.escapeHtml(kind)}</span><span>${count}</span></div>`).join('')}
+        </div>
+    `;
+    if (source.entryCount !== undefined) return;
+
+    const sizeEl = content.querySelector('.preview-folder-size');
+    try {
+        let totals = this.folderSizes.get(file.path);
+        if (!totals) {
+            totals = await this.measureFolder(file.path, {
+                control: source.control,
+                onProgress: (partial) => {
+                    sizeEl.textContent = `Measuring… ${this.formatFolderTotals(partial)}`;
+                }
+            });
+            this.folderSizes.set(file.path, totals);
+        }
+        sizeEl.textContent = this.formatFolderTotals(totals);
+    } catch (err) {
+        if (err.code !== 'ECANCELED') sizeEl.textContent = `Size unknown: ${err.message}`;
+    }
+}
+
+// Fitted to the pane at first; the buttons, Ctrl+wheel and double-click zoom
+renderImagePreview(content, source, addDetail) {
+    content.innerHTML = `
+        <div class="preview-image-view fit"><img src="${this.pathToFileUri(source.filePath)}?${source.file.modified.getTime()}"></div>
+        <div class="preview-controls">
+            <button class="btn" data-zoom="-1" title="Zoom out">−</button>
+            <span class="preview-controls-label">Fit</span>
+            <button class="btn" data-zoom="1" title="Zoom in">+</button>
+            <button class="btn" data-zoom="fit">Fit</button>
+            <button class="btn" data-zoom="actual">1:1</button>
+        </div>
+    `;
+    const view = content.querySelector('.preview-image-view');
+    const img = view.querySelector('img');
+    const label = content.querySelector('.preview-controls-label');
+    let zoom = null;
+
+    const setZoom = (value) => {
+        zoom = value;
+        view.classList.toggle('fit', zoom === null);
+        img.style.width = zoom === null ? '' : `${img.naturalWidth * zoom}px`;
+        label.textContent = zoom === null ? 'Fit' : `${Math.round(zoom * 100)}%`;
+    };
+    const step = (direction) => {
+        if (!img.naturalWidth) return;
+        const current = zoom === null ? img.width / img.naturalWidth : zoom;
+        const next = direction > 0
+            ? PREVIEW_ZOOM_STEPS.find(z => z > current * 1.01)
+            : PREVIEW_ZOOM_STEPS.slice().reverse().find(z => z < current * 0.99);
+        if (next) setZoom(next);
+    };
+
+    content.querySelector('.preview-controls').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-zoom]');
+        if (!button) return;
+        if (button.dataset.zoom === 'fit') setZoom(null);
+        else if (button.dataset.zoom === 'actual') setZoom(1);
+        else step(Number(button.dataset.zoom));
+    });
+    view.addEventListener('wheel', (e) => {
+        if (!e.ctrlKey) return;
+        e.preventDefault();
+        step(-Math.sign(e.deltaY));
+    }, { passive: false });
+    img.addEventListener('dblclick', () => setZoom(zoom === null ? 1 : null));
+    img.addEventListener('load', () => {
+        if (img.naturalWidth) addDetail(`${img.naturalWidth} × ${img.naturalHeight}`);
+    });
+    img.addEventListener('error', () => {
+        content.innerHTML = '<div class="preview-message">This image can\'t be displayed</div>';
+    });
+}
+
+async renderMediaPreview(content, source, kind, addDetail) {
+    if (kind === 'audio') {
+        content.innerHTML = `<div class="preview-icon">${await this.getPreviewIcon(source)}</div>`;
+    }
+    const media = document.createElement(kind);
+    media.controls = true;
+    media.preload = 'metadata';
+    media.src = this.pathToFileUri(source.filePath);
+    media.addEventListener('loadedmetadata', () => {
+        if (kind === 'video' && media.videoWidth) addDetail(`${media.videoWidth} × ${media.videoHeight}`);
+        if (isFinite(media.duration)) addDetail(this.formatPlaybackTime(media.duration));
+    });
+    media.addEventListener('error', () => {
+        content.innerHTML = `<div class="preview-message">This ${kind} format can't be played here</div>`;
+    });
+    content.appendChild(media);
+}
+
+// 1:05 or 1:02:05, as media players show it
+formatPlaybackTime(seconds) {
+    const s = Math.round(seconds);
+    const parts = [Math.floor(s / 3600), Math.floor(s / 60) % 60, s % 60];
+    if (parts[0] === 0) parts.shift();
+    return parts.map((part, i) => i === 0 ? String(part) : String(part).padStart(2, '0')).join(':');
+}
+
+// Pages are rendered one at a time with pdftoppm; without poppler the built-in viewer is used
+async renderPdfPreview(content, source, addDetail, isCurrent) {
+    if (!this.commandExists('pdftoppm')) {
+        content.innerHTML = `<embed src="${this.pathToFileUri(source.filePath)}" type="application/pdf">`;
+        return;
+    }
+
+    let pageCount = null;
+    try {
+        const { stdout } = await this.runCommand('pdfinfo', [source.filePath], { timeout: 10000 });
+        const match = stdout.match(/^Pages:\s+(\d+)/m);
+        if (match) pageCount = Number(match[1]);
+    } catch (err) {
+        // Still worth trying to render the first page
+    }
+    if (!isCurrent()) return;
+    if (pageCount) addDetail(`${pageCount} page${pageCount === 1 ? '' : 's'}`);
+
+    content.innerHTML = `
+        <div class="preview-page-view"></div>
+        <div class="preview-controls">
+            <button class="btn" data-page-step="-1" title="Previous page (Page Up)">‹</button>
+            <span class="preview-controls-label"></span>
+            <button class="btn" data-page-step="1" title="Next page (Page Down)">›</button>
+        </div>
+    `;
+    const view = content.querySelector('.preview-page-view');
+    const label = content.querySelector('.preview-controls-label');
+    let page = 1;
+
+    const show = async (number) => {
+        page = number;
+        label.textContent = pageCount ? `Page ${page} of ${pageCount}` : `Page ${page}`;
+        view.innerHTML = '<div class="loading-overlay"><div class="loading-spinner"></div></div>';
+        try {
+            // The panel and the popup may both show the document: each page is rendered once
+            if (!source.pages.has(number)) {
+                source.pages.set(number, this.getPreviewTempDir(source).then(async (dir) => {
+                    const prefix = path.join(dir, `page-${number}`);
+                    await this.runCommand('pdftoppm', ['-f', String(number), '-l', String(number), '-singlefile', '-png',
+                        '-scale-to', '1600', source.filePath, prefix], { timeout: 30000 });
+                    return prefix + '.png';
+                }));
+            }
+            const pagePath = await source.pages.get(number);
+            if (page === number && isCurrent()) view.innerHTML = `<img src="${this.pathToFileUri(pagePath)}">`;
+        } catch (err) {
+            source.pages.delete(number);
+            if (page === number && isCurrent()) {
+                view.innerHTML = `<div class="preview-message">Can't render page ${number}: ${this.escapeHtml(err.message)}</div>`;
+            }
+        }
+    };
+
+    content.querySelector('.preview-controls').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-page-step]');
+        if (!button) return;
+        const next = page + Number(button.dataset.pageStep);
+        if (next >= 1 && (!pageCount || next <= pageCount)) show(next);
+    });
+    show(1);
+}
+
+// Page Up and Page Down turn the pages of a PDF in the popup, or else in the panel
+turnPreviewPage(direction) {
+    const target = this.quickLook || (this.settings.previewPanel ? document.getElementById('preview-panel') : null);
+    const button = target ? target.querySelector(`[data-page-step="${direction}"]`) : null;
+    if (!button) return false;
+    button.click();
+    return true;
+}
+
+async renderArchivePreview(content, source, addDetail, isCurrent) {
+    const entries = await this.listArchiveEntries(source.filePath);
+    if (!isCurrent()) return;
+
+    const files = entries.filter(entry => !entry.endsWith('/')).length;
+    addDetail(`${files} file${files === 1 ? '' : 's'}`);
+    content.innerHTML = `
+        <div class="preview-list">
+            ${entries.slice(0, PREVIEW_LIST_LIMIT).map(entry => `<div class="preview-list-item">${this.escapeHtml(entry)}</div>`).join('')}
+        </div>
+        ${entries.length > PREVIEW_LIST_LIMIT ? `<div class="preview-message">and ${entries.length - PREVIEW_LIST_LIMIT} more</div>` : ''}
+    `;
+}
+
+async renderTextPreview(content, source, isCurrent) {
+    let data = Buffer.alloc(Math.min(PREVIEW_TEXT_LIMIT, source.file.size));
+    const handle = await fs.promises.open(source.filePath, 'r');
+    try {
+        data = data.subarray(0, (await handle.read(data, 0, data.length, 0)).bytesRead);
+    } finally {
+        await handle.close();
+    }
+    if (!isCurrent()) return;
+
+    const text = new TextDecoder('utf-8').decode(data);
+    content.innerHTML = `
+        <pre class="preview-code">${this.highlightCode(text, this.getPreviewLanguage(source.mimeType))}</pre>
+        ${source.file.size > data.length ? `<div class="preview-message">Showing the first ${this.formatSize(data.length)}</div>` : ''}
+    `;
+}
+
+getPreviewLanguage(mimeType) {
+    for (const type of this.getMimeAncestors(mimeType)) {
+        const language = Object.keys(PREVIEW_LANGUAGES).find(name => PREVIEW_LANGUAGES[name].types.includes(type));
+        if (language) return language;
+    }
+    return null;
+}
+
+// Escapes the text and wraps comments, strings, numbers, keywords and tags in
+// spans. One pass with every pattern at once, so a quote inside a comment or
+// a comment marker inside a string is taken as part of it.
+highlightCode(text, language) {
+    const spec = PREVIEW_LANGUAGES[language];
+    if (!spec) return this.escapeHtml(text);
+
+    const patterns = { comment: spec.comment, string: spec.string, tag: spec.tag };
+    if (spec.keywords) {
+        patterns.number = /\b(?:0[xX][\da-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/;
+        patterns.word = /[A-Za-z_$][\w$]*/;
+    }
+    const pattern = new RegExp(Object.entries(patterns).filter(([, p]) => p).map(([name, p]) => `(?<${name}>${p.source})`).join('|'), 'g');
+    const keywords = new Set((spec.keywords || '').split(' '));
+
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        const kind = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+        const token = this.escapeHtml(match[0]);
+        html += this.escapeHtml(text.slice(last, match.index));
+        if (kind === 'word') {
+            html += keywords.has(match[0]) ? `<span class="hl-keyword">${token}</span>` : token;
+        } else if (kind === 'tag') {
+            html += `<span class="hl-tag">${token.replace(/(&quot;.*?&quot;|&#39;.*?&#39;)/g, '<span class="hl-string">$1</span>')}</span>`;
+        } else {
+            html += `<span class="hl-${kind}">${token}</span>`;
+        }
+        last = match.index + match[0].length;
+    }
+    return html + this.escapeHtml(text.slice(last));
+}
+
+// Arrow keys in the grid, list and details views: up and down move a row,
+// left and right one item in the grid. The new item is scrolled into view
+// first, as rows out of view have no element.
+handleSelectionKey(key) {
+    const tab = this.getActiveTab();
+    const paneIndex = tab.activePaneIndex;
+    const pane = tab.panes[paneIndex];
+    const fileArea = document.getElementById(`file-area-${paneIndex}`);
+    if (tab.isEditing || !pane || !pane.files || pane.files.length === 0 || !fileArea || pane.view.viewMode === 'columns') return false;
+
+    const style = getComputedStyle(fileArea);
+    const columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+    const steps = { ArrowUp: -columns, ArrowDown: columns, ArrowLeft: columns > 1 ? -1 : 0, ArrowRight: columns > 1 ? 1 : 0 };
+    if (!steps[key]) return false;
+
+    const index = pane.files.findIndex(f => f.path === Array.from(pane.selectedFiles).pop());
+    const next = index === -1 ? 0 : Math.min(pane.files.length - 1, Math.max(0, index + steps[key]));
+    const file = pane.files[next];
+
+    const row = Math.floor(next / columns);
+    const stride = (pane.rowHeight || parseFloat(style.gridAutoRows) || 40) + (parseFloat(style.rowGap) || 0);
+    const rowTop = (fileArea.basePadding || 0) + row * stride;
+    if (row === 0) {
+        fileArea.scrollTop = 0;
+    } else if (rowTop < fileArea.scrollTop) {
+        fileArea.scrollTop = rowTop;
+    } else if (rowTop + stride > fileArea.scrollTop + fileArea.clientHeight) {
+        fileArea.scrollTop = rowTop + stride - fileArea.clientHeight;
+    }
+    this.renderVisibleFiles(paneIndex);
+
+    pane.selectedFiles.clear();
+    pane.selectedFiles.add(file.path);
+    fileArea.querySelectorAll('.file-item').forEach(el => el.classList.toggle('selected', el.dataset.path === file.path));
+    this.updateStatusBar();
+    return true;
+}
+
+// ADDITIONAL ACTIONS
+createNew(type) {
+    this.showModal(
+        type === 'file' ? 'New File' : 'New Folder',
+        `<input type="text" class="input-field" id="new-name" placeholder="Enter name...">`,
+        () => {
+            const name = document.getElementById('new-name').value.trim();
+            if (!name) return;
+
+            const tab = this.getActiveTab();
+            const pane = tab.panes[tab.activePaneIndex];
+            const newPath = path.join(pane.path, name);
+            
+            try {
+                if (type === 'file') {
+                    fs.writeFileSync(newPath, '', { flag: 'wx' });
+                } else {
+                    fs.mkdirSync(newPath);
+                }
+                this.recordOperation({
+                    type: 'create',
+                    label: `Create ${type === 'file' ? 'file' : 'folder'} ${name}`,
+                    items: [{ to: newPath }]
+                });
+                this.refresh();
+            } catch (err) {
+                alert('Failed to create: ' + err.message);
+            }
+        }
+    );
+}
+// Makes "Link to <name>" next to each selected item
+createLinks(kind) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const created = [];
+
+    for (const filePath of pane.selectedFiles) {
+        const dir = path.dirname(filePath);
+        let name = `Link to ${path.basename(filePath)}`;
+        if (fs.existsSync(path.join(dir, name))) name = this.getUniqueName(dir, name);
+        const dest = path.join(dir, name);
+
+        try {
+            if (kind === 'hard') {
+                fs.linkSync(filePath, dest);
+            } else {
+                fs.symlinkSync(filePath, dest);
+            }
+            created.push({ to: dest });
+        } catch (err) {
+            alert(`Failed to create link to ${path.basename(filePath)}: ${err.message}`);
+        }
+    }
+
+    if (created.length > 0) {
+        this.recordOperation({
+            type: 'create',
+            label: `Create ${created.length} ${kind === 'hard' ? 'hard link' : 'symlink'}(s)`,
+            items: created
+        });
+    }
+    this.refresh();
+}
+
+goToLinkTarget(file) {
+    try {
+        const target = fs.realpathSync(file.path);
+        const tab = this.getActiveTab();
+        this.loadDirectory(file.isDirectory ? target : path.dirname(target), tab.activePaneIndex);
+    } catch (err) {
+        alert(`Cannot resolve ${file.name}: ${err.message}`);
+    }
+}
+
+// Points an existing symlink somewhere else. The new link is made under a
+// temporary name and renamed over the old one so the link never disappears.
+retargetSymlink(linkPath, target) {
+    const temp = path.join(path.dirname(linkPath), `.${path.basename(linkPath)}.elve-relink-${Date.now()}`);
+    fs.symlinkSync(target, temp);
+    try {
+        fs.renameSync(temp, linkPath);
+    } catch (err) {
+        fs.rmSync(temp, { force: true });
+        throw err;
+    }
+}
+
+setupLinkTargetProperty(modal, file) {
+    const input = modal.querySelector('#prop-link-target');
+    if (!input) return;
+
+    const status = modal.querySelector('#prop-link-status');
+    const describe = () => {
+        try {
+            status.textContent = `Resolves to ${fs.realpathSync(file.path)}`;
+        } catch (err) {
+            status.textContent = 'The target does not exist';
+        }
+    };
+    describe();
+
+    modal.querySelector('#prop-link-save').addEventListener('click', () => {
+        const previous = fs.readlinkSync(file.path);
+        const target = input.value.trim();
+        if (!target || target === previous) return;
+
+        try {
+            this.retargetSymlink(file.path, target);
+            this.recordOperation({
+                type: 'retarget',
+                label: `Point ${file.name} at ${target}`,
+                items: [{ path: file.path, previous, target }]
+            });
+            describe();
+            this.refresh();
+        } catch (err) {
+            alert(`Failed to change link target: ${err.message}`);
+        }
+    });
+}
+
+
+openTerminal(dirPath = null) {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    const terminals = ['gnome-terminal', 'konsole', 'xfce4-terminal', 'xterm'];
+    const term = terminals.find(t => this.commandExists(t));
+
+    if (term) {
+        this.launchDetached(term, [], { cwd: dirPath || pane.path });
+    } else {
+        alert('No supported terminal emulator found');
+    }
+}
+
+openAsRoot(file) {
+    const confirmed = confirm('Open as root? This requires your password.');
+    if (!confirmed) return;
+    this.launchDetached('pkexec', ['xdg-open', file.path]);
+}
+
+// Offers the installed applications that declare the file's type, or one of
+// the types it derives from, plus a free-form command
+async openWith(file) {
+    const mimeType = await this.detectMimeType(file);
+    const apps = this.getApplicationsForType(mimeType);
+
+    this.showModal(
+        'Open With',
+        `${apps.length > 0 ? `<div class="open-with-list">${apps.map((app, index) => `
+            <div class="open-with-app" data-index="${index}">
+                <span class="open-with-icon">${this.getThemeIconHtml([app.icon, 'application-x-executable'], Math.round(24 * window.devicePixelRatio)) || '📱'}</span>
+                <span>${this.escapeHtml(app.name)}</span>
+            </div>`).join('')}</div>` : ''}
+         <input type="text" class="input-field" id="app-command" placeholder="Enter application command (e.g., gedit, vlc)">
+         <label style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+            <input type="checkbox" id="set-default">
+            <span style="font-size: 13px;">Set as default for ${this.escapeHtml(this.getMimeComment(mimeType))} files</span>
+         </label>`,
+        () => {
+            const command = document.getElementById('app-command').value.trim();
+            const setDefault = document.getElementById('set-default').checked;
+            
+            if (!command) return;
+
+            this.launchWithCommandLine(command, file.path);
+
+            if (setDefault) {
+                this.defaultApps[mimeType] = command;
+                this.saveDefaultApps();
+            }
+        }
+    );
+
+    // Picking an application fills in its command; a double click opens right away
+    document.querySelectorAll('.open-with-app').forEach(el => {
+        const app = apps[el.dataset.index];
+        el.addEventListener('click', () => {
+            document.querySelectorAll('.open-with-app.selected').forEach(other => other.classList.remove('selected'));
+            el.classList.add('selected');
+            document.getElementById('app-command').value = app.exec;
+        });
+        el.addEventListener('dblclick', () => document.getElementById('modal-ok').click());
+    });
+}
+
+// Installed applications from the .desktop files in the data dirs. A desktop
+// file id (its path below applications/, with '/' as '-') is taken by the
+// first data dir that has it, so users can override system entries.
+getApplications() {
+    if (this.applications) return this.applications;
+
+    const language = navigator.language.replace('-', '_');
+    const byId = new Map();
+    for (const dir of this.getDataDirs()) {
+        const appsDir = path.join(dir, 'applications');
+        let files;
+        try {
+            files = fs.readdirSync(appsDir, { recursive: true }).filter(name => name.endsWith('.desktop'));
+        } catch (err) {
+            continue;
+        }
+
+        for (const file of files) {
+            const id = file.split(path.sep).join('-');
+            if (byId.has(id)) continue;
+            let entry;
+            try {
+                entry = this.readDesktopEntry(path.join(appsDir, file), 'Desktop Entry');
+            } catch (err) {
+                continue;
+            }
+            byId.set(id, entry);
+        }
+    }
+
+    this.applications = [];
+    for (const entry of byId.values()) {
+        if (entry.Type !== 'Application' || !entry.Exec || entry.Hidden === 'true' || entry.NoDisplay === 'true') continue;
+        if (entry.TryExec && !this.commandExists(entry.TryExec)) continue;
+        this.applications.push({
+            name: entry[`Name[${language}]`] || entry[`Name[${language.split('_')[0]}]`] || entry.Name,
+            // Field codes other than the file ones (%i icon, %c name, %k location) are dropped
+            exec: entry.Exec.replace(/\s*%[icdDnNvmk]/g, '').replace(/%%/g, '%'),
+            icon: entry.Icon,
+            mimeTypes: (entry.MimeType || '').split(';').filter(type => type)
+        });
+    }
+    return this.applications;
+}
+
+// Applications for the type itself first, then those for its parent types
+getApplicationsForType(mimeType) {
+    const { aliases } = this.getMimeDatabase();
+    const ancestors = this.getMimeAncestors(mimeType);
+    const rank = app => Math.min(...app.mimeTypes.map(type => {
+        const index = ancestors.indexOf(aliases.get(type) || type);
+        return index === -1 ? Infinity : index;
+    }));
+
+    return this.getApplications()
+        .map(app => ({ app, rank: rank(app) }))
+        .filter(({ rank }) => rank !== Infinity)
+        .sort((a, b) => a.rank - b.rank || a.app.name.localeCompare(b.app.name))
+        .map(({ app }) => app);
+}
+
+async compressFiles() {
+    const tab = this.getActiveTab();
+    const pane = tab.panes[tab.activePaneIndex];
+    if (pane.selectedFiles.size === 0) return;
+
+    this.showModal(
+        'Compress Files',
+        `<input type="text" class="input-field" id="archive-name" placeholder="archive" value="archive">
+         <select class="input-field" id="archive-format">
+            <option value="tar.gz">tar.gz</option>
+            <option value="zip">zip</option>
+            <option value="tar">tar</option>
+         </select>`,
+        () => {
+            const name = document.getElementById('archive-name').value.trim() || 'archive';
+            const format = document.getElementById('archive-format').value;
+            const archivePath = path.join(pane.path, `${name}.${format}`);
+            const selected = Array.from(pane.selectedFiles);
+
+            const names = selected.map(f => path.basename(f));
+
+            let command;
+            if (format === 'tar.gz') {
+                command = ['tar', ['-czvf', archivePath, '--', ...names]];
+            } else if (format === 'zip') {
+                command = ['zip', ['-r', archivePath, '--', ...names]];
+            } else if (format === 'tar') {
+                command = ['tar', ['-cvf', archivePath, '--', ...names]];
+            }
+
+            this.enqueueJob('compress', `Compressing to ${path.basename(archivePath)}`, async (job) => {
+                job.changed.push(archivePath);
+                for (const f of selected) {
+                    await this.measureTree(job, f);
+                }
+                // Progress is counted in entries, not bytes
+                job.bytesTotal = 0;
+
+                try {
+                    await this.runJobCommand(job, ...command, { cwd: pane.path });
+                } catch (err) {
+                    await fs.promises.rm(archivePath, { force: true });
+                    throw err.code === 'ECANCELED' ? err : new Error('Failed to compress: ' + err.message);
+                }
+            });
+        }
+    );
+}
+
+async extractArchive(paneIndex, extractHere) {
+    const archiveNotice = document.getElementById(`archive-notice-${paneIndex}`);
+    const archivePath = archiveNotice.dataset.archive;
     
-    document.querySelectorAll('.file-area').forEach(area => {
-        area.className = `file-area ${mode}-view`;
+    if (!archivePath) return;
+
+    let targetPath;
+    if (extractHere) {
+        const archiveName = path.basename(archivePath).replace(/\.(tar\.gz|tgz|tar|zip|rar)$/, '');
+        this.performExtraction(archivePath, path.dirname(archivePath), archiveName);
+        return;
+    } else {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.setAttribute('nwdirectory', '');
+        input.setAttribute('nwdirectorydesc', 'Select extraction directory');
+        
+        input.onchange = async () => {
+            targetPath = input.value;
+            this.performExtraction(archivePath, targetPath);
+        };
+        
+        input.click();
+    }
+}
+
+// Extracts into a hidden staging folder next to the target, then moves the
+// entries into place so clashes go through the usual conflict dialog.
+// With `folderName` the whole archive lands in a folder of that name.
+performExtraction(archivePath, targetPath, folderName = null) {
+    const stagingPath = path.join(targetPath, `.elve-extract-${Date.now()}`);
+
+    let command;
+    if (archivePath.endsWith('.zip')) {
+        // -^ keeps control characters such as line breaks in names, as tar does
+        command = ['unzip', ['-o', '-^', archivePath, '-d', stagingPath]];
+    } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
+        command = ['tar', ['-xzvf', archivePath, '-C', stagingPath]];
+    } else if (archivePath.endsWith('.tar')) {
+        command = ['tar', ['-xvf', archivePath, '-C', stagingPath]];
+    } else if (archivePath.endsWith('.rar')) {
+        command = ['unrar', ['x', '--', archivePath, stagingPath + '/']];
+    }
+
+    return this.enqueueJob('extract', `Extracting ${path.basename(archivePath)}`, async (job) => {
+        job.changed.push(targetPath);
+        try {
+            job.itemsTotal = (await this.listArchiveEntries(archivePath)).length;
+        } catch (err) {}
+
+        try {
+            await fs.promises.mkdir(stagingPath, { recursive: true });
+            await this.runJobCommand(job, ...command);
+
+            const conflicts = {};
+            if (folderName) {
+                await this.transferItem(job, stagingPath, targetPath, 'move', conflicts, folderName);
+            } else {
+                for (const entry of await fs.promises.readdir(stagingPath)) {
+                    await this.transferItem(job, path.join(stagingPath, entry), targetPath, 'move', conflicts);
+                }
+            }
+
+            // Undoing an extraction removes what it produced; the staging paths are gone
+            this.recordOperation({
+                type: 'create',
+                label: `Extract ${path.basename(archivePath)}`,
+                items: job.transfers.map(t => ({ to: t.to })),
+                replaced: job.replaced
+            });
+        } catch (err) {
+            throw err.code === 'ECANCELED' ? err : new Error('Failed to extract archive: ' + err.message);
+        } finally {
+            await this.removePath(stagingPath);
+        }
     });
+}
+
+async showProperties(file) {
+    let stats;
+    try {
+        stats = fs.lstatSync(file.path);
+    } catch (err) {
+        alert('Failed to get properties: ' + err.message);
+        return;
+    }
+
+    let type = file.isDirectory ? 'Directory' : 'File';
+    if (stats.isSymbolicLink()) {
+        type = file.isBrokenLink ? 'Broken link' : `Link to ${type.toLowerCase()}`;
+    }
+    const size = this.formatSize(stats.size);
+    const modified = stats.mtime.toLocaleString();
+    const created = stats.birthtime.toLocaleString();
+    const permissions = (stats.mode & parseInt('777', 8)).toString(8);
     
-    document.getElementById('btn-view').textContent = mode === 'grid' ? 'Grid' : 'List';
+    let owner = 'Unknown';
+    let group = 'Unknown';
+    
+    try {
+        const { stdout } = await this.runCommand('stat', ['-c', '%U:%G', '--', file.path]);
+        [owner, group] = stdout.trim().split(':');
+    } catch (err) {}
+
+    const permissionInfo = await this.loadPermissionInfo(file.path);
+    const panels = [
+        { id: 'general', label: 'General', html: `
+            <div style="font-size:13px;line-height:1.8;">
+                <strong>Name:</strong> ${this.escapeHtml(file.name)}<br>
+                <strong>Type:</strong> ${type}<br>
+                ${stats.isSymbolicLink() ? `
+                    <strong>Link target:</strong>
+                    <div class="prop-link">
+                        <input type="text" class="input-field" id="prop-link-target" value="${this.escapeHtml(fs.readlinkSync(file.path))}" spellcheck="false">
+                        <button class="btn" id="prop-link-save">Change</button>
+                    </div>
+                    <div class="bulk-help" id="prop-link-status"></div>
+                ` : ''}
+                <strong>Size:</strong> ${stats.isDirectory() ? `<span id="prop-size"></span>
+                    <label class="prop-inline"><input type="checkbox" id="prop-cross-mounts"> Include other filesystems</label>` : size}<br>
+                <strong>Owner:</strong> ${owner}:${group}<br>
+                <strong>Permissions:</strong> ${permissions}<br>
+                <strong>Created:</strong> ${created}<br>
+                <strong>Modified:</strong> ${modified}<br>
+                <strong>Path:</strong> ${this.escapeHtml(file.path)}
+            </div>` },
+        { id: 'permissions', label: 'Permissions', html: this.renderPermissionsPanel(permissionInfo) }
+    ];
+
+    const checksumFiles = stats.isFile() ? this.findChecksumFiles(file.path) : [];
+    if (stats.isFile()) {
+        panels.push({ id: 'checksums', label: 'Checksums', html: this.renderChecksumsPanel(checksumFiles) });
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content properties">
+            <div class="modal-title">Properties</div>
+            <div class="prop-tabs">
+                ${panels.map((panel, i) => `<div class="prop-tab ${i === 0 ? 'active' : ''}" data-panel="${panel.id}">${panel.label}</div>`).join('')}
+            </div>
+            <div class="modal-body">
+                ${panels.map((panel, i) => `<div class="prop-panel" data-panel="${panel.id}" ${i === 0 ? '' : 'style="display:none;"'}>${panel.html}</div>`).join('')}
+            </div>
+            <div class="modal-actions">
+                <button class="btn" id="prop-close">Close</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelectorAll('.prop-tab').forEach(tabEl => {
+        tabEl.addEventListener('click', () => {
+            modal.querySelectorAll('.prop-tab').forEach(el => el.classList.toggle('active', el === tabEl));
+            modal.querySelectorAll('.prop-panel').forEach(panel => {
+                panel.style.display = panel.dataset.panel === tabEl.dataset.panel ? 'block' : 'none';
+            });
+        });
+    });
+    modal.querySelector('#prop-close').addEventListener('click', () => modal.remove());
+
+    this.setupFolderSizeProperty(modal, file);
+    this.setupLinkTargetProperty(modal, file);
+    this.setupPermissionsPanel(modal, file, permissionInfo);
+    this.setupChecksumsPanel(modal, file, checksumFiles);
+}
+
+// Mode, ownership and ACL of what the path points to; null for a broken link
+async loadPermissionInfo(filePath) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(filePath);
+    } catch (err) {
+        return null;
+    }
+
+    const [users, groups] = await Promise.all([
+        this.listSystemAccounts('passwd'),
+        this.listSystemAccounts('group')
+    ]);
+
+    // Only the extended entries; owner, group and others are the checkboxes
+    let acl = null;
+    try {
+        const { stdout } = await this.runCommand('getfacl', ['--omit-header', '--absolute-names', '--', filePath]);
+        acl = stdout.split('\n')
+            .map(line => line.replace(/\s*#.*$/, '').trim())
+            .filter(line => line && !/^(user|group|other)::/.test(line))
+            .join('\n');
+    } catch (err) {}
+
+    return {
+        mode: stats.mode & parseInt('7777', 8),
+        uid: stats.uid,
+        gid: stats.gid,
+        isDirectory: stats.isDirectory(),
+        users,
+        groups,
+        acl
+    };
+}
+
+// Users or groups from NSS (so LDAP accounts show up), falling back to the local files
+async listSystemAccounts(database) {
+    let text = '';
+    try {
+        ({ stdout: text } = await this.runCommand('getent', [database]));
+    } catch (err) {
+        try {
+            text = fs.readFileSync(`/etc/${database}`, 'utf8');
+        } catch (readErr) {}
+    }
+
+    return text.split('\n')
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const [name, , id] = line.split(':');
+            return { name, id: parseInt(id) };
+        })
+        .filter(account => !isNaN(account.id))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+renderPermissionsPanel(info) {
+    if (!info) {
+        return '<div class="bulk-help">The link target does not exist.</div>';
+    }
+
+    const bit = value => `<input type="checkbox" data-bit="${value}" ${info.mode & value ? 'checked' : ''}>`;
+    const rows = [['Owner', 6], ['Group', 3], ['Others', 0]].map(([label, shift]) => `
+        <tr><td>${label}</td><td>${bit(4 << shift)}</td><td>${bit(2 << shift)}</td><td>${bit(1 << shift)}</td></tr>
+    `).join('');
+
+    const accountOptions = (accounts, currentId) => {
+        const list = accounts.some(a => a.id === currentId) ? accounts : [{ name: String(currentId), id: currentId }, ...accounts];
+        return list.map(a => `<option value="${a.id}" ${a.id === currentId ? 'selected' : ''}>${this.escapeHtml(a.name)}</option>`).join('');
+    };
+
+    return `
+        <div style="font-size:13px;">
+            <table class="perm-grid">
+                <thead><tr><th></th><th>Read</th><th>Write</th><th>${info.isDirectory ? 'Enter' : 'Execute'}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <div class="perm-options">
+                <label>${bit(parseInt('4000', 8))} Set user ID</label>
+                <label>${bit(parseInt('2000', 8))} Set group ID</label>
+                <label>${bit(parseInt('1000', 8))} Sticky</label>
+            </div>
+            <div class="bulk-help" id="perm-octal"></div>
+            <div class="perm-owner">
+                <label>Owner <select class="input-field" id="perm-owner">${accountOptions(info.users, info.uid)}</select></label>
+                <label>Group <select class="input-field" id="perm-group">${accountOptions(info.groups, info.gid)}</select></label>
+            </div>
+            ${info.isDirectory ? `
+                <div class="conflict-label">Enclosed items</div>
+                <div class="perm-options">
+                    <label><input type="checkbox" id="perm-recurse-dirs"> Apply to folders</label>
+                    <label><input type="checkbox" id="perm-recurse-files"> Apply to files</label>
+                    <label><input type="checkbox" id="perm-files-keep-exec" checked> Only keep files executable that already are</label>
+                </div>
+            ` : ''}
+            <div class="conflict-label">Access control list</div>
+            ${info.acl === null
+                ? '<div class="bulk-help">ACLs are unavailable (getfacl is not installed or the filesystem does not support them).</div>'
+                : `<textarea class="input-field perm-acl" id="perm-acl" rows="4" spellcheck="false">${info.acl}</textarea>
+                   <div class="bulk-help">One entry per line, e.g. user:alice:rw- or default:group:staff:r-x. Applies to this item only.</div>`}
+            <div class="modal-actions">
+                <button class="btn btn-primary" id="perm-apply">Apply</button>
+            </div>
+        </div>
+    `;
+}
+
+setupPermissionsPanel(modal, file, info) {
+    if (!info) return;
+
+    const panel = modal.querySelector('.prop-panel[data-panel="permissions"]');
+    const boxes = Array.from(panel.querySelectorAll('input[data-bit]'));
+    const checked = id => !!panel.querySelector(`#${id}`) && panel.querySelector(`#${id}`).checked;
+    const readMode = () => boxes.reduce((mode, box) => box.checked ? mode | parseInt(box.dataset.bit) : mode, 0);
+    const updateOctal = () => {
+        panel.querySelector('#perm-octal').textContent = `Mode ${readMode().toString(8).padStart(4, '0')}`;
+    };
+
+    boxes.forEach(box => box.addEventListener('change', updateOctal));
+    updateOctal();
+
+    panel.querySelector('#perm-apply').addEventListener('click', () => {
+        const mode = readMode();
+        const modeText = mode.toString(8).padStart(4, '0');
+        const uid = parseInt(panel.querySelector('#perm-owner').value);
+        const gid = parseInt(panel.querySelector('#perm-group').value);
+        const ownership = `${uid}:${gid}`;
+        const ownerChanged = uid !== info.uid || gid !== info.gid;
+        const acl = info.acl === null ? null : panel.querySelector('#perm-acl').value.trim();
+
+        const enclosed = (type, ...command) => ['find', [file.path, '-mindepth', '1', '-type', type, '-exec', ...command, '{}', '+']];
+        const commands = [];
+        if (ownerChanged) commands.push(['chown', [ownership, '--', file.path]]);
+        if (mode !== info.mode) commands.push(['chmod', [modeText, '--', file.path]]);
+        if (checked('perm-recurse-dirs')) {
+            if (ownerChanged) commands.push(enclosed('d', 'chown', ownership));
+            commands.push(enclosed('d', 'chmod', modeText));
+        }
+        if (checked('perm-recurse-files')) {
+            if (ownerChanged) commands.push(enclosed('f', 'chown', ownership));
+            commands.push(enclosed('f', 'chmod', this.fileModeSymbolic(mode, checked('perm-files-keep-exec'))));
+        }
+        if (acl !== null && acl !== info.acl) {
+            // Validate before clearing so a typo cannot leave the item without its ACL
+            if (acl) commands.push(['setfacl', ['--test', '-M', '-', '--', file.path], { input: acl + '\n' }]);
+            commands.push(['setfacl', [info.isDirectory ? '-bk' : '-b', '--', file.path]]);
+            if (acl) commands.push(['setfacl', ['-M', '-', '--', file.path], { input: acl + '\n' }]);
+        }
+
+        modal.remove();
+        if (commands.length === 0) return;
+
+        this.enqueueJob('chmod', `Changing permissions of ${file.name}`, async (job) => {
+            for (const [command, args, options] of commands) {
+                await this.jobCheckpoint(job);
+                job.currentFile = file.path;
+                await this.runPrivilegedJobCommand(job, command, args, options);
+            }
+        });
+    });
+}
+
+// Mode for enclosed files as chmod symbols. Special bits are left out, and with
+// keepExec `X` only grants execute to files that were executable already.
+fileModeSymbolic(mode, keepExec) {
+    return [['u', 6], ['g', 3], ['o', 0]].map(([who, shift]) => {
+        const bits = (mode >> shift) & 7;
+        return `${who}=${bits & 4 ? 'r' : ''}${bits & 2 ? 'w' : ''}${bits & 1 ? (keepExec ? 'X' : 'x') : ''}`;
+    }).join(',');
+}
+
+// Runs a job command and, when it is refused for lack of rights, offers to repeat it through pkexec
+async runPrivilegedJobCommand(job, command, args, options = {}) {
+    try {
+        await this.runJobCommand(job, command, args, options);
+    } catch (err) {
+        if (err.code !== 'ECOMMAND' || !/Operation not permitted|Permission denied/.test(err.message)) throw err;
+        const reason = err.message.split('\n')[0];
+        if (!confirm(`${reason}\n\nThis change needs administrator rights. Retry with your password?`)) throw err;
+        await this.runJobCommand(job, 'pkexec', [command, ...args], options);
+    }
 }
 
-// ADDITIONAL ACTIONS
-createNew(type) {
-    this.showModal(
-        type === 'file' ? 'New File' : 'New Folder',
-        `<input type="text" class="input-field" id="new-name" placeholder="Enter name...">`,
-        () => {
-            const name = document.getElementById('new-name').value.trim();
-            if (!name) return;
+// CHECKSUMS
+// Sibling files we look for next to a file: name.sha256, name.sha256sum and SHA256SUMS style
+findChecksumFiles(filePath) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath);
+    const found = [];
 
-            const tab = this.getActiveTab();
-            const pane = tab.panes[tab.activePaneIndex];
-            const newPath = path.join(pane.path, name);
-            
+    for (const algorithm of CHECKSUM_ALGORITHMS) {
+        for (const name of [`${base}.${algorithm.id}`, `${base}.${algorithm.id}sum`, `${algorithm.id.toUpperCase()}SUMS`]) {
+            const sumsPath = path.join(dir, name);
             try {
-                if (type === 'file') {
-                    fs.writeFileSync(newPath, '');
-                } else {
-                    fs.mkdirSync(newPath);
-                }
-                this.refresh();
-            } catch (err) {
-                alert('Failed to create: ' + err.message);
-            }
+                const entries = this.parseChecksumFile(fs.readFileSync(sumsPath, 'utf8'), algorithm);
+                if (entries.length > 0) found.push({ path: sumsPath, algorithm, entries });
+            } catch (err) {}
         }
-    );
+    }
+    return found;
 }
 
-openTerminal() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    const terminals = ['gnome-terminal', 'konsole', 'xfce4-terminal', 'xterm'];
-    
-    for (const term of terminals) {
-        try {
-            exec(`which ${term}`, (err) => {
-                if (!err) {
-                    exec(`${term} --working-directory="${pane.path}"`);
-                    return;
-                }
-            });
-        } catch (err) {
-            continue;
+// Understands coreutils (`hash  name`, `hash *name`), BSD (`SHA256 (name) = hash`)
+// and bare-hash files, whose single entry has no name and means the sibling file.
+parseChecksumFile(text, algorithm) {
+    const entries = [];
+    for (const line of text.split(/\r?\n/)) {
+        let match = line.match(/^\\?([0-9a-fA-F]+) [ *](.+)$/);
+        let entry = match ? { hash: match[1], name: match[2] } : null;
+
+        if (!entry) {
+            match = line.match(/^\\?\w+ ?\((.+)\) ?= ?([0-9a-fA-F]+)$/);
+            if (match) entry = { hash: match[2], name: match[1] };
+        }
+        // coreutils marks a line with a leading \ when it escaped \, line feed
+        // or carriage return in the name
+        if (entry && entry.name && line.startsWith('\\')) {
+            entry.name = entry.name.replace(/\\([\\nr])/g, (m, c) => ({ '\\': '\\', n: '\n', r: '\r' })[c]);
+        }
+        if (!entry) {
+            match = line.trim().match(/^[0-9a-fA-F]+$/);
+            if (match) entry = { hash: match[0], name: null };
         }
-    }
-}
 
-openAsRoot(file) {
-    const confirmed = confirm('Open as root? This requires your password.');
-    if (!confirmed) return;
-    exec(`pkexec xdg-open "${file.path}"`);
+        if (entry && entry.hash.length === algorithm.length) {
+            entry.hash = entry.hash.toLowerCase();
+            entries.push(entry);
+        }
+    }
+    return entries;
 }
 
-openWith(file) {
-    this.showModal(
-        'Open With',
-        `<input type="text" class="input-field" id="app-command" placeholder="Enter application command (e.g., gedit, vlc)">
-         <label style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
-            <input type="checkbox" id="set-default">
-            <span style="font-size: 13px;">Set as default for ${path.extname(file.name)} files</span>
-         </label>`,
-        () => {
-            const command = document.getElementById('app-command').value.trim();
-            const setDefault = document.getElementById('set-default').checked;
-            
-            if (!command) return;
-
-            exec(`${command} "${file.path}"`, (err) => {
-                if (err) alert('Failed to open file: ' + err.message);
-            });
+// One read feeding several hashes, checked for `control.cancelled` between chunks
+async hashFileAll(filePath, algorithmIds, control = {}) {
+    const hashes = algorithmIds.map(id => crypto.createHash(id));
+    let bytesRead = 0;
 
-            if (setDefault) {
-                const ext = path.extname(file.name);
-                this.defaultApps[ext] = command;
-                this.saveDefaultApps();
-            }
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+        if (control.cancelled) {
+            const err = new Error('Operation cancelled');
+            err.code = 'ECANCELED';
+            throw err;
         }
-    );
+        hashes.forEach(hash => hash.update(chunk));
+        bytesRead += chunk.length;
+        if (control.onProgress) control.onProgress(bytesRead);
+    }
+
+    return Object.fromEntries(algorithmIds.map((id, i) => [id, hashes[i].digest('hex')]));
 }
 
-async compressFiles() {
-    const tab = this.getActiveTab();
-    const pane = tab.panes[tab.activePaneIndex];
-    if (pane.selectedFiles.size === 0) return;
+renderChecksumsPanel(checksumFiles) {
+    const sumsHtml = checksumFiles.map((sums, i) => `
+        <div class="checksum-file">
+            <div class="checksum-file-header">
+                <span>${this.escapeHtml(path.basename(sums.path))} · ${sums.algorithm.label} · ${sums.entries.length} entr${sums.entries.length === 1 ? 'y' : 'ies'}</span>
+                <button class="btn" data-verify="${i}">Verify All</button>
+            </div>
+            <div class="checksum-results" data-results="${i}"></div>
+        </div>
+    `).join('');
+
+    return `
+        <div style="font-size:13px;">
+            <table class="checksum-table">
+                ${CHECKSUM_ALGORITHMS.map(a => `
+                    <tr data-algorithm="${a.id}"><td>${a.label}</td><td class="checksum-value">—</td></tr>
+                `).join('')}
+            </table>
+            <div class="job-progress"><div class="job-progress-bar" id="checksum-progress" style="width: 0%"></div></div>
+            <div class="bulk-help" id="checksum-status"></div>
+            <input type="text" class="input-field" id="checksum-expected" placeholder="Paste an expected checksum to compare" spellcheck="false">
+            <div class="modal-actions">
+                <button class="btn" id="checksum-cancel" disabled>Cancel</button>
+                <button class="btn btn-primary" id="checksum-compute">Compute</button>
+            </div>
+            ${checksumFiles.length > 0 ? `<div class="conflict-label">Checksum files</div>${sumsHtml}` : ''}
+        </div>
+    `;
+}
 
-    this.showModal(
-        'Compress Files',
-        `<input type="text" class="input-field" id="archive-name" placeholder="archive" value="archive">
-         <select class="input-field" id="archive-format">
-            <option value="tar.gz">tar.gz</option>
-            <option value="zip">zip</option>
-            <option value="tar">tar</option>
-         </select>`,
-        async () => {
-            const name = document.getElementById('archive-name').value.trim() || 'archive';
-            const format = document.getElementById('archive-format').value;
-            const archivePath = path.join(pane.path, `${name}.${format}`);
+setupChecksumsPanel(modal, file, checksumFiles) {
+    const panel = modal.querySelector('.prop-panel[data-panel="checksums"]');
+    if (!panel) return;
+
+    const progressBar = panel.querySelector('#checksum-progress');
+    const status = panel.querySelector('#checksum-status');
+    const expectedInput = panel.querySelector('#checksum-expected');
+    const buttons = Array.from(panel.querySelectorAll('#checksum-compute, [data-verify]'));
+    const cancelButton = panel.querySelector('#checksum-cancel');
+    const computed = {};
+    let active = null;
+
+    // Closing the dialog by any route stops the read as well
+    const run = async (task) => {
+        if (active) return;
+        const control = { stopped: false, get cancelled() { return this.stopped || !modal.isConnected; } };
+        active = control;
+        buttons.forEach(btn => { btn.disabled = true; });
+        cancelButton.disabled = false;
+        try {
+            await task(control);
+        } catch (err) {
+            status.textContent = err.code === 'ECANCELED' ? 'Cancelled' : `Failed: ${err.message}`;
+        } finally {
+            active = null;
+            buttons.forEach(btn => { btn.disabled = false; });
+            cancelButton.disabled = true;
+        }
+    };
 
-            const files = Array.from(pane.selectedFiles).map(f => `"${path.basename(f)}"`).join(' ');
+    const showProgress = (done, total) => {
+        progressBar.style.width = `${total > 0 ? Math.min(100, (done / total) * 100) : 100}%`;
+    };
 
-            try {
-                let cmd;
-                if (format === 'tar.gz') {
-                    cmd = `cd "${pane.path}" && tar -czf "${archivePath}" ${files}`;
-                } else if (format === 'zip') {
-                    cmd = `cd "${pane.path}" && zip -r "${archivePath}" ${files}`;
-                } else if (format === 'tar') {
-                    cmd = `cd "${pane.path}" && tar -cf "${archivePath}" ${files}`;
-                }
+    const compare = () => {
+        const expected = expectedInput.value.trim().toLowerCase();
+        panel.querySelectorAll('.checksum-table tr').forEach(row => row.classList.remove('match', 'mismatch'));
+        expectedInput.classList.remove('match', 'mismatch');
+        if (!expected) return;
 
-                await execPromise(cmd);
-                alert('Files compressed successfully!');
-                this.refresh();
-            } catch (err) {
-                alert('Failed to compress: ' + err.message);
-            }
+        const algorithm = CHECKSUM_ALGORITHMS.find(a => a.length === expected.length);
+        if (!algorithm) {
+            status.textContent = 'Not an MD5, SHA-1, SHA-256 or SHA-512 checksum';
+            return;
+        }
+        if (!computed[algorithm.id]) {
+            status.textContent = `Compute to compare against ${algorithm.label}`;
+            return;
         }
-    );
-}
 
-async extractArchive(paneIndex, extractHere) {
-    const archiveNotice = document.getElementById(`archive-notice-${paneIndex}`);
-    const archivePath = archiveNotice.dataset.archive;
-    
-    if (!archivePath) return;
+        const matches = computed[algorithm.id] === expected;
+        const result = matches ? 'match' : 'mismatch';
+        panel.querySelector(`tr[data-algorithm="${algorithm.id}"]`).classList.add(result);
+        expectedInput.classList.add(result);
+        status.textContent = `${algorithm.label} ${matches ? 'matches' : 'does NOT match'}`;
+    };
 
-    let targetPath;
-    if (extractHere) {
-        const archiveName = path.basename(archivePath, path.extname(archivePath));
-        targetPath = path.join(path.dirname(archivePath), archiveName);
-        
-        if (!fs.existsSync(targetPath)) {
-            fs.mkdirSync(targetPath, { recursive: true });
+    // A checksum file that lists this file fills in the expected value
+    for (const sums of checksumFiles) {
+        const own = sums.entries.find(entry =>
+            entry.name === null || path.resolve(path.dirname(sums.path), entry.name) === path.resolve(file.path));
+        if (own) {
+            expectedInput.value = own.hash;
+            status.textContent = `Expected ${sums.algorithm.label} taken from ${path.basename(sums.path)}`;
+            break;
         }
-    } else {
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.setAttribute('nwdirectory', '');
-        input.setAttribute('nwdirectorydesc', 'Select extraction directory');
-        
-        input.onchange = async () => {
-            targetPath = input.value;
-            await this.performExtraction(archivePath, targetPath);
-        };
-        
-        input.click();
-        return;
     }
 
-    await this.performExtraction(archivePath, targetPath);
-}
+    expectedInput.addEventListener('input', compare);
+    cancelButton.addEventListener('click', () => {
+        if (active) active.stopped = true;
+    });
 
-async performExtraction(archivePath, targetPath) {
-    try {
-        let cmd;
-        if (archivePath.endsWith('.zip')) {
-            cmd = `unzip -o "${archivePath}" -d "${targetPath}"`;
-        } else if (archivePath.endsWith('.tar.gz') || archivePath.endsWith('.tgz')) {
-            cmd = `tar -xzf "${archivePath}" -C "${targetPath}"`;
-        } else if (archivePath.endsWith('.tar')) {
-            cmd = `tar -xf "${archivePath}" -C "${targetPath}"`;
-        } else if (archivePath.endsWith('.rar')) {
-            cmd = `unrar x "${archivePath}" "${targetPath}"`;
+    panel.querySelector('#checksum-compute').addEventListener('click', () => run(async (control) => {
+        const size = fs.statSync(file.path).size;
+        status.textContent = 'Computing…';
+        control.onProgress = (bytesRead) => showProgress(bytesRead, size);
+        const results = await this.hashFileAll(file.path, CHECKSUM_ALGORITHMS.map(a => a.id), control);
+
+        for (const algorithm of CHECKSUM_ALGORITHMS) {
+            computed[algorithm.id] = results[algorithm.id];
+            panel.querySelector(`tr[data-algorithm="${algorithm.id}"] .checksum-value`).textContent = results[algorithm.id];
         }
+        status.textContent = 'Done';
+        compare();
+    }));
 
-        await execPromise(cmd);
-        alert('Archive extracted successfully!');
-        this.refresh();
-    } catch (err) {
-        alert('Failed to extract archive: ' + err.message);
-    }
-}
+    panel.querySelectorAll('[data-verify]').forEach(button => {
+        const sums = checksumFiles[parseInt(button.dataset.verify)];
+        const resultsEl = panel.querySelector(`[data-results="${button.dataset.verify}"]`);
 
-async showProperties(file) {
-    try {
-        const stats = fs.lstatSync(file.path);
-        const type = file.isDirectory ? 'Directory' : 'File';
-        const size = this.formatSize(stats.size);
-        const modified = stats.mtime.toLocaleString();
-        const created = stats.birthtime.toLocaleString();
-        const permissions = (stats.mode & parseInt('777', 8)).toString(8);
-        
-        let owner = 'Unknown';
-        let group = 'Unknown';
-        
-        try {
-            const { stdout } = await execPromise(`stat -c '%U:%G' "${file.path}"`);
-            [owner, group] = stdout.trim().split(':');
-        } catch (err) {}
+        button.addEventListener('click', () => run(async (control) => {
+            const dir = path.dirname(sums.path);
+            const counts = { ok: 0, failed: 0, missing: 0 };
+            resultsEl.innerHTML = '';
 
-        this.showModal(
-            'Properties',
-            `<div style="font-size:13px;line-height:1.8;">
-                <strong>Name:</strong> ${file.name}<br>
-                <strong>Type:</strong> ${type}<br>
-                <strong>Size:</strong> ${size}<br>
-                <strong>Owner:</strong> ${owner}:${group}<br>
-                <strong>Permissions:</strong> ${permissions}<br>
-                <strong>Created:</strong> ${created}<br>
-                <strong>Modified:</strong> ${modified}<br>
-                <strong>Path:</strong> ${file.path}
-            </div>`,
-            null
-        );
-    } catch (err) {
-        alert('Failed to get properties: ' + err.message);
-    }
+            for (const [i, entry] of sums.entries.entries()) {
+                const target = entry.name === null ? file.path : path.resolve(dir, entry.name);
+                const label = entry.name === null ? file.name : entry.name;
+                status.textContent = `Verifying ${i + 1} of ${sums.entries.length}: ${label}`;
+
+                let result;
+                try {
+                    const size = fs.statSync(target).size;
+                    control.onProgress = (bytesRead) => showProgress(bytesRead, size);
+                    const hashes = await this.hashFileAll(target, [sums.algorithm.id], control);
+                    result = hashes[sums.algorithm.id] === entry.hash ? 'ok' : 'failed';
+                } catch (err) {
+                    if (err.code === 'ECANCELED') throw err;
+                    result = 'missing';
+                }
+                counts[result]++;
+
+                const row = document.createElement('div');
+                row.className = `checksum-result ${result}`;
+                row.textContent = `${label}: ${{ ok: 'OK', failed: 'FAILED', missing: 'cannot be read' }[result]}`;
+                resultsEl.appendChild(row);
+            }
+
+            status.textContent = `${counts.ok} OK · ${counts.failed} failed · ${counts.missing} unreadable`;
+        }));
+    });
 }
 
 async unmountDevice(deviceName, mountPath) {
@@ -1935,7 +8252,7 @@ async unmountDevice(deviceName, mountPath) {
     if (!confirmed) return;
 
     try {
-        await execPromise(`udisksctl unmount -b /dev/${deviceName}`);
+        await this.runCommand('udisksctl', ['unmount', '-b', `/dev/${deviceName}`], { timeout: 60000 });
         alert('Device unmounted successfully');
         this.loadDevices();
     } catch (err) {
@@ -1945,15 +8262,15 @@ async unmountDevice(deviceName, mountPath) {
 
 async showDeviceProperties(mountPath, deviceName) {
     try {
-        const { stdout } = await execPromise(`df -h "${mountPath}"`);
+        const { stdout } = await this.runCommand('df', ['-h', '--', mountPath]);
         const lines = stdout.trim().split('\n');
         const info = lines[1].split(/\s+/);
 
         this.showModal(
             'Device Properties',
             `<div style="font-size:13px;line-height:1.8;">
-                <strong>Device:</strong> /dev/${deviceName}<br>
-                <strong>Mount Point:</strong> ${mountPath}<br>
+                <strong>Device:</strong> /dev/${this.escapeHtml(deviceName)}<br>
+                <strong>Mount Point:</strong> ${this.escapeHtml(mountPath)}<br>
                 <strong>Total Size:</strong> ${info[1]}<br>
                 <strong>Used:</strong> ${info[2]}<br>
                 <strong>Available:</strong> ${info[3]}<br>
@@ -1979,7 +8296,7 @@ addToCustomPlaces(placePath) {
 renderCustomPlaces() {
     const container = document.getElementById('custom-places');
     container.innerHTML = this.customPlaces.map(place => 
-        `<div class="sidebar-item" data-custom-path="${place.path}">📍 ${place.name}</div>`
+        `<div class="sidebar-item" data-custom-path="${this.escapeHtml(place.path)}">📍 ${this.escapeHtml(place.name)}</div>`
     ).join('');
 
     container.querySelectorAll('.sidebar-item').forEach(item => {
@@ -2009,7 +8326,221 @@ renderCustomPlaces() {
             menu.style.top = Math.min(e.pageY, window.innerHeight - rect.height - 10) + 'px';
             this.contextMenu = menu;
         });
+
+        this.setupDropTarget(item, () => item.dataset.customPath, () => {
+            const tab = this.getActiveTab();
+            this.loadDirectory(item.dataset.customPath, tab.activePaneIndex);
+        });
+    });
+}
+
+// FOLDER TREE
+// Folders are listed by a find child process instead of fs calls: a hung
+// network mount then only costs a command that times out, and never ties
+// up the thread pool the panes load through
+renderFolderTree() {
+    const container = document.getElementById('folder-tree');
+    container.innerHTML = '';
+    container.appendChild(this.createTreeNode(os.homedir(), '🏠 Home', 0));
+    container.appendChild(this.createTreeNode('/', '💻 File System', 0));
+    container.addEventListener('keydown', (e) => this.handleTreeKey(e));
+}
+
+createTreeNode(dirPath, label, depth) {
+    const node = document.createElement('div');
+    node.className = 'tree-node';
+    node.dataset.path = dirPath;
+    node.dataset.depth = depth;
+    node.innerHTML = `
+        <div class="tree-row" style="padding-left: ${depth * 12 + 4}px">
+            <span class="tree-toggle">▸</span>
+            <span class="tree-label"></span>
+        </div>
+        <div class="tree-children"></div>
+    `;
+    // Folder names can contain markup, so the label is only ever set as text
+    node.querySelector('.tree-label').textContent = label;
+
+    const row = node.querySelector('.tree-row');
+    row.querySelector('.tree-toggle').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleTreeNode(node);
+    });
+    row.addEventListener('click', () => {
+        this.focusTreeNode(node);
+        this.loadDirectory(dirPath, this.getActiveTab().activePaneIndex);
     });
+    row.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.focusTreeNode(node);
+        this.showContextMenu(e, null, this.getTreeContextMenuItems(node));
+    });
+
+    this.setupDropTarget(row, () => dirPath, () => this.expandTreeNode(node));
+    return node;
+}
+
+toggleTreeNode(node) {
+    if (node.classList.contains('expanded')) {
+        node.classList.remove('expanded');
+    } else {
+        // Reopening a folder lists it again, so it's never stale for long
+        this.expandTreeNode(node, true);
+    }
+}
+
+async expandTreeNode(node, reload = false) {
+    if (node.classList.contains('expanded') && node.dataset.loaded && !reload) return;
+    node.classList.add('expanded', 'loading');
+    node.classList.remove('failed');
+    const load = String(++this.treeLoadCounter);
+    node.dataset.load = load;
+
+    const dirPath = node.dataset.path;
+    let names;
+    try {
+        const { stdout } = await this.runCommand('find', [
+            dirPath, '-mindepth', '1', '-maxdepth', '1',
+            // NUL-terminated, as a folder name may contain a line break
+            '(', '-xtype', 'd', '-printf', 'd %f\\0', ')', '-o', '(', '-name', '.hidden', '-printf', 'h\\0', ')'
+        ], { timeout: 15000, ignoreExitCode: true });
+        const lines = stdout.split('\0');
+        names = lines.filter(line => line.startsWith('d ')).map(line => line.slice(2));
+
+        let hiddenList = null;
+        if (lines.includes('h')) {
+            const { stdout: hidden } = await this.runCommand('cat', [path.join(dirPath, '.hidden')], { timeout: 5000, ignoreExitCode: true });
+            hiddenList = new Set(hidden.split('\n').map(line => line.trim()).filter(Boolean));
+        }
+        names = this.filterHidden(names.map(name => ({ name })), hiddenList, this.getFolderView(dirPath).showHidden)
+            .map(item => item.name)
+            .sort((a, b) => a.localeCompare(b));
+    } catch (err) {
+        if (node.dataset.load !== load) return;
+        node.classList.remove('loading', 'expanded');
+        node.classList.add('failed');
+        node.querySelector('.tree-row').title = `Couldn't list ${dirPath}: ${err.message}`;
+        return;
+    }
+    // Collapsed or reloaded again while this listing was running
+    if (node.dataset.load !== load || !node.classList.contains('expanded')) return;
+
+    const children = node.querySelector('.tree-children');
+    const existing = new Map(Array.from(children.children, child => [child.dataset.path, child]));
+    const depth = parseInt(node.dataset.depth) + 1;
+    children.replaceChildren(...names.map(name => {
+        const childPath = path.join(dirPath, name);
+        return existing.get(childPath) || this.createTreeNode(childPath, `📁 ${name}`, depth);
+    }));
+
+    node.dataset.loaded = 'true';
+    node.classList.remove('loading');
+    node.classList.toggle('empty', names.length === 0);
+    node.querySelector('.tree-row').title = '';
+}
+
+// Expands the tree down to the active pane's folder and highlights it
+async syncFolderTree() {
+    const container = document.getElementById('folder-tree');
+    const tab = this.getActiveTab();
+    const pane = tab && tab.panes[tab.activePaneIndex];
+    if (!container || !pane) return;
+
+    const sync = ++this.treeSync;
+    container.querySelectorAll('.tree-row.active').forEach(row => row.classList.remove('active'));
+    if (pane.inTrash) return;
+
+    const target = pane.currentArchive ? path.dirname(pane.archiveBasePath) : pane.path;
+    const home = os.homedir();
+    const root = target === home || target.startsWith(home + path.sep) ? home : '/';
+    let node = Array.from(container.children).find(child => child.dataset.path === root);
+
+    let current = root;
+    for (const part of path.relative(root, target).split(path.sep).filter(Boolean)) {
+        await this.expandTreeNode(node);
+        if (this.treeSync !== sync) return;
+        current = path.join(current, part);
+        const next = Array.from(node.querySelector('.tree-children').children).find(child => child.dataset.path === current);
+        // Hidden folders aren't in the tree
+        if (!next) return;
+        node = next;
+    }
+
+    const row = node.querySelector('.tree-row');
+    row.classList.add('active');
+    row.scrollIntoView({ block: 'nearest' });
+}
+
+focusTreeNode(node) {
+    const container = document.getElementById('folder-tree');
+    container.querySelectorAll('.tree-row.focused').forEach(row => row.classList.remove('focused'));
+    const row = node.querySelector('.tree-row');
+    row.classList.add('focused');
+    row.scrollIntoView({ block: 'nearest' });
+    container.focus();
+}
+
+handleTreeKey(e) {
+    const container = document.getElementById('folder-tree');
+    // Rows inside collapsed folders have no layout and are skipped
+    const rows = Array.from(container.querySelectorAll('.tree-row')).filter(row => row.offsetParent !== null);
+    const focused = container.querySelector('.tree-row.focused');
+    const index = rows.indexOf(focused);
+    const node = focused ? focused.parentElement : null;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            if (rows[index + 1]) this.focusTreeNode(rows[index + 1].parentElement);
+            break;
+        case 'ArrowUp':
+            if (index > 0) this.focusTreeNode(rows[index - 1].parentElement);
+            break;
+        case 'ArrowRight':
+            if (!node) break;
+            if (!node.classList.contains('expanded')) {
+                this.expandTreeNode(node);
+            } else if (node.querySelector('.tree-children > .tree-node')) {
+                this.focusTreeNode(node.querySelector('.tree-children > .tree-node'));
+            }
+            break;
+        case 'ArrowLeft': {
+            if (!node) break;
+            const parent = node.parentElement.closest('.tree-node');
+            if (node.classList.contains('expanded')) {
+                node.classList.remove('expanded');
+            } else if (parent) {
+                this.focusTreeNode(parent);
+            }
+            break;
+        }
+        case 'Enter':
+            if (node) this.loadDirectory(node.dataset.path, this.getActiveTab().activePaneIndex);
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+getTreeContextMenuItems(node) {
+    const dirPath = node.dataset.path;
+    return [
+        { icon: '📂', label: 'Open', action: () => this.loadDirectory(dirPath, this.getActiveTab().activePaneIndex) },
+        { icon: '🗂️', label: 'Open in New Tab', action: () => this.createTab(dirPath) },
+        { icon: '⌨️', label: 'Open Terminal Here', action: () => this.openTerminal(dirPath) },
+        { icon: '📍', label: 'Add to Places', action: () => this.addToCustomPlaces(dirPath) },
+        'separator',
+        { icon: '🔄', label: 'Refresh', action: () => this.expandTreeNode(node, true) },
+        { icon: '⚙️', label: 'Properties', action: async () => {
+            try {
+                this.showProperties(await this.createFileItem(dirPath));
+            } catch (err) {
+                alert(`Failed to read ${dirPath}: ${err.message}`);
+            }
+        }}
+    ];
 }
 
 // TEXT EDITOR
@@ -2026,7 +8557,7 @@ renderTextEditor(container, tab) {
             <div class="text-editor-toolbar">
                 <button class="btn" onclick="fileManager.saveTextFile()">💾 Save</button>
                 <button class="btn" onclick="fileManager.closeTextEditor()">✖ Close</button>
-                <span style="margin-left: auto; font-size: 13px;">${tab.editingFile.name}</span>
+                <span style="margin-left: auto; font-size: 13px;">${this.escapeHtml(tab.editingFile.name)}</span>
             </div>
             <textarea class="text-editor-content" id="text-editor-content"></textarea>
         </div>
@@ -2130,6 +8661,87 @@ saveCustomPlaces() {
     }
 }
 
+loadFolderViews() {
+    try {
+        const viewsPath = path.join(os.homedir(), '.filemanager-views.json');
+        if (fs.existsSync(viewsPath)) {
+            this.folderViews = JSON.parse(fs.readFileSync(viewsPath, 'utf8'));
+        }
+    } catch (err) {
+        console.error('Failed to load folder views:', err);
+    }
+}
+
+saveFolderViews() {
+    try {
+        const viewsPath = path.join(os.homedir(), '.filemanager-views.json');
+        fs.writeFileSync(viewsPath, JSON.stringify(this.folderViews, null, 2));
+    } catch (err) {
+        console.error('Failed to save folder views:', err);
+    }
+}
+
+loadJournal() {
+    try {
+        const journalPath = path.join(os.homedir(), '.filemanager-journal.json');
+        if (fs.existsSync(journalPath)) {
+            this.journal = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+        }
+    } catch (err) {
+        console.error('Failed to load undo journal:', err);
+    }
+}
+
+saveJournal() {
+    try {
+        const journalPath = path.join(os.homedir(), '.filemanager-journal.json');
+        fs.writeFileSync(journalPath, JSON.stringify(this.journal, null, 2));
+    } catch (err) {
+        console.error('Failed to save undo journal:', err);
+    }
+}
+
+loadSettings() {
+    try {
+        const settingsPath = path.join(os.homedir(), '.filemanager-settings.json');
+        if (fs.existsSync(settingsPath)) {
+            Object.assign(this.settings, JSON.parse(fs.readFileSync(settingsPath, 'utf8')));
+        }
+    } catch (err) {
+        console.error('Failed to load settings:', err);
+    }
+}
+
+saveSettings() {
+    try {
+        const settingsPath = path.join(os.homedir(), '.filemanager-settings.json');
+        fs.writeFileSync(settingsPath, JSON.stringify(this.settings, null, 2));
+    } catch (err) {
+        console.error('Failed to save settings:', err);
+    }
+}
+
+showPreferences() {
+    const option = (value, label, current) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`;
+
+    this.showModal(
+        'Preferences',
+        `<div style="font-size:13px;">
+            <label for="pref-move-verification">Verify moves between drives</label>
+            <select class="input-field" id="pref-move-verification" style="margin-top:4px;">
+                ${option('none', 'Don\'t verify', this.settings.moveVerification)}
+                ${option('size', 'Compare file sizes', this.settings.moveVerification)}
+                ${option('checksum', 'Compare SHA-256 checksums (slower)', this.settings.moveVerification)}
+            </select>
+         </div>`,
+        () => {
+            this.settings.moveVerification = document.getElementById('pref-move-verification').value;
+            this.saveSettings();
+        }
+    );
+}
+
 showModal(title, bodyHtml, onConfirm) {
     const modal = document.createElement('div');
     modal.className = 'modal';
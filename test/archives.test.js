@@ -0,0 +1,156 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { execFileSync } = require('child_process');
+const { createFileManager } = require('./helpers');
+
+// Entry names as listed, with their sizes; the symlink named like a link line
+// points at the file named like one
+const FILES = { 'two words.txt': 'two words', 'a -> b.txt': 'arrow', 'sub dir/nested file.txt': 'nested' };
+const LINKS = { 'odd -> name': 'a -> b.txt', 'plain link': 'two words.txt' };
+
+let root;
+let srcDir;
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'elve-test-'));
+    srcDir = path.join(root, 'src');
+    fs.mkdirSync(path.join(srcDir, 'sub dir'), { recursive: true });
+    for (const [name, content] of Object.entries(FILES)) fs.writeFileSync(path.join(srcDir, name), content);
+    for (const [name, target] of Object.entries(LINKS)) fs.symlinkSync(target, path.join(srcDir, name));
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('archive listings', () => {
+    const members = ['sub dir', 'two words.txt', 'a -> b.txt', 'odd -> name', 'plain link'];
+    const archivers = {
+        'zip': archive => execFileSync('zip', ['-qry', archive, '--', ...members], { cwd: srcDir }),
+        'tar': archive => execFileSync('tar', ['-cf', archive, '-C', srcDir, '--', ...members]),
+        'tar.gz': archive => execFileSync('tar', ['-czf', archive, '-C', srcDir, '--', ...members])
+    };
+
+    for (const [format, create] of Object.entries(archivers)) {
+        test(`${format} entries keep spaces and arrows in their names`, async () => {
+            const { fm } = createFileManager(root);
+            const archive = path.join(root, `listed.${format}`);
+            create(archive);
+
+            const { entries, sizes } = await fm.listArchiveContents(archive);
+            assert.deepStrictEqual([...entries].sort(),
+                ['a -> b.txt', 'odd -> name', 'plain link', 'sub dir/', 'sub dir/nested file.txt', 'two words.txt']);
+            for (const [name, content] of Object.entries(FILES)) {
+                assert.strictEqual(sizes.get(name), content.length, name);
+            }
+        });
+    }
+
+    test('tar names with line breaks, quotes and non-ASCII characters', async () => {
+        const { fm } = createFileManager(root);
+        const name = 'line\nbreak "quoted" \\ café.txt';
+        fs.writeFileSync(path.join(srcDir, name), 'odd');
+        const archive = path.join(root, 'odd.tar');
+        execFileSync('tar', ['-cf', archive, '-C', srcDir, '--', name], { env: { ...process.env, LC_ALL: 'C' } });
+
+        const { entries, sizes } = await fm.listArchiveContents(archive);
+        assert.deepStrictEqual(entries, [name]);
+        assert.strictEqual(sizes.get(name), 3);
+    });
+});
+
+// ID3v2 frames and FLAC metadata blocks, just as much as the readers look at
+
+function syncsafe(size) {
+    return Buffer.from([size >> 21 & 0x7F, size >> 14 & 0x7F, size >> 7 & 0x7F, size & 0x7F]);
+}
+
+function id3Tag(version, frames) {
+    const body = Buffer.concat(frames.map(([id, data]) => {
+        const size = Buffer.alloc(4);
+        if (version === 4) syncsafe(data.length).copy(size);
+        else size.writeUInt32BE(data.length);
+        return Buffer.concat([Buffer.from(id, 'latin1'), size, Buffer.alloc(2), data]);
+    }));
+    const padded = Buffer.concat([body, Buffer.alloc(64)]);
+    return Buffer.concat([Buffer.from([0x49, 0x44, 0x33, version, 0, 0]), syncsafe(padded.length), padded]);
+}
+
+function apicFrame(pictureType, picture, { utf16 = false } = {}) {
+    const description = utf16
+        ? Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Cover', 'utf16le'), Buffer.alloc(2)])
+        : Buffer.from('Cover\0', 'latin1');
+    return ['APIC', Buffer.concat([Buffer.from([utf16 ? 1 : 0]), Buffer.from('image/png\0', 'latin1'),
+        Buffer.from([pictureType]), description, picture])];
+}
+
+function flacBlock(type, data, isLast = false) {
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(data.length);
+    header[0] = (isLast ? 0x80 : 0) | type;
+    return Buffer.concat([header, data]);
+}
+
+function flacPicture(pictureType, picture) {
+    const number = value => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32BE(value);
+        return buffer;
+    };
+    const mimeType = Buffer.from('image/png');
+    const description = Buffer.from('Cover');
+    return Buffer.concat([number(pictureType), number(mimeType.length), mimeType, number(description.length), description,
+        number(1), number(1), number(24), number(0), number(picture.length), picture]);
+}
+
+const AUDIO = Buffer.from([0xFF, 0xFB, 0x90, 0x00, ...Buffer.alloc(60)]);
+const FRONT = Buffer.from('front cover bytes');
+const BACK = Buffer.from('back cover bytes');
+
+describe('cover art', () => {
+    async function cover(name, data) {
+        const { fm } = createFileManager(root);
+        const filePath = path.join(root, name);
+        fs.writeFileSync(filePath, data);
+        return fm.readCoverArt(filePath);
+    }
+
+    test('the front cover of an ID3v2.3 MP3', async () => {
+        const tag = id3Tag(3, [
+            ['TIT2', Buffer.from('\0Title', 'latin1')],
+            apicFrame(4, BACK),
+            apicFrame(3, FRONT, { utf16: true })
+        ]);
+        assert.deepStrictEqual(await cover('song.mp3', Buffer.concat([tag, AUDIO])), FRONT);
+    });
+
+    test('any picture of an ID3v2.4 MP3 without a front cover', async () => {
+        const tag = id3Tag(4, [apicFrame(4, BACK), ['TIT2', Buffer.from('\0Title', 'latin1')]]);
+        assert.deepStrictEqual(await cover('song.mp3', Buffer.concat([tag, AUDIO])), BACK);
+    });
+
+    test('an MP3 without pictures has no cover', async () => {
+        const tag = id3Tag(3, [['TIT2', Buffer.from('\0Title', 'latin1')]]);
+        assert.strictEqual(await cover('song.mp3', Buffer.concat([tag, AUDIO])), null);
+        assert.strictEqual(await cover('bare.mp3', AUDIO), null);
+    });
+
+    test('the front cover of a FLAC file', async () => {
+        const flac = Buffer.concat([
+            Buffer.from('fLaC'),
+            flacBlock(0, Buffer.alloc(34)),
+            flacBlock(6, flacPicture(4, BACK)),
+            flacBlock(6, flacPicture(3, FRONT), true),
+            AUDIO
+        ]);
+        assert.deepStrictEqual(await cover('song.flac', flac), FRONT);
+    });
+
+    test('a FLAC file without pictures has no cover', async () => {
+        const flac = Buffer.concat([Buffer.from('fLaC'), flacBlock(0, Buffer.alloc(34), true), AUDIO]);
+        assert.strictEqual(await cover('song.flac', flac), null);
+    });
+});
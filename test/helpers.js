@@ -0,0 +1,57 @@
+// Shared by the test files. filemanager.js is a browser script that creates
+// the app when it loads; the class is taken without that last line, and
+// instances are made without a window behind them.
+const fs = require('fs');
+const path = require('path');
+
+function loadFileManager() {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'filemanager.js'), 'utf8')
+        .replace(/const fileManager = new FileManager\(\);\s*$/, 'module.exports = FileManager;');
+    const module = { exports: {} };
+    new Function('require', 'module', source)(require, module);
+    return module.exports;
+}
+
+const FileManager = loadFileManager();
+
+// An instance with just enough state for jobs to run in one pane showing
+// `panePath`; the rendering and saving are left out
+function createFileManager(panePath) {
+    const fm = Object.create(FileManager.prototype);
+    const pane = { path: panePath, selectedFiles: new Set(), inTrash: false, currentArchive: null, view: { showHidden: false } };
+    Object.assign(fm, {
+        tabs: [{ id: 1, activePaneIndex: 0, panes: [pane] }],
+        activeTabId: 1,
+        jobs: [],
+        jobIdCounter: 1,
+        runningJob: null,
+        paneLoadTokens: {},
+        loadCounter: 0,
+        defaultApps: {},
+        searchAbort: null,
+        journal: { undo: [], redo: [] }
+    });
+    fm.renderJobsPanel = () => {};
+    fm.updateJobProgress = () => {};
+    fm.refresh = () => {};
+    fm.recordOperation = () => {};
+    fm.saveJournal = () => {};
+    fm.unwatchPane = () => {};
+    // Dialogs are confirmed straight away
+    fm.showModal = (title, body, onConfirm) => onConfirm();
+    return { fm, pane };
+}
+
+// Every job the app queues, in order, so they can be awaited
+function captureJobs(fm) {
+    const jobs = [];
+    const enqueue = fm.enqueueJob;
+    fm.enqueueJob = (...args) => {
+        const job = enqueue.apply(fm, args);
+        jobs.push(job);
+        return job;
+    };
+    return jobs;
+}
+
+module.exports = { FileManager, createFileManager, captureJobs };
@@ -0,0 +1,193 @@
+// File names may hold any byte but / and NUL. These run the file operations
+// that hand names to other programs on names a shell or an option parser would
+// misread, and check the files come through intact and nothing was executed.
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createFileManager, captureJobs } = require('./helpers');
+
+const HOSTILE_NAMES = [
+    'say "hi".txt',
+    '$(touch pwned).txt',
+    '`touch pwned`.txt',
+    '-rf',
+    '--checkpoint-action=exec=touch pwned',
+    'line\nbreak.txt',
+    "it's; touch pwned &.txt",
+    'glob *?[x].txt'
+];
+
+let root;
+let srcDir;
+let alerts;
+
+async function finished(job) {
+    await job.done;
+    assert.strictEqual(job.status, 'done', job.errors.join('\n'));
+    assert.deepStrictEqual(job.errors, []);
+}
+
+// Polls, as detached programs don't keep the test running on their own
+async function waitFor(check, timeout = 5000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+function assertNothingRan() {
+    const found = [];
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (entry.name === 'pwned') found.push(path.join(dir, entry.name));
+            if (entry.isDirectory()) walk(path.join(dir, entry.name));
+        }
+    };
+    walk(root);
+    assert.deepStrictEqual(found, []);
+    assert.ok(!fs.existsSync(path.join(process.cwd(), 'pwned')));
+    assert.deepStrictEqual(alerts, []);
+}
+
+// Each file holds its own name, so a mix-up between two of them shows
+function assertHolds(dir, names = HOSTILE_NAMES) {
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [...names].sort());
+    for (const name of names) {
+        assert.strictEqual(fs.readFileSync(path.join(dir, name), 'utf8'), name);
+    }
+}
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'elve-test-'));
+    srcDir = path.join(root, 'src');
+    fs.mkdirSync(srcDir);
+    for (const name of HOSTILE_NAMES) {
+        fs.writeFileSync(path.join(srcDir, name), name);
+    }
+    alerts = [];
+    global.alert = message => alerts.push(message);
+    global.confirm = () => false;
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    delete global.document;
+});
+
+describe('hostile file names', () => {
+    test('copy and move', async () => {
+        const { fm } = createFileManager(srcDir);
+        const copyDir = path.join(root, 'copy');
+        const moveDir = path.join(root, 'move');
+        fs.mkdirSync(copyDir);
+        fs.mkdirSync(moveDir);
+        const sources = HOSTILE_NAMES.map(name => path.join(srcDir, name));
+
+        await finished(fm.transferFiles(sources, copyDir, 'copy'));
+        assertHolds(copyDir);
+        assertHolds(srcDir);
+
+        await finished(fm.transferFiles(sources, moveDir, 'move'));
+        assertHolds(moveDir);
+        assertHolds(srcDir, []);
+        assertNothingRan();
+    });
+
+    test('move to trash', async () => {
+        const { fm, pane } = createFileManager(srcDir);
+        const jobs = captureJobs(fm);
+        process.env.XDG_DATA_HOME = path.join(root, 'data');
+        HOSTILE_NAMES.forEach(name => pane.selectedFiles.add(path.join(srcDir, name)));
+
+        await fm.deleteFiles();
+        await finished(jobs[0]);
+        assertHolds(srcDir, []);
+
+        const trashDir = path.join(root, 'data', 'Trash');
+        assertHolds(path.join(trashDir, 'files'));
+        for (const name of HOSTILE_NAMES) {
+            const info = fs.readFileSync(path.join(trashDir, 'info', `${name}.trashinfo`), 'utf8');
+            const original = info.match(/^Path=(.*)$/m)[1].split('/').map(decodeURIComponent).join('/');
+            assert.strictEqual(original, path.join(srcDir, name));
+        }
+        assertNothingRan();
+    });
+
+    test('delete permanently', async () => {
+        const { fm, pane } = createFileManager(srcDir);
+        const jobs = captureJobs(fm);
+        global.document = { getElementById: () => ({ checked: true }) };
+        HOSTILE_NAMES.forEach(name => pane.selectedFiles.add(path.join(srcDir, name)));
+
+        await fm.deleteFiles(true);
+        await finished(jobs[0]);
+        assertHolds(srcDir, []);
+        assertNothingRan();
+    });
+
+    test('search', async () => {
+        const { fm, pane } = createFileManager(srcDir);
+        pane.path = root;
+        global.document = { getElementById: () => ({ style: {}, innerHTML: '' }) };
+
+        // find reports one path per line, so a name with a line break can't be found
+        for (const name of HOSTILE_NAMES.filter(name => !name.includes('\n'))) {
+            const rendered = new Promise(resolve => { fm.renderFiles = resolve; });
+            await fm.search(name);
+            const results = await rendered;
+            assert.deepStrictEqual(results.map(item => item.path), [path.join(srcDir, name)], `searching for ${name}`);
+        }
+        assertNothingRan();
+    });
+
+    for (const format of ['tar.gz', 'zip', 'tar']) {
+        test(`compress to ${format} and extract`, async () => {
+            const { fm, pane } = createFileManager(srcDir);
+            const jobs = captureJobs(fm);
+            const archiveName = '--checkpoint-action=exec=touch pwned $(touch pwned)';
+            const fields = { 'archive-name': { value: archiveName }, 'archive-format': { value: format } };
+            global.document = { getElementById: id => fields[id] };
+            HOSTILE_NAMES.forEach(name => pane.selectedFiles.add(path.join(srcDir, name)));
+
+            await fm.compressFiles();
+            await finished(jobs[0]);
+            const archivePath = path.join(srcDir, `${archiveName}.${format}`);
+            assert.ok(fs.existsSync(archivePath));
+
+            const targetDir = path.join(root, 'extracted');
+            fs.mkdirSync(targetDir);
+            await finished(fm.performExtraction(archivePath, targetDir));
+            assertHolds(targetDir);
+            assertNothingRan();
+        });
+    }
+
+    test('open with a default application', async () => {
+        const { fm } = createFileManager(srcDir);
+        fm.detectMimeType = async () => 'application/x-hostile';
+
+        for (const name of HOSTILE_NAMES) {
+            const copy = path.join(root, 'opened');
+            fm.defaultApps = { 'application/x-hostile': `cp -- %f "${copy}"` };
+            await fm.openFile(await fm.createFileItem(path.join(srcDir, name)), 0);
+            await waitFor(() => fs.existsSync(copy) && fs.readFileSync(copy, 'utf8') === name);
+            fs.unlinkSync(copy);
+        }
+        assertNothingRan();
+    });
+
+    test('open with xdg-open', async () => {
+        const { fm } = createFileManager(srcDir);
+        fm.detectMimeType = async () => 'application/x-hostile';
+        const launched = [];
+        fm.launchDetached = (command, args) => launched.push([command, ...args]);
+
+        for (const name of HOSTILE_NAMES) {
+            await fm.openFile(await fm.createFileItem(path.join(srcDir, name)), 0);
+        }
+        assert.deepStrictEqual(launched, HOSTILE_NAMES.map(name => ['xdg-open', path.join(srcDir, name)]));
+    });
+});
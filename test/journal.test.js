@@ -0,0 +1,79 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createFileManager, captureJobs } = require('./helpers');
+
+let root;
+let alerts;
+
+// Two files moved from a/ to b/, recorded the way transferFiles() records them
+function recordMove(fm) {
+    fs.mkdirSync(path.join(root, 'a'));
+    fs.mkdirSync(path.join(root, 'b'));
+    const items = ['one', 'two'].map(name => {
+        fs.writeFileSync(path.join(root, 'b', name), name);
+        return { from: path.join(root, 'a', name), to: path.join(root, 'b', name) };
+    });
+    const entry = { type: 'move', label: 'Move 2 items to b', items };
+    fm.journal.undo.push(entry);
+    return entry;
+}
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'elve-test-'));
+    alerts = [];
+    global.alert = message => alerts.push(message);
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('undo and redo', () => {
+    test('an applied entry goes onto the other stack', async () => {
+        const { fm } = createFileManager(root);
+        const jobs = captureJobs(fm);
+        const entry = recordMove(fm);
+
+        fm.undo();
+        await jobs[0].done;
+        assert.strictEqual(jobs[0].status, 'done');
+        assert.deepStrictEqual(fm.journal.undo, []);
+        assert.deepStrictEqual(fm.journal.redo.map(e => e.items), [entry.items]);
+        assert.ok(fs.existsSync(path.join(root, 'a', 'one')));
+        assert.ok(fs.existsSync(path.join(root, 'a', 'two')));
+    });
+
+    test('items that fail stay on their stack', async () => {
+        const { fm } = createFileManager(root);
+        const jobs = captureJobs(fm);
+        const [one, two] = recordMove(fm).items;
+        // Something new has taken the old place of the second file
+        fs.writeFileSync(two.from, 'new');
+
+        fm.undo();
+        await jobs[0].done;
+        assert.strictEqual(jobs[0].status, 'failed');
+        assert.strictEqual(alerts.length, 1);
+        assert.deepStrictEqual(fm.journal.undo.map(e => e.items), [[two]]);
+        assert.deepStrictEqual(fm.journal.redo.map(e => e.items), [[one]]);
+        assert.strictEqual(fs.readFileSync(one.from, 'utf8'), 'one');
+        assert.strictEqual(fs.readFileSync(two.to, 'utf8'), 'two');
+        assert.strictEqual(fs.readFileSync(two.from, 'utf8'), 'new');
+    });
+
+    test('an entry that fails whole is not redone', async () => {
+        const { fm } = createFileManager(root);
+        const jobs = captureJobs(fm);
+        const entry = recordMove(fm);
+        entry.items.forEach(item => fs.writeFileSync(item.from, 'new'));
+
+        fm.undo();
+        await jobs[0].done;
+        assert.strictEqual(jobs[0].status, 'failed');
+        assert.deepStrictEqual(fm.journal.undo.map(e => e.items), [entry.items]);
+        assert.deepStrictEqual(fm.journal.redo, []);
+    });
+});
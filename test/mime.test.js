@@ -0,0 +1,150 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createFileManager } = require('./helpers');
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const GZIP_HEADER = Buffer.from([0x1F, 0x8B, 0x08, 0x00]);
+
+// One rule line of the binary magic file, as update-mime-database writes it
+function magicRule(offset, value, { indent = 0, mask, wordSize, range } = {}) {
+    value = Buffer.from(value);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(value.length);
+    return Buffer.concat([
+        Buffer.from(`${indent || ''}>${offset}=`, 'latin1'), length, value,
+        mask ? Buffer.concat([Buffer.from('&'), Buffer.from(mask)]) : Buffer.alloc(0),
+        Buffer.from(`${wordSize ? `~${wordSize}` : ''}${range ? `+${range}` : ''}\n`, 'latin1')
+    ]);
+}
+
+function magicFile(sections) {
+    return Buffer.concat([
+        Buffer.from('MIME-Magic\0\n', 'latin1'),
+        ...sections.flatMap(([header, ...rules]) => [Buffer.from(`[${header}]\n`, 'latin1'), ...rules])
+    ]);
+}
+
+const MAGIC = magicFile([
+    ['80:image/png', magicRule(0, PNG_HEADER)],
+    ['50:application/x-shellscript',
+        magicRule(0, '#!'),
+        magicRule(2, '/bin/sh', { indent: 1, range: 2 }),
+        magicRule(2, '/bin/bash', { indent: 1, range: 2 })],
+    ['50:application/gzip', magicRule(0, GZIP_HEADER.subarray(0, 2))],
+    // A 16-bit 0x1234 in host byte order, the low nibble of its first byte ignored
+    ['40:application/x-word-test', magicRule(4, [0x12, 0x34], { mask: [0xFF, 0xF0], wordSize: 2 })]
+]);
+
+const GLOBS = [
+    '# Test globs',
+    '50:text/plain:*.txt',
+    '50:application/gzip:*.gz',
+    '50:application/x-compressed-tar:*.tar.gz',
+    '50:image/png:*.png',
+    '50:application/x-shellscript:*.sh',
+    '50:text/x-makefile:Makefile:cs',
+    '40:text/x-readme:README*',
+    '10:application/x-low:*.png'
+].join('\n');
+
+let root;
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'elve-test-'));
+    const mimeDir = path.join(root, 'data', 'mime');
+    fs.mkdirSync(mimeDir, { recursive: true });
+    fs.writeFileSync(path.join(mimeDir, 'magic'), MAGIC);
+    fs.writeFileSync(path.join(mimeDir, 'globs2'), GLOBS);
+    fs.writeFileSync(path.join(mimeDir, 'subclasses'),
+        'application/x-compressed-tar application/gzip\napplication/x-shellscript text/plain\n');
+    process.env.XDG_DATA_HOME = path.join(root, 'data');
+    process.env.XDG_DATA_DIRS = path.join(root, 'none');
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+async function detect(fm, name, content) {
+    const filePath = path.join(root, name);
+    fs.writeFileSync(filePath, content);
+    return fm.detectMimeType(await fm.createFileItem(filePath));
+}
+
+describe('MIME types', () => {
+    test('parseMimeMagic reads sections and nested rules', () => {
+        const { fm } = createFileManager(root);
+        const sections = fm.parseMimeMagic(MAGIC);
+        assert.deepStrictEqual(sections.map(section => [section.priority, section.mimeType]), [
+            [80, 'image/png'], [50, 'application/x-shellscript'], [50, 'application/gzip'], [40, 'application/x-word-test']
+        ]);
+
+        const script = sections[1].rules;
+        assert.strictEqual(script.length, 1);
+        assert.deepStrictEqual(script[0].children.map(rule => [rule.offset, rule.value.toString(), rule.range]),
+            [[2, '/bin/sh', 2], [2, '/bin/bash', 2]]);
+        assert.strictEqual(sections[1].extent, 2 + 2 + '/bin/bash'.length);
+
+        assert.deepStrictEqual(fm.parseMimeMagic(Buffer.from('not magic')), []);
+    });
+
+    test('parseMimeMagic puts ~2 values in host byte order', { skip: os.endianness() !== 'LE' && 'big-endian host' }, () => {
+        const { fm } = createFileManager(root);
+        const [rule] = fm.parseMimeMagic(MAGIC)[3].rules;
+        assert.deepStrictEqual([...rule.value], [0x34, 0x12]);
+        assert.deepStrictEqual([...rule.mask], [0xF0, 0xFF]);
+
+        const header = Buffer.from([0, 0, 0, 0]);
+        assert.ok(fm.matchMagicRules([rule], Buffer.concat([header, Buffer.from([0x3B, 0x12])])));
+        assert.ok(!fm.matchMagicRules([rule], Buffer.concat([header, Buffer.from([0x12, 0x34])])));
+    });
+
+    test('matchMagicRules needs a nested rule to match too', () => {
+        const { fm } = createFileManager(root);
+        const [rule] = fm.parseMimeMagic(MAGIC)[1].rules;
+        assert.ok(fm.matchMagicRules([rule], Buffer.from('#!/bin/sh\n')));
+        assert.ok(fm.matchMagicRules([rule], Buffer.from('#! /bin/bash\n')));
+        assert.ok(!fm.matchMagicRules([rule], Buffer.from('#!/usr/bin/env python3\n')));
+        assert.ok(!fm.matchMagicRules([rule], Buffer.from('#')));
+    });
+
+    test('loadMimeGlobs sorts names, suffixes and patterns', () => {
+        const { fm } = createFileManager(root);
+        const globs = { names: new Map(), suffixes: new Map(), patterns: [] };
+        fm.loadMimeGlobs(globs, GLOBS.split('\n').filter(line => !line.startsWith('#')));
+
+        assert.strictEqual(globs.names.get('Makefile'), 'text/x-makefile');
+        assert.strictEqual(globs.suffixes.get('.tar.gz'), 'application/x-compressed-tar');
+        assert.strictEqual(globs.suffixes.get('.png'), 'image/png');
+        assert.deepStrictEqual(globs.patterns.map(pattern => pattern.mimeType), ['text/x-readme']);
+        assert.ok(globs.patterns[0].regex.test('readme.md'));
+
+        assert.strictEqual(fm.getMimeTypeFromName('x.tar.gz'), 'application/x-compressed-tar');
+        assert.strictEqual(fm.getMimeTypeFromName('x.gz'), 'application/gzip');
+        assert.strictEqual(fm.getMimeTypeFromName('IMAGE.PNG'), 'image/png');
+        assert.strictEqual(fm.getMimeTypeFromName('makefile'), null);
+    });
+
+    test('an extensionless shell script is sniffed', async () => {
+        const { fm } = createFileManager(root);
+        assert.strictEqual(await detect(fm, 'configure', '#!/bin/sh\necho hi\n'), 'application/x-shellscript');
+        assert.strictEqual(await detect(fm, 'notes', 'just some words\n'), 'text/plain');
+    });
+
+    test('a PNG saved as .txt is a PNG', async () => {
+        const { fm } = createFileManager(root);
+        assert.strictEqual(await detect(fm, 'picture.txt', Buffer.concat([PNG_HEADER, Buffer.alloc(32)])), 'image/png');
+        // Text the magic recognises keeps the type its name gives
+        assert.strictEqual(await detect(fm, 'script.txt', '#!/bin/sh\n'), 'text/plain');
+    });
+
+    test('x.tar.gz is a compressed tarball and x.gz is gzip', async () => {
+        const { fm } = createFileManager(root);
+        const gzip = Buffer.concat([GZIP_HEADER, Buffer.alloc(32)]);
+        assert.strictEqual(await detect(fm, 'x.tar.gz', gzip), 'application/x-compressed-tar');
+        assert.strictEqual(await detect(fm, 'x.gz', gzip), 'application/gzip');
+    });
+});
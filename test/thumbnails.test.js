@@ -0,0 +1,89 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { createFileManager } = require('./helpers');
+
+// A 1x1 PNG made by an encoder other than ours
+const KNOWN_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+let root;
+
+function readChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset < png.length; ) {
+        const length = png.readUInt32BE(offset);
+        chunks.push({ type: png.toString('latin1', offset + 4, offset + 8), data: png.subarray(offset + 8, offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'elve-test-'));
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('thumbnails', () => {
+    test('crc32 gives the standard check value', () => {
+        const { fm } = createFileManager(root);
+        assert.strictEqual(fm.crc32(Buffer.from('123456789')), 0xCBF43926);
+        assert.strictEqual(fm.crc32(Buffer.alloc(0)), 0);
+    });
+
+    test('chunks are built as in a known PNG', () => {
+        const { fm } = createFileManager(root);
+        const rebuilt = Buffer.concat([
+            KNOWN_PNG.subarray(0, 8),
+            ...readChunks(KNOWN_PNG).map(chunk => fm.createPngChunk(chunk.type, chunk.data))
+        ]);
+        assert.deepStrictEqual(rebuilt, KNOWN_PNG);
+    });
+
+    test('tEXt chunks written with a thumbnail are read back', async () => {
+        const { fm } = createFileManager(root);
+        const target = path.join(root, 'thumbnails', 'normal', 'thumb.png');
+        const text = {
+            'Thumb::URI': 'file:///home/user/caf%C3%A9%20menu.jpg',
+            'Thumb::MTime': '1700000000',
+            'Software': 'Elve'
+        };
+
+        await fm.writeThumbnail(target, KNOWN_PNG, text);
+        const written = fs.readFileSync(target);
+        assert.deepStrictEqual(fm.readPngText(written), text);
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(target)), ['thumb.png']);
+        assert.strictEqual(fs.statSync(target).mode & 0o777, 0o600);
+
+        // The text goes after IHDR, and every chunk keeps a valid CRC
+        const chunks = readChunks(written);
+        assert.deepStrictEqual(chunks.map(chunk => chunk.type), ['IHDR', 'tEXt', 'tEXt', 'tEXt', 'IDAT', 'IEND']);
+        const rebuilt = Buffer.concat([written.subarray(0, 8), ...chunks.map(chunk => fm.createPngChunk(chunk.type, chunk.data))]);
+        assert.deepStrictEqual(rebuilt, written);
+    });
+
+    test('readPngText ignores what is not a PNG', () => {
+        const { fm } = createFileManager(root);
+        assert.deepStrictEqual(fm.readPngText(Buffer.from('not a png at all')), {});
+        assert.deepStrictEqual(fm.readPngText(KNOWN_PNG), {});
+    });
+
+    test('URIs are escaped as by g_filename_to_uri', () => {
+        const { fm } = createFileManager(root);
+        // Expected values as given by GLib 2.74
+        assert.strictEqual(
+            fm.getThumbnailUri('/home/user/Rock & Roll/café 日本.jpg'),
+            'file:///home/user/Rock%20&%20Roll/caf%C3%A9%20%E6%97%A5%E6%9C%AC.jpg');
+        assert.strictEqual(
+            fm.getThumbnailUri("/tmp/a;b=c,d+e$f:g@h!'()*~#%?[]"),
+            "file:///tmp/a%3Bb=c,d+e$f:g@h!'()*~%23%25%3F%5B%5D");
+        const uri = 'file:///home/user/Rock%20&%20Roll/caf%C3%A9%20%E6%97%A5%E6%9C%AC.jpg';
+        assert.strictEqual(fm.getThumbnailName('/home/user/Rock & Roll/café 日本.jpg'),
+            crypto.createHash('md5').update(uri).digest('hex') + '.png');
+    });
+});
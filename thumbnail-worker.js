@@ -0,0 +1,25 @@
+// Decodes and scales images for thumbnails, away from the UI thread.
+// Gets { id, data, size } with the file's bytes and answers { id, png, width, height }
+// with a PNG no larger than size x size and the original dimensions, or { id, error }.
+self.onmessage = async (e) => {
+    const { id, data, size } = e.data;
+    try {
+        const image = await createImageBitmap(new Blob([data]));
+        const { width, height } = image;
+        const scale = Math.min(1, size / Math.max(width, height));
+        const thumb = await createImageBitmap(image, {
+            resizeWidth: Math.max(1, Math.round(width * scale)),
+            resizeHeight: Math.max(1, Math.round(height * scale)),
+            resizeQuality: 'high'
+        });
+        image.close();
+
+        const canvas = new OffscreenCanvas(thumb.width, thumb.height);
+        canvas.getContext('2d').drawImage(thumb, 0, 0);
+        thumb.close();
+        const png = await (await canvas.convertToBlob({ type: 'image/png' })).arrayBuffer();
+        self.postMessage({ id, png, width, height }, [png]);
+    } catch (err) {
+        self.postMessage({ id, error: err.message || String(err) });
+    }
+};